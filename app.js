@@ -2,6 +2,12 @@ import primate from '@thewebchimp/primate';
 import rateLimit from 'express-rate-limit';
 import { router as bounties } from './routes/bountrip.js';
 import { router as ai } from './routes/ai.js';
+import IndexerService from '#services/indexer.service.js';
+import BountyService from '#services/bounty.service.js';
+import SchedulerService from '#services/scheduler.service.js';
+import ReconciliationService from '#services/reconciliation.service.js';
+import SearchService from '#services/search.service.js';
+import InteractionService from '#services/interaction.service.js';
 import '#utils/typedef.js';
 
 await primate.setup();
@@ -20,3 +26,21 @@ primate.app.use(globalRateLimiter);
 
 primate.app.use('/bounties', bounties);
 primate.app.use('/ai', ai);
+
+if(process.env.INDEXER_ENABLED !== 'false') IndexerService.start();
+
+// Background work of the interactions source, e.g. the block scan of INTERACTIONS_SOURCE=rpc
+InteractionService.start();
+
+// Move bounties past their deadlines to Judging / Expired
+if(process.env.EXPIRY_ENABLED !== 'false') {
+	SchedulerService.every('bounty-expiry', parseInt(process.env.EXPIRY_INTERVAL) || 60 * 1000, () => BountyService.expireOverdue());
+}
+
+// Locate the bounties stored before destination and coordinates were extracted from the metas
+if(process.env.LOCATION_BACKFILL_ENABLED !== 'false') {
+	SearchService.backfillLocations().catch(error => console.error('Error backfilling bounty locations:', error));
+}
+
+// Flag (or fix with RECONCILIATION_AUTOFIX) the differences between the chain and the database
+if(process.env.RECONCILIATION_ENABLED !== 'false') ReconciliationService.start();
@@ -0,0 +1,41 @@
+/**
+ * RPC providers and service URLs of every supported NEAR network.
+ * Providers are tried in ascending `priority` order; the list of a network can be replaced with the
+ * `NEAR_RPC_<NETWORK>` env variable, a comma-separated list of URLs in priority order
+ * (e.g. NEAR_RPC_TESTNET=https://my-node.example.com,https://rpc.testnet.near.org).
+ */
+const nearNetworks = {
+	mainnet: {
+		rpc: [
+			{url: 'https://rpc.mainnet.near.org', priority: 1},
+			{url: 'https://rpc.mainnet.fastnear.com', priority: 2},
+			{url: 'https://near.lava.build', priority: 3},
+		],
+		walletUrl: 'https://wallet.mainnet.near.org',
+		helperUrl: 'https://helper.mainnet.near.org',
+		explorerUrl: 'https://explorer.mainnet.near.org',
+	},
+	testnet: {
+		rpc: [
+			{url: 'https://rpc.testnet.near.org', priority: 1},
+			{url: 'https://rpc.testnet.fastnear.com', priority: 2},
+			{url: 'https://neart.lava.build', priority: 3},
+		],
+		walletUrl: 'https://wallet.testnet.near.org',
+		helperUrl: 'https://helper.testnet.near.org',
+		explorerUrl: 'https://explorer.testnet.near.org',
+	},
+	// Local node started with near-sandbox / near-workspaces
+	sandbox: {
+		rpc: [
+			{url: 'http://127.0.0.1:3030', priority: 1},
+		],
+		walletUrl: null,
+		helperUrl: null,
+		explorerUrl: null,
+	},
+};
+
+nearNetworks.localnet = nearNetworks.sandbox;
+
+export {nearNetworks};
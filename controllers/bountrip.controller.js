@@ -7,21 +7,102 @@ import primate from '@thewebchimp/primate';
 import {v4 as uuidv4} from 'uuid';
 import NearService from '../services/near.service.js';
 import 'dotenv/config';
-import {utils} from 'near-api-js';
 import UploadService from "#services/upload.service.js";
+import UserService from '#entities/users/user.service.js';
+import BountyService from '#services/bounty.service.js';
+import IndexerService from '#services/indexer.service.js';
+import TransactionService from '#services/transaction.service.js';
+import GasService from '#services/gas.service.js';
+import InteractionService from '#services/interaction.service.js';
+import FeedService from '#services/feed.service.js';
+import PlanService from '#services/plan.service.js';
+import JudgingService from '#services/judging.service.js';
+import SearchService from '#services/search.service.js';
+import DraftService from '#services/draft.service.js';
+import ReconciliationService from '#services/reconciliation.service.js';
+import {planUpdateSchema} from '#entities/plans/plan.schema.js';
+import {draftUpdateSchema} from '#entities/bounties/draft.schema.js';
 
 /**
  * Controller class for handling NEAR blockchain bounty operations.
  * @class
  */
 class NearController {
+	/**
+	 * Marks a bounty as Finished once it has been finalized on chain, for clients that do not confirm their
+	 * finalize_bounty transaction through `/tx/confirm`. The status and the winners are read from the contract.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.idBounty - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the bounty or error message
+	 */
 	static async finalizeBountyInDatabase(req, res) {
-		// receives idBounty and set status to Finished
 		const {idBounty} = req.body;
-		const bounty = await primate.prisma.bounty.update({
-			where: {id: parseInt(idBounty)},
-			data: {status: 'Finished'},
-		});
+
+		const user = await UserService.getSignedUser(req);
+		if (!user) {
+			return res.respond({
+				data: null,
+				message: 'Unauthorized.',
+				statusCode: 401,
+			});
+		}
+
+		let bountyDb;
+		try {
+			bountyDb = await BountyService.resolve(idBounty);
+		} catch (error) {
+			return res.respond({
+				data: null,
+				message: error.message,
+				statusCode: error.statusCode || 500,
+			});
+		}
+
+		// Only the creator of the bounty can finalize it
+		if (bountyDb.idUser !== user.id) {
+			return res.respond({
+				data: null,
+				message: 'Only the creator of the bounty can finalize it.',
+				statusCode: 403,
+			});
+		}
+
+		let bounty;
+		try {
+			const chainBounty = await BountyService.getOnChain({
+				networkId: process.env.NETWORK_ID,
+				contractId: process.env.CONTRACT_ID,
+				bountyDb,
+			});
+
+			const {chainStatus, winners} = IndexerService.normalize(chainBounty);
+			if (chainStatus !== 'Finished') {
+				return res.respond({
+					data: null,
+					message: 'The bounty has not been finalized on chain.',
+					statusCode: 409,
+				});
+			}
+
+			bounty = await BountyService.transition(bountyDb, 'Finished', {
+				actor: user.idNear,
+				idUser: user.id,
+				note: 'Finalized on chain',
+				data: {winners, chainStatus},
+				force: true,
+			});
+		} catch (error) {
+			return res.respond({
+				data: null,
+				message: error.message,
+				statusCode: error.statusCode || 500,
+			});
+		}
+
 		return res.respond({
 			data: bounty,
 			message: 'Bounty finalized successfully.',
@@ -31,488 +112,1855 @@ class NearController {
 
 	static async createPlan(req, res) {
 		try {
-			const {title, description, places, idBounty, idNear} = req.body;
-
-			const user = await primate.prisma.user.findUnique({
-				where: {idNear},
-			});
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			// Validate the plan, malformed fields are reported in data.errors
+			const plan = PlanService.validate(req.body);
+			const {title, description, idBounty} = plan;
+
+			const bounty = await BountyService.resolve(idBounty);
+
+			if (!BountyService.isSubmissionOpen(bounty)) {
+				return res.respond({
+					data: null,
+					message: 'The bounty no longer accepts plans.',
+					statusCode: 409,
+				});
+			}
+
+			// Create a new plan record, stored as its first version
+			const newPlan = await PlanService.create({
+				title,
+				content: description,
+				idBounty: bounty.id,
+				metas: PlanService.toItinerary(plan),
+				idUser: user.id,
+				slug: title.toLowerCase().replace(/ /g, '-') + '-' + Date.now(),
+			});
+
+			const dataResult = {
+				...PlanService.normalize(newPlan),
+				bounty,
+			};
+			return res.respond({
+				data: dataResult,
+				message: 'Plan created successfully.',
+				statusCode: 201,
+			});
+		} catch (error) {
+			console.error('Error in createPlan:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error creating plan.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Edits a plan. Only its author can edit it, before the bounty is finalized; every edit is stored as a new version.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {Object} req.body - Request body
+	 * @param {string} [req.body.title] - New title
+	 * @param {string} [req.body.description] - New description
+	 * @param {Array<Object>} [req.body.days] - New day-by-day itinerary
+	 * @param {Array<Object>} [req.body.places] - New places, for clients that do not send days
+	 * @param {string} [req.body.notes] - New notes
+	 * @param {Array<Object>} [req.body.attachments] - New attachments
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the updated plan or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async updatePlan(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const changes = PlanService.validate(req.body, planUpdateSchema);
+			const itinerary = PlanService.toItinerary(changes);
+
+			const plan = await PlanService.findEditable(req.params.id, user);
+
+			const updated = await PlanService.update(plan, {
+				title: changes.title,
+				content: changes.description,
+				metas: Object.keys(itinerary).length > 0 ? itinerary : undefined,
+			}, user);
+
+			return res.respond({
+				data: PlanService.normalize(updated),
+				message: 'Plan updated successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in updatePlan:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error updating plan.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Withdraws a plan. Only its author can withdraw it, before the bounty is finalized; its versions are kept.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the withdrawn plan or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async deletePlan(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const plan = await PlanService.findEditable(req.params.id, user);
+			const withdrawn = await PlanService.withdraw(plan);
+
+			return res.respond({
+				data: withdrawn,
+				message: 'Plan withdrawn successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in deletePlan:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error withdrawing plan.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the versions of a plan, oldest first. Only its author and the creator of the bounty can see them.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the versions or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async getPlanVersions(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const plan = await PlanService.findReadable(req.params.id, user);
+			const versions = await PlanService.getVersions(plan.id);
+
+			return res.respond({
+				data: versions,
+				message: 'Plan versions retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getPlanVersions:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving plan versions.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Compares two versions of a plan. Only its author and the creator of the bounty can see them.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {Object} req.query - Query parameters
+	 * @param {number} req.query.from - Older version number
+	 * @param {number} [req.query.to] - Newer version number, the current version if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the changes between both versions or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async getPlanDiff(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const plan = await PlanService.findReadable(req.params.id, user);
+
+			const from = parseInt(req.query.from);
+			const to = req.query.to !== undefined ? parseInt(req.query.to) : plan.version;
+
+			if (isNaN(from) || isNaN(to)) {
+				return res.respond({
+					data: null,
+					message: 'Invalid parameters. Please provide the from (and optionally to) version numbers.',
+					statusCode: 400,
+				});
+			}
+
+			const diff = await PlanService.diff(plan.id, from, to);
+
+			return res.respond({
+				data: diff,
+				message: 'Plan diff retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getPlanDiff:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error comparing plan versions.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Replaces the judging criteria of a bounty. Only its creator can change them, and only before any plan is scored.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Array<Object>} req.body.criteria - Criteria with key, name, weight (default 1) and max score (default 10)
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the stored criteria or error message
+	 */
+	static async setJudgingCriteria(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bounty = await JudgingService.findManaged(req.params.id, user);
+			const criteria = await JudgingService.setCriteria(bounty, req.body.criteria);
+
+			return res.respond({
+				data: criteria,
+				message: 'Judging criteria updated successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in setJudgingCriteria:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error updating the judging criteria.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the judges of a bounty and its judging criteria. Only visible to the creator and the judges.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the creator, the invited judges and the criteria
+	 */
+	static async getJudges(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bounty = await JudgingService.findJudged(req.params.id, user);
+			const judges = await JudgingService.getJudges(bounty.id);
+
+			return res.respond({
+				data: {
+					creator: bounty.creator,
+					judges,
+					criteria: JudgingService.getCriteria(bounty),
+				},
+				message: 'Judges retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getJudges:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving the judges.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Invites a NEAR account to judge a bounty. Only its creator can invite judges.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {string} req.body.idNear - NEAR account ID of the judge
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the judge or error message
+	 */
+	static async inviteJudge(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const {idNear} = req.body;
+			if (!idNear || typeof idNear !== 'string') {
+				return res.respond({
+					data: null,
+					message: 'Missing required field: idNear',
+					statusCode: 400,
+				});
+			}
+
+			const bounty = await JudgingService.findManaged(req.params.id, user);
+			const judge = await JudgingService.inviteJudge(bounty, idNear, user);
+
+			return res.respond({
+				data: judge,
+				message: 'Judge invited successfully.',
+				statusCode: 201,
+			});
+		} catch (error) {
+			console.error('Error in inviteJudge:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error inviting the judge.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Removes a judge from a bounty, discarding their scores. Only its creator can remove judges.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {string} req.params.idNear - NEAR account ID of the judge
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the removed judge or error message
+	 */
+	static async removeJudge(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bounty = await JudgingService.findManaged(req.params.id, user);
+			const judge = await JudgingService.removeJudge(bounty, req.params.idNear);
+
+			return res.respond({
+				data: judge,
+				message: 'Judge removed successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in removeJudge:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error removing the judge.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the leaderboard of a bounty: its plans ranked by the scores of the judges, and the winners of each
+	 * prize ready to be sent to `finalizeBounty`. Only visible to the creator and the judges.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the leaderboard or error message
+	 */
+	static async getLeaderboard(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bounty = await JudgingService.findJudged(req.params.id, user);
+			const leaderboard = await JudgingService.getLeaderboard(bounty);
+
+			return res.respond({
+				data: leaderboard,
+				message: 'Leaderboard retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getLeaderboard:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving the leaderboard.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Scores a plan on the criteria of its bounty. Scoring a plan again replaces the previous score of the judge.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {Object<string, number>} req.body.scores - Score of each criterion, keyed by criterion key
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the score and its total or error message
+	 */
+	static async scorePlan(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const plan = await JudgingService.findJudgeable(req.params.id, user);
+			const score = await JudgingService.score(plan, req.body.scores, user);
+
+			return res.respond({
+				data: score,
+				message: 'Plan scored successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in scorePlan:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error scoring the plan.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Comments on a plan as a judge of its bounty.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {string} req.body.content - Text of the comment
+	 * @param {string} [req.body.visibility='Private'] - Private (judges only) or Public (also shown to the author)
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the comment or error message
+	 */
+	static async commentPlan(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const plan = await JudgingService.findJudgeable(req.params.id, user);
+			const comment = await JudgingService.comment(plan, req.body, user);
+
+			return res.respond({
+				data: comment,
+				message: 'Comment added successfully.',
+				statusCode: 201,
+			});
+		} catch (error) {
+			console.error('Error in commentPlan:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error commenting the plan.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the comments of a plan. Judges see every comment, the author of the plan only the public ones.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - ID of the plan
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the comments, oldest first, or error message
+	 */
+	static async getPlanComments(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const comments = await JudgingService.getComments(req.params.id, user);
+
+			return res.respond({
+				data: comments,
+				message: 'Comments retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getPlanComments:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving the comments.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	static async getLatestBounty(req, res) {
+		try {
+			const latestBounty = await NearService.getLastBountyId(
+				{
+					networkId: process.env.NETWORK_ID,
+					contractId: process.env.CONTRACT_ID,
+				},
+			);
+
+			console.info('Latest bounty id is: ', latestBounty);
+			return res.respond({
+				data: {id: latestBounty},
+				message: 'Latest bounty retrieved successfully.',
+
+			});
+		} catch (e) {
+			console.error(e);
+			return res.respond({status: 400, message: e.message});
+		}
+	}
+
+	static async updateBounty(req, res) {
+		try {
+			const {idOnChain, idNear, slug, title, content, type, metas} = req.body;
+
+			// Validate required fields
+			if (!idOnChain || !idNear || !slug) {
+				return res.respond({
+					data: null,
+					message: `Missing required fields: ${!idOnChain ? 'idOnChain' : !idNear ? 'idNear' : 'slug'}`,
+					statusCode: 400,
+				});
+			}
+
+			const user = await primate.prisma.user.findUnique({
+				where: {idNear},
+			});
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'User not found.',
+					statusCode: 404,
+				});
+			}
+
+			// Create a new bounty record
+			const updatedBounty = await primate.prisma.bounty.update({
+				where: {idOnChain},
+				data: {
+					idUser: user.id,
+					slug,
+					title,
+					content,
+					type: type || 'Bounty',
+					metas: metas || {},
+				},
+			});
+
+			return res.respond({
+				data: updatedBounty,
+				message: 'Bounty updated successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in update:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error updating bounty.',
+				statusCode: 500,
+			});
+		}
+	}
+
+	/**
+	 * Stores a new bounty or updates an existing one.
+	 * The owner is the user signed in through `/users/connect`; only the owner can update the bounty.
+	 * Bounties not yet on chain are better created as drafts through `/drafts`, which also publishes them.
+	 * The status is not accepted: it follows the chain (`/tx/confirm`, reconciliation) and the deadlines.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.user - Authenticated user set by the auth middleware
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.slug - Slug for the bounty
+	 * @param {string} req.body.title - Title of the bounty
+	 * @param {string} req.body.content - Content/description of the bounty
+	 * @param {string} [req.body.type] - Type of the bounty (optional)
+	 * @param {Object} req.body.metas - Metadata for the bounty
+	 * @param {Array} req.body.metas.placePhotos - Array of place photos (optional)
+	 * @param {string} [req.body.submissionDeadline] - Date after which plans can no longer be submitted (optional)
+	 * @param {string} [req.body.judgingDeadline] - Date by which winners must be picked, the bounty expires afterwards (optional)
+	 * @param {string} [req.body.token] - NEP-141 token contract funding the prizes, only on creation (optional)
+	 * @param {string} [req.body.idBounty] - Bounty to update: database ID, chain:<id> or slug, a new bounty is created if omitted
+	 * @param {string} [req.body.idOnChain] - On-chain ID of a bounty the user already created on chain, ignored unless
+	 * numeric; the bounty takes the status of the chain, Published while open. Drafts are bound by `/tx/confirm` instead
+	 * (optional)
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the created or updated bounty data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async store(req, res) {
+		try {
+			const {slug, title, content, type, metas = {}, idBounty, submissionDeadline, judgingDeadline, token} = req.body;
+
+			// The on-chain ID is only stored when it is known, drafts are bound by create_bounty on confirmation. Legacy
+			// clients send the ID of a bounty they created on chain, checked against the contract before binding it
+			const idOnChain = /^\d+$/.test(String(req.body.idOnChain ?? '')) ? String(parseInt(req.body.idOnChain)) : null;
+
+			// The owner of the bounty is the signed user, never a body-supplied idNear
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			if (metas.placePhotos && metas.placePhotos.length > 0) {
+				for (const photo of metas.placePhotos) {
+
+
+					const attachmentCreated = await UploadService.createAttachmentFromUrl(photo.url, {
+						fileName: uuidv4(),
+					});
+					photo.url = attachmentCreated.url;
+				}
+
+			}
+
+			// Intentar obtener la bounty por idBounty
+			const bountyDb = idBounty ? await BountyService.resolve(idBounty) : null;
+
+			if (bountyDb && bountyDb.idUser !== user.id) {
+				return res.respond({
+					data: null,
+					message: 'Only the creator of the bounty can update it.',
+					statusCode: 403,
+				});
+			}
+
+			if (bountyDb) {
+				try {
+					let chainBounty = null;
+					if (idOnChain && idOnChain !== bountyDb.idOnChain) {
+						chainBounty = await BountyService.claimOnChain({
+							networkId: process.env.NETWORK_ID,
+							contractId: process.env.CONTRACT_ID,
+							idOnChain,
+							user,
+							bountyDb,
+						});
+					}
+
+					// Construir el objeto de actualización solo con campos que tengan valores significativos
+					const deadlines = BountyService.parseDeadlines({submissionDeadline, judgingDeadline}, bountyDb);
+					const updateData = {
+						idUser: user.id,
+						...(slug && slug.trim() !== '' && {slug}),
+						...(title && title.trim() !== '' && {title}),
+						...(content && content.trim() !== '' && {content}),
+						...(idOnChain && {idOnChain}),
+						...(type && type.trim() !== '' && {type}),
+						...(metas && Object.keys(metas).length > 0 && {
+							metas: JudgingService.keepCriteria(metas, bountyDb),
+							...SearchService.locate(metas),
+						}),
+						...deadlines,
+					};
+
+					// Solo realizar el update si hay campos para actualizar
+					if (Object.keys(updateData).length > 1) { // >1 porque siempre incluimos idUser
+						const updatedBounty = await primate.prisma.$transaction(async prisma => {
+							const bounty = await prisma.bounty.update({
+								where: {id: bountyDb.id},
+								data: updateData,
+							});
+
+							// A draft bound to a bounty on chain takes the status of the chain
+							if (!chainBounty || bounty.status !== 'Draft') return bounty;
+
+							const {chainStatus} = IndexerService.normalize(chainBounty);
+
+							return BountyService.transition(bounty, chainStatus === 'Open' ? 'Published' : chainStatus, {
+								actor: user.idNear,
+								idUser: user.id,
+								note: `Bound to bounty ${idOnChain} on chain`,
+								prisma,
+								force: true,
+							});
+						});
+
+						return res.respond({
+							data: updatedBounty,
+							message: 'Bounty updated successfully.',
+							statusCode: 200,
+						});
+					} else {
+						// Si no hay campos para actualizar, devolver el bounty existente
+						return res.respond({
+							data: bountyDb,
+							message: 'No fields to update.',
+							statusCode: 200,
+						});
+					}
+				} catch (error) {
+					console.error('Error in update:', error);
+					return res.respond({
+						data: null,
+						message: error.message || 'Error updating bounty.',
+						statusCode: error.statusCode || 500,
+					});
+				}
+			}
+
+			// Si no existe el bounty, crear uno nuevo
+			const deadlines = BountyService.parseDeadlines({submissionDeadline, judgingDeadline});
+			if (deadlines.submissionDeadline && deadlines.submissionDeadline <= new Date()) {
+				return res.respond({
+					data: null,
+					message: 'submissionDeadline must be in the future.',
+					statusCode: 400,
+				});
+			}
+
+			let status = 'Draft';
+			if (idOnChain) {
+				const chainBounty = await BountyService.claimOnChain({
+					networkId: process.env.NETWORK_ID,
+					contractId: process.env.CONTRACT_ID,
+					idOnChain,
+					user,
+				});
+
+				// Bound to a bounty already on chain, it takes the status of the chain
+				const {chainStatus} = IndexerService.normalize(chainBounty);
+				status = chainStatus === 'Open' ? 'Published' : chainStatus;
+			}
+
+			// Prizes funded with a NEP-141 token are formatted with the token decimals
+			let tokenData = {};
+			if (token) {
+				const {decimals} = await NearService.getFtMetadata({networkId: process.env.NETWORK_ID, tokenId: token});
+				tokenData = {token, tokenDecimals: decimals};
+			}
+
+			const newBountyData = {
+				idOnChain,
+				idUser: user.id,
+				slug,
+				title,
+				content,
+				status,
+				type: type || 'Bounty',
+				metas: JudgingService.keepCriteria(metas),
+				...SearchService.locate(metas),
+				...deadlines,
+				...tokenData,
+			};
+
+			const newBounty = await primate.prisma.$transaction(async prisma => {
+				const bounty = await prisma.bounty.create({
+					data: newBountyData,
+				});
+
+				await BountyService.recordCreation(bounty, {actor: user.idNear, idUser: user.id, prisma});
+
+				return bounty;
+			});
+
+			return res.respond({
+				data: newBounty,
+				message: 'Bounty created successfully.',
+				statusCode: 201,
+			});
+		} catch (error) {
+			console.error('Error in store:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error creating bounty.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the drafts of the signed user, last edited first.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the drafts or error message
+	 */
+	static async getDrafts(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const drafts = await DraftService.getDrafts(user);
+
+			return res.respond({
+				data: drafts,
+				message: 'Drafts retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getDrafts:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving the drafts.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Creates a draft bounty, stored before it exists on chain. The prizes are published later with publishDraft.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.title - Title of the bounty
+	 * @param {string} [req.body.content] - Description of the bounty
+	 * @param {string} [req.body.slug] - Slug of the bounty, generated from the title if omitted
+	 * @param {string} [req.body.type='Bounty'] - Type of the bounty
+	 * @param {Object} [req.body.metas] - Metas of the bounty, such as placePhotos, destination or tags
+	 * @param {Array<string>} req.body.prizes - Prizes in NEAR, or in units of the token
+	 * @param {string} [req.body.token] - NEP-141 token funding the prizes, NEAR if omitted
+	 * @param {string} [req.body.submissionDeadline] - ISO date after which plans are no longer accepted
+	 * @param {string} [req.body.judgingDeadline] - ISO date by which the winners must be chosen
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the draft or error message
+	 */
+	static async createDraft(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const draft = await DraftService.create(user, DraftService.validate(req.body));
+
+			return res.respond({
+				data: BountyService.formatIndexed(draft),
+				message: 'Draft created successfully.',
+				statusCode: 201,
+			});
+		} catch (error) {
+			console.error('Error in createDraft:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error creating the draft.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Updates a draft bounty. Only its creator can edit it, and only until it is published on chain.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID or slug
+	 * @param {Object} req.body - Fields to change, the same as createDraft
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the draft or error message
+	 */
+	static async updateDraft(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const value = DraftService.validate(req.body, draftUpdateSchema);
+			const bountyDb = await DraftService.findOwned(req.params.id, user);
+
+			const draft = await DraftService.update(bountyDb, value);
+
+			return res.respond({
+				data: BountyService.formatIndexed(draft),
+				message: 'Draft updated successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in updateDraft:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error updating the draft.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Previews a draft bounty as it will be published, with what prevents it from being published and the
+	 * estimated cost of its create_bounty transaction.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID or slug
+	 * @param {Object} req.query - Query parameters
+	 * @param {string} [req.query.receiver] - Bounty contract, CONTRACT_ID if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the preview or error message
+	 */
+	static async previewDraft(req, res) {
+		try {
+			const networkId = process.env.NETWORK_ID;
+			const receiver = req.query.receiver || process.env.CONTRACT_ID;
+
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bountyDb = await DraftService.findOwned(req.params.id, user);
+
+			const preview = await DraftService.preview({networkId, receiver, bountyDb});
+
+			return res.respond({
+				data: preview,
+				message: 'Draft previewed successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in previewDraft:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error previewing the draft.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Creates the create_bounty transaction publishing a draft, built from its stored prizes. The creator signs it
+	 * and confirms it through `/tx/confirm` with the idBounty of the draft, which binds the on-chain ID and moves
+	 * the bounty to Published.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID or slug
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.receiver - Bounty contract
+	 * @param {string} [req.body.publicKey] - Public key the creator wants to sign with, selected from its access keys if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing transaction data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async publishDraft(req, res) {
+		try {
+			const {receiver, publicKey} = req.body;
+			const networkId = process.env.NETWORK_ID;
+
+			if (!networkId || !receiver) {
+				return res.respond({
+					data: null,
+					message: 'Invalid parameters. Please provide receiver.',
+					statusCode: 400,
+				});
+			}
+
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bountyDb = await DraftService.findOwned(req.params.id, user);
+
+			// The creator of the draft signs, the transaction binds to its account on confirmation
+			const transaction = await DraftService.buildPublication({
+				networkId,
+				sender: user.idNear,
+				receiver,
+				bountyDb,
+				publicKey,
+			});
+
+			return res.respond({
+				data: {
+					idBounty: bountyDb.id,
+					transaction: NearService.formatTransactionForResponse(transaction),
+				},
+				message: 'Publish transaction created successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in publishDraft:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error publishing the draft.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Discards a draft bounty. Only its creator can discard it, and only until it is published on chain.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID or slug
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the discarded bounty or error message
+	 */
+	static async deleteDraft(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
+
+			const bountyDb = await DraftService.findOwned(req.params.id, user);
+			const discarded = await DraftService.discard(bountyDb, user);
+
+			return res.respond({
+				data: BountyService.formatIndexed(discarded),
+				message: 'Draft discarded successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in deleteDraft:', error);
+			return res.respond({
+				data: error.data || null,
+				message: error.message || 'Error discarding the draft.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the interactions of an account with the contract, newest first.
+	 * Each contract call is decoded into a typed event (create_bounty, participate, finalize_bounty...).
+	 * Interactions are read from the source configured with INTERACTIONS_SOURCE (nearblocks, rpc or db).
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.query - Query parameters
+	 * @param {string} req.query.accountId - NEAR account ID whose interactions are retrieved
+	 * @param {number} [req.query.page=1] - Page number, starting at 1
+	 * @param {number} [req.query.limit=25] - Interactions per page, at most 100
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the page of interactions or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async getInteractions(req, res) {
+		try {
+			const {accountId} = req.query;
+			const networkId = process.env.NETWORK_ID;
+			const contractId = process.env.CONTRACT_ID;
+
+			if (!networkId || !contractId) {
+				return res.respond({
+					data: null,
+					message: 'Missing configuration parameters.',
+					statusCode: 500,
+				});
+			}
+
+			if (!accountId) {
+				return res.respond({
+					data: null,
+					message: 'Invalid parameters. Please provide accountId.',
+					statusCode: 400,
+				});
+			}
+
+			const page = Math.max(parseInt(req.query.page) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), BountyService.MAX_LIMIT);
+
+			const {items, total} = await InteractionService.getInteractions({
+				networkId,
+				contractId,
+				accountId,
+				page,
+				limit,
+			});
+
+			return res.respond({
+				data: items,
+				message: 'Interactions retrieved successfully.',
+				statusCode: 200,
+				props: {total, page, limit},
+			});
+		} catch (error) {
+			console.error('Error in getInteractions:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving interactions.',
+				statusCode: 500,
+			});
+		}
+	}
+
+	/**
+	 * Creates a new bounty with specified prizes.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.sender - NEAR account ID of the bounty creator
+	 * @param {string} req.body.receiver - Contract account ID that will receive the transaction
+	 * @param {string[]} req.body.prizes - Array of prize amounts in NEAR tokens, or in units of `token`
+	 * @param {string} [req.body.token] - NEP-141 token contract funding the prizes, NEAR if omitted
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing transaction data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async createBounty(req, res) {
+		try {
+			const {sender, receiver, prizes, token, publicKey} = req.body;
+			const networkId = process.env.NETWORK_ID;
+
+			if (!networkId || !sender || !receiver || !Array.isArray(prizes) || prizes.length === 0) {
+				return res.respond({
+					data: null,
+					message: 'Invalid parameters. Please provide sender, receiver, and a non-empty array of prizes.',
+					statusCode: 400,
+				});
+			}
+
+			const {gas} = await GasService.getGas('create_bounty', {token: !!token});
+
+			let transaction;
+			if (token) {
+				const {decimals} = await NearService.getFtMetadata({networkId, tokenId: token});
+
+				transaction = await NearService.createFtBountyTransaction({
+					networkId,
+					sender,
+					receiver,
+					tokenId: token,
+					prizes,
+					decimals,
+					gas,
+					publicKey,
+				});
+			} else {
+				transaction = await NearService.createBountyTransaction({
+					networkId,
+					sender,
+					receiver,
+					prizes,
+					gas,
+					publicKey,
+				});
+			}
+
+			const formattedTransaction = NearService.formatTransactionForResponse(transaction);
+
+			return res.respond({
+				data: formattedTransaction,
+				message: 'Bounty transaction created successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in createBounty:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error creating the bounty.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Handles participation in an existing bounty.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.sender - NEAR account ID of the participant
+	 * @param {string} req.body.receiver - Contract account ID
+	 * @param {number} [req.body.bountyId] - On-chain ID of the bounty, takes precedence over req.params.id (deprecated)
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing transaction data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async participate(req, res) {
+		try {
+			const {sender, receiver, bountyId, publicKey} = req.body;
+			const networkId = process.env.NETWORK_ID;
+
+			if (!networkId || !sender || !receiver) {
+				return res.respond({
+					data: null,
+					message: 'Invalid parameters. Please provide sender and receiver.',
+					statusCode: 400,
+				});
+			}
+
+			// A numeric bountyId in the body is the on-chain ID sent by older clients
+			const ref = typeof bountyId === 'number' ? `${BountyService.CHAIN_PREFIX}${bountyId}` : req.params.id;
+			const bountyDb = await BountyService.resolve(ref);
+			await BountyService.getOnChain({networkId, contractId: receiver, bountyDb});
+
+			if (!BountyService.isSubmissionOpen(bountyDb)) {
+				return res.respond({
+					data: null,
+					message: 'The bounty no longer accepts participants.',
+					statusCode: 409,
+				});
+			}
+
+			const {gas} = await GasService.getGas('participate');
+
+			const transaction = await NearService.participateTransaction({
+				networkId,
+				sender,
+				receiver,
+				bountyId: parseInt(bountyDb.idOnChain),
+				gas,
+				publicKey,
+			});
+
+			const formattedTransaction = NearService.formatTransactionForResponse(transaction);
+
+			return res.respond({
+				data: formattedTransaction,
+				message: 'Participate transaction created successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in participate:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error participating in the bounty.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Finalizes a bounty by specifying winners.
+	 * The winners are validated against the on-chain bounty first: the sender must be the creator, and there must be
+	 * one winner per prize, each a participant with a plan. Invalid winners are reported with field-level errors.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.sender - NEAR account ID of the bounty creator
+	 * @param {string} req.body.receiver - Contract account ID
+	 * @param {number} [req.body.bountyId] - Database ID of the bounty, takes precedence over req.params.id (deprecated)
+	 * @param {string[]} req.body.winners - Array of NEAR account IDs of winners, in prize order
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing transaction data, validation errors or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async finalizeBounty(req, res) {
+		try {
+			const {sender, receiver, bountyId, winners, publicKey} = req.body;
+			const networkId = process.env.NETWORK_ID;
 
-			if (!user) {
+			if (!networkId || !sender || !receiver || !Array.isArray(winners) || winners.length === 0) {
 				return res.respond({
 					data: null,
-					message: 'User not found.',
-					statusCode: 404,
+					message: 'Invalid parameters. Please provide sender, receiver, and a non-empty array of winners.',
+					statusCode: 400,
 				});
 			}
-			// Validate required fields
-			if (!title || !description || !places || !idBounty) {
+
+			// A bountyId in the body is the database ID sent by older clients
+			const bountyDb = await BountyService.resolve(bountyId ?? req.params.id);
+
+			const {errors, transaction} = await BountyService.prepareFinalization({
+				networkId,
+				sender,
+				receiver,
+				bountyDb,
+				winners,
+				publicKey,
+			});
+
+			if (errors.length > 0) {
 				return res.respond({
-					data: null,
-					message: 'Missing required fields: title, description, places, idBounty',
-					statusCode: 400,
+					data: {errors},
+					message: 'Invalid winners for this bounty.',
+					statusCode: 422,
 				});
 			}
 
-			// Create a new plan record
-			const newPlan = await primate.prisma.plan.create({
-				data: {
-					title,
-					content: description,
-					idBounty: parseInt(idBounty),
-					metas: {places},
-					idUser: user.id,
-					slug: title.toLowerCase().replace(/ /g, '-') + '-' + Date.now(),
-				},
-			});
+			const formattedTransaction = NearService.formatTransactionForResponse(transaction);
 
-			const bountyDb = await primate.prisma.bounty.findUnique({
-				where: {id: parseInt(idBounty)},
-			});
-			const dataResult = {
-				...newPlan,
-				bounty: bountyDb,
-			};
+			// console all the oibject formattedTransaction
+			console.log("formattedTX ", JSON.stringify(formattedTransaction));
 			return res.respond({
-				data: dataResult,
-				message: 'Plan created successfully.',
-				statusCode: 201,
+				data: formattedTransaction,
+				message: 'Finalize bounty transaction created successfully.',
+				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in createPlan:', error);
+			console.error('Error in finalizeBounty:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error creating plan.',
-				statusCode: 500,
-			});
-		}
-	}
-
-	static async getLatestBounty(req, res) {
-		try {
-			const latestBounty = await NearService.getLastBountyId(
-				{
-					networkId: process.env.NETWORK_ID,
-					contractId: process.env.CONTRACT_ID,
-				},
-			);
-
-			console.info('Latest bounty id is: ', latestBounty);
-			return res.respond({
-				data: {id: latestBounty},
-				message: 'Latest bounty retrieved successfully.',
-
+				message: error.message || 'Error finalizing the bounty.',
+				statusCode: error.statusCode || 500,
 			});
-		} catch (e) {
-			console.error(e);
-			return res.respond({status: 400, message: e.message});
 		}
 	}
 
-	static async updateBounty(req, res) {
+	/**
+	 * Previews the finalization of a bounty so the creator can confirm it before signing: maps the on-chain prizes to
+	 * the winners in order, with the payout of each one in NEAR and yoctoNEAR (or token units), and returns the exact
+	 * transaction `finalizeBounty` would build.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.sender - NEAR account ID of the creator, who will sign the transaction
+	 * @param {string} req.body.receiver - Bounty contract
+	 * @param {string[]} req.body.winners - NEAR account IDs of the winners, in prize order
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the payouts, their total and the transaction, or the
+	 * invalid winners along with the payouts
+	 */
+	static async previewFinalization(req, res) {
 		try {
-			const {idOnChain, idNear, slug, title, content, status, type, metas} = req.body;
+			const {sender, receiver, winners, publicKey} = req.body;
+			const networkId = process.env.NETWORK_ID;
 
-			// Validate required fields
-			if (!idOnChain || !idNear || !slug) {
+			if (!networkId || !sender || !receiver || !Array.isArray(winners) || winners.length === 0) {
 				return res.respond({
 					data: null,
-					message: `Missing required fields: ${!idOnChain ? 'idOnChain' : !idNear ? 'idNear' : 'slug'}`,
+					message: 'Invalid parameters. Please provide sender, receiver, and a non-empty array of winners.',
 					statusCode: 400,
 				});
 			}
 
-			const user = await primate.prisma.user.findUnique({
-				where: {idNear},
+			const bountyDb = await BountyService.resolve(req.params.id);
+
+			const {errors, payouts, transaction} = await BountyService.prepareFinalization({
+				networkId,
+				sender,
+				receiver,
+				bountyDb,
+				winners,
+				publicKey,
 			});
 
-			if (!user) {
+			if (errors.length > 0) {
 				return res.respond({
-					data: null,
-					message: 'User not found.',
-					statusCode: 404,
+					data: {errors, payouts},
+					message: 'Invalid winners for this bounty.',
+					statusCode: 422,
 				});
 			}
 
-			// Create a new bounty record
-			const updatedBounty = await primate.prisma.bounty.update({
-				where: {idOnChain},
-				data: {
-					idUser: user.id,
-					slug,
-					title,
-					content,
-					status: status || 'Draft',
-					type: type || 'Bounty',
-					metas: metas || {},
-				},
-			});
+			const total = payouts.reduce((sum, payout) => sum + BigInt(payout.yocto), 0n).toString();
 
 			return res.respond({
-				data: updatedBounty,
-				message: 'Bounty updated successfully.',
+				data: {
+					payouts,
+					total: {
+						amount: BountyService.formatAmount(total, bountyDb),
+						yocto: total,
+						token: bountyDb.token || null,
+					},
+					transaction: NearService.formatTransactionForResponse(transaction),
+				},
+				message: 'Finalization preview created successfully.',
 				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in update:', error);
+			console.error('Error in previewFinalization:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error updating bounty.',
-				statusCode: 500,
+				message: error.message || 'Error previewing the finalization.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
-	 * Stores a new bounty or updates an existing one.
+	 * Creates the transaction cancelling a bounty, which refunds its prizes to the creator.
+	 * Only the creator can cancel a bounty, and only before it is finalized. The bounty moves to Cancelled once the
+	 * transaction is confirmed through `/tx/confirm`.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
 	 * @param {Object} req.body - Request body
-	 * @param {string} req.body.idNear - NEAR account ID of the user
-	 * @param {string} req.body.slug - Slug for the bounty
-	 * @param {string} req.body.title - Title of the bounty
-	 * @param {string} req.body.content - Content/description of the bounty
-	 * @param {string} [req.body.status] - Status of the bounty (optional)
-	 * @param {string} [req.body.type] - Type of the bounty (optional)
-	 * @param {Object} req.body.metas - Metadata for the bounty
-	 * @param {Array} req.body.metas.placePhotos - Array of place photos (optional)
-	 * @param {string} req.body.idBounty - ID of the bounty
-	 * @param {string} [req.body.idOnChain] - On-chain ID of the bounty (optional)
+	 * @param {string} req.body.sender - NEAR account ID of the creator, who will sign the transaction
+	 * @param {string} req.body.receiver - Bounty contract
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
 	 * @param {Object} res - Express response object
-	 * @returns {Promise<Object>} Response object containing the created or updated bounty data or error message
+	 * @returns {Promise<Object>} Response object containing transaction data or error message
 	 * @throws {Error} When required parameters are missing or invalid
 	 */
-	static async store(req, res) {
+	static async cancelBounty(req, res) {
 		try {
-			const {idNear, slug, title, content, status, type, metas, idBounty} = req.body;
-			let {idOnChain} = req.body;
-
-			if (metas.placePhotos && metas.placePhotos.length > 0) {
-				for (const photo of metas.placePhotos) {
-
-
-					const attachmentCreated = await UploadService.createAttachmentFromUrl(photo.url, {
-						fileName: uuidv4(),
-					});
-					photo.url = attachmentCreated.url;
-				}
-
-			}
+			const {sender, receiver, publicKey} = req.body;
+			const networkId = process.env.NETWORK_ID;
 
-			// Validar campos requeridos
-			if (!idNear) {
+			if (!networkId || !sender || !receiver) {
 				return res.respond({
 					data: null,
-					message: 'Missing required field: idNear',
+					message: 'Invalid parameters. Please provide sender and receiver.',
 					statusCode: 400,
 				});
 			}
 
-			const user = await primate.prisma.user.findUnique({
-				where: {idNear},
-			});
+			const bountyDb = await BountyService.resolve(req.params.id);
 
-			if (!user) {
-				return res.respond({
-					data: null,
-					message: 'User not found.',
-					statusCode: 404,
-				});
-			}
+			const chainBounty = await BountyService.getOnChain({networkId, contractId: receiver, bountyDb});
 
-			// Intentar obtener la bounty por idOnChain
-			let bountyDb = null;
-			idOnChain = String(idOnChain);
-			console.info('idOnChain: ', idOnChain);
-			if (idOnChain && idOnChain !== 'undefined' && idOnChain !== '' && idOnChain !== 'null') {
-				console.info('--------------> entra aqui??: ', idOnChain);
-				bountyDb = await primate.prisma.bounty.findUnique({
-					where: {id: parseInt(idBounty)},
+			const errors = BountyService.validateCancellation({chainBounty, bountyDb, sender});
+			if (errors.length > 0) {
+				return res.respond({
+					data: {errors},
+					message: 'This bounty cannot be cancelled.',
+					statusCode: 422,
 				});
 			}
 
-			console.info('--------------> bountyDb: ', bountyDb);
-			if (bountyDb) {
-				try {
-					// Construir el objeto de actualización solo con campos que tengan valores significativos
-					const updateData = {
-						idUser: user.id,
-						...(slug && slug.trim() !== '' && {slug}),
-						...(title && title.trim() !== '' && {title}),
-						...(content && content.trim() !== '' && {content}),
-						...(idOnChain && idOnChain !== 'undefined' && idOnChain !== '' && idOnChain !== 'null' && {idOnChain}),
-						...(status && status.trim() !== '' && {status}),
-						...(type && type.trim() !== '' && {type}),
-						...(metas && Object.keys(metas).length > 0 && {metas}),
-					};
-
-					// Solo realizar el update si hay campos para actualizar
-					if (Object.keys(updateData).length > 1) { // >1 porque siempre incluimos idUser
-						const updatedBounty = await primate.prisma.bounty.update({
-							where: {id: parseInt(idBounty)},
-							data: updateData,
-						});
-
-						return res.respond({
-							data: updatedBounty,
-							message: 'Bounty updated successfully.',
-							statusCode: 200,
-						});
-					} else {
-						// Si no hay campos para actualizar, devolver el bounty existente
-						return res.respond({
-							data: bountyDb,
-							message: 'No fields to update.',
-							statusCode: 200,
-						});
-					}
-				} catch (error) {
-					console.error('Error in update:', error);
-					return res.respond({
-						data: null,
-						message: error.message || 'Error updating bounty.',
-						statusCode: 500,
-					});
-				}
-			}
-
-			// Si no existe el bounty, crear uno nuevo
-			const newBountyData = {
-				idOnChain: String(idOnChain),
-				idUser: user.id,
-				slug,
-				title,
-				content,
-				status: status || 'Draft',
-				type: type || 'Bounty',
-				metas: metas || {},
-			};
+			const {gas} = await GasService.getGas('cancel_bounty');
 
-			const newBounty = await primate.prisma.bounty.create({
-				data: newBountyData,
+			const transaction = await NearService.cancelBountyTransaction({
+				networkId,
+				sender,
+				receiver,
+				bountyId: bountyDb.idOnChain.toString(),
+				gas,
+				publicKey,
 			});
 
 			return res.respond({
-				data: newBounty,
-				message: 'Bounty created successfully.',
-				statusCode: 201,
+				data: NearService.formatTransactionForResponse(transaction),
+				message: 'Cancel bounty transaction created successfully.',
+				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in store:', error);
+			console.error('Error in cancelBounty:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error creating bounty.',
-				statusCode: 500,
+				message: error.message || 'Error cancelling the bounty.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
-	static async getInteractions(req, res) {
+	/**
+	 * Creates the transaction adding funds to an existing bounty. Anyone can chip in: the creator topping up the
+	 * prizes or a sponsor co-funding them. Bounties funded with a NEP-141 token receive the same token through
+	 * `ft_transfer_call`. The contribution is recorded once the transaction is confirmed through `/tx/confirm`.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} req.body - Request body
+	 * @param {string} req.body.sender - NEAR account ID of the contributor, who will sign the transaction
+	 * @param {string} req.body.receiver - Bounty contract
+	 * @param {string} req.body.amount - Amount to add in NEAR, or in units of the token of the bounty
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing transaction data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async fundBounty(req, res) {
 		try {
-			const {accountId} = req.query;
+			const {sender, receiver, amount, publicKey} = req.body;
 			const networkId = process.env.NETWORK_ID;
-			const contractId = process.env.CONTRACT_ID;
 
-			if (!networkId || !contractId) {
+			if (!networkId || !sender || !receiver || !amount) {
 				return res.respond({
 					data: null,
-					message: 'Missing configuration parameters.',
-					statusCode: 500,
+					message: 'Invalid parameters. Please provide sender, receiver, and amount.',
+					statusCode: 400,
 				});
 			}
 
-			const interactions = await NearService.getInteractions({
-				networkId,
-				contractId,
-				accountId,
-			});
+			const bountyDb = await BountyService.resolve(req.params.id);
+
+			const chainBounty = await BountyService.getOnChain({networkId, contractId: receiver, bountyDb});
+
+			if (chainBounty.isActive === false || PlanService.LOCKED_STATUSES.includes(bountyDb.status)) {
+				return res.respond({
+					data: null,
+					message: 'The bounty is closed, funds can no longer be added.',
+					statusCode: 409,
+				});
+			}
+
+			const idOnChain = bountyDb.idOnChain.toString();
+
+			let transaction;
+			if (bountyDb.token) {
+				const {gas} = await GasService.getGas('add_funds', {token: true});
+
+				transaction = await NearService.addFtFundsTransaction({
+					networkId,
+					sender,
+					receiver,
+					tokenId: bountyDb.token,
+					bountyId: idOnChain,
+					amount,
+					decimals: bountyDb.tokenDecimals,
+					gas,
+					publicKey,
+				});
+			} else {
+				const {gas} = await GasService.getGas('add_funds');
+
+				transaction = await NearService.addFundsTransaction({
+					networkId,
+					sender,
+					receiver,
+					bountyId: idOnChain,
+					amount,
+					gas,
+					publicKey,
+				});
+			}
 
 			return res.respond({
-				data: interactions,
-				message: 'Interactions retrieved successfully.',
+				data: NearService.formatTransactionForResponse(transaction),
+				message: 'Add funds transaction created successfully.',
 				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in getInteractions:', error);
+			console.error('Error in fundBounty:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error retrieving interactions.',
-				statusCode: 500,
+				message: error.message || 'Error adding funds to the bounty.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
-	 * Creates a new bounty with specified prizes.
+	 * Builds an unsigned transaction from a batch of actions in the wallet selector format.
+	 * Supports FunctionCall, Transfer, AddKey, DeleteKey and CreateAccount actions; the response includes
+	 * the borsh-encoded transaction in base64 (`encoded`).
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
 	 * @param {Object} req.body - Request body
-	 * @param {string} req.body.sender - NEAR account ID of the bounty creator
-	 * @param {string} req.body.receiver - Contract account ID that will receive the transaction
-	 * @param {string[]} req.body.prizes - Array of prize amounts in NEAR tokens
+	 * @param {string} req.body.sender - NEAR account ID that will sign the transaction
+	 * @param {string} req.body.receiver - Account ID that will receive the transaction
+	 * @param {Array<Object>} req.body.actions - Non-empty array of actions, each with type and params
+	 * @param {string} [req.body.publicKey] - Public key the sender wants to sign with, selected from its access keys if omitted
 	 * @param {Object} res - Express response object
 	 * @returns {Promise<Object>} Response object containing transaction data or error message
 	 * @throws {Error} When required parameters are missing or invalid
 	 */
-	static async createBounty(req, res) {
+	static async buildTransaction(req, res) {
 		try {
-			const {sender, receiver, prizes} = req.body;
+			const {sender, receiver, actions, publicKey} = req.body;
 			const networkId = process.env.NETWORK_ID;
 
-			if (!networkId || !sender || !receiver || !Array.isArray(prizes) || prizes.length === 0) {
+			if (!networkId || !sender || !receiver || !Array.isArray(actions) || actions.length === 0) {
 				return res.respond({
 					data: null,
-					message: 'Invalid parameters. Please provide sender, receiver, and a non-empty array of prizes.',
+					message: 'Invalid parameters. Please provide sender, receiver, and a non-empty array of actions.',
 					statusCode: 400,
 				});
 			}
 
-			const transaction = await NearService.createBountyTransaction({
+			const transaction = await NearService.createBatchTransaction({
 				networkId,
 				sender,
 				receiver,
-				prizes,
+				actions,
+				publicKey,
 			});
 
 			const formattedTransaction = NearService.formatTransactionForResponse(transaction);
 
 			return res.respond({
 				data: formattedTransaction,
-				message: 'Bounty transaction created successfully.',
+				message: 'Transaction created successfully.',
 				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in createBounty:', error);
+			console.error('Error in buildTransaction:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error creating the bounty.',
-				statusCode: 500,
+				message: error.message || 'Error creating the transaction.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
-	 * Handles participation in an existing bounty.
+	 * Estimates the cost of a bounty transaction before building it: the gas attached by the builders (profiled from
+	 * the confirmed transactions of the method), the storage deposit needed to register the contract with a token, and
+	 * the total NEAR the sender needs including the prizes.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
 	 * @param {Object} req.body - Request body
-	 * @param {string} req.body.sender - NEAR account ID of the participant
+	 * @param {string} req.body.method - Contract method: create_bounty, participate or finalize_bounty
 	 * @param {string} req.body.receiver - Contract account ID
-	 * @param {number} req.body.bountyId - ID of the bounty to participate in
+	 * @param {string[]} [req.body.prizes] - Prize amounts of a create_bounty, in NEAR or in units of `token`
+	 * @param {string} [req.body.token] - NEP-141 token contract funding the prizes of a create_bounty
 	 * @param {Object} res - Express response object
-	 * @returns {Promise<Object>} Response object containing transaction data or error message
+	 * @returns {Promise<Object>} Response object containing the estimation or error message
 	 * @throws {Error} When required parameters are missing or invalid
 	 */
-	static async participate(req, res) {
+	static async estimateTransaction(req, res) {
 		try {
-			const {sender, receiver, bountyId} = req.body;
+			const {method, receiver, prizes, token} = req.body;
 			const networkId = process.env.NETWORK_ID;
 
-			if (!networkId || !sender || !receiver || typeof bountyId !== 'number') {
+			if (!networkId || !receiver || !['create_bounty', 'participate', 'finalize_bounty'].includes(method)) {
+				return res.respond({
+					data: null,
+					message: 'Invalid parameters. Please provide receiver and a method: create_bounty, participate or finalize_bounty.',
+					statusCode: 400,
+				});
+			}
+
+			if (method === 'create_bounty' && (!Array.isArray(prizes) || prizes.length === 0)) {
 				return res.respond({
 					data: null,
-					message: 'Invalid parameters. Please provide sender, receiver, and a valid bountyId.',
+					message: 'Invalid parameters. Please provide a non-empty array of prizes.',
 					statusCode: 400,
 				});
 			}
 
-			const transaction = await NearService.participateTransaction({
+			const estimation = await GasService.estimate({
 				networkId,
-				sender,
+				method,
 				receiver,
-				bountyId,
+				prizes,
+				token,
 			});
 
-			const formattedTransaction = NearService.formatTransactionForResponse(transaction);
-
 			return res.respond({
-				data: formattedTransaction,
-				message: 'Participate transaction created successfully.',
+				data: estimation,
+				message: 'Transaction estimated successfully.',
 				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in participate:', error);
+			console.error('Error in estimateTransaction:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error participating in the bounty.',
-				statusCode: 500,
+				message: error.message || 'Error estimating the transaction.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
-	 * Finalizes a bounty by specifying winners.
+	 * Confirms a transaction signed by the client and reconciles the database with its outcome.
+	 * Handles create_bounty (binds idOnChain), participate (adds the participant), finalize_bounty
+	 * (status Finished and winners), cancel_bounty (status Cancelled) and add_funds (records the contribution).
+	 * Confirming the same transaction twice returns the stored result.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
 	 * @param {Object} req.body - Request body
-	 * @param {string} req.body.sender - NEAR account ID of the bounty creator
-	 * @param {string} req.body.receiver - Contract account ID
-	 * @param {number} req.body.bountyId - ID of the bounty to finalize
-	 * @param {string[]} req.body.winners - Array of NEAR account IDs of winners
+	 * @param {string} req.body.txHash - Hash of the signed transaction
+	 * @param {string} req.body.accountId - NEAR account ID that signed the transaction, the signed user
+	 * @param {number} [req.body.idBounty] - Database ID of the bounty, required to bind a create_bounty transaction
 	 * @param {Object} res - Express response object
-	 * @returns {Promise<Object>} Response object containing transaction data or error message
+	 * @returns {Promise<Object>} Response object containing the confirmed transaction or error message
 	 * @throws {Error} When required parameters are missing or invalid
 	 */
-	static async finalizeBounty(req, res) {
+	static async confirmTransaction(req, res) {
 		try {
-			const {sender, receiver, bountyId, winners} = req.body;
+			const {txHash, accountId, idBounty} = req.body;
 			const networkId = process.env.NETWORK_ID;
 
-			if (!networkId || !sender || !receiver || typeof bountyId !== 'number' || !Array.isArray(winners) || winners.length === 0) {
+			if (!networkId || !txHash || !accountId) {
 				return res.respond({
 					data: null,
-					message: 'Invalid parameters. Please provide sender, receiver, bountyId, and a non-empty array of winners.',
+					message: 'Invalid parameters. Please provide txHash and accountId.',
 					statusCode: 400,
 				});
 			}
 
-			const bountyDb = await primate.prisma.bounty.findUnique({
-				where: {id: bountyId},
-			});
+			if (idBounty !== undefined && idBounty !== null && !/^\d+$/.test(String(idBounty))) {
+				return res.respond({
+					data: null,
+					message: 'Invalid idBounty. Provide the database ID of the bounty.',
+					statusCode: 400,
+				});
+			}
 
-			if (!bountyDb) {
+			const user = await UserService.getSignedUser(req);
+
+			if (!user) {
 				return res.respond({
 					data: null,
-					message: 'Bounty not found.',
-					statusCode: 404,
+					message: 'Unauthorized.',
+					statusCode: 401,
 				});
 			}
 
-			const idOnChain = bountyDb.idOnChain.toString();
+			// Only the signer confirms its transactions, unconfirmed hashes are retried by the indexer for a day
+			if (accountId !== user.idNear) {
+				return res.respond({
+					data: null,
+					message: 'Only the account that signed the transaction can confirm it.',
+					statusCode: 403,
+				});
+			}
 
-			console.info("ID ON CHAIN IS", idOnChain);
-			const transaction = await NearService.finalizeBountyTransaction({
+			const transaction = await TransactionService.confirm({
 				networkId,
-				sender,
-				receiver,
-				bountyId: idOnChain,
-				winners,
+				txHash,
+				accountId,
+				idBounty,
 			});
 
-			const formattedTransaction = NearService.formatTransactionForResponse(transaction);
+			if (transaction.status === 'Pending') {
+				return res.respond({
+					data: transaction,
+					message: 'Transaction is not final yet, it will be confirmed in the background.',
+					statusCode: 202,
+				});
+			}
 
-			// console all the oibject formattedTransaction
-			console.log("formattedTX ", JSON.stringify(formattedTransaction));
 			return res.respond({
-				data: formattedTransaction,
-				message: 'Finalize bounty transaction created successfully.',
+				data: transaction,
+				message: {
+					Success: 'Transaction confirmed successfully.',
+					Refunded: 'The contract rejected the transfer, the tokens were refunded.',
+				}[transaction.status] || 'Transaction failed on chain.',
 				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in finalizeBounty:', error);
+			console.error('Error in confirmTransaction:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error finalizing the bounty.',
-				statusCode: 500,
+				message: error.message || 'Error confirming the transaction.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
 	 * Retrieves all bounties created by a specific account.
+	 * Supports the same pagination, filtering and sorting query parameters as getAllBounties.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
@@ -536,35 +1984,35 @@ class NearController {
 				});
 			}
 
-			const bounties = await NearService.getCreatorBounties({
-				networkId,
-				contractId,
-				creatorId,
+			const page = await NearController.listBounties({
+				query: req.query,
+				where: {creator: creatorId},
+				fetchFromChain: () => NearService.getCreatorBounties({
+					networkId,
+					contractId,
+					creatorId,
+				}),
 			});
-			const bountyData = [];
-			for (let bounty of bounties) {
-				const b = await NearController.completeBountyData(bounty);
-				if (!b) continue;
-				bountyData.push(b);
-			}
 
 			return res.respond({
-				data: bountyData,
+				data: page.items,
 				message: 'Creator bounties retrieved successfully.',
 				statusCode: 200,
+				props: {total: page.total, page: page.page, limit: page.limit},
 			});
 		} catch (error) {
 			console.error('Error in getCreatorBounties:', error);
 			return res.respond({
 				data: null,
 				message: error.message || 'Error retrieving creator bounties.',
-				statusCode: 500,
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
 	 * Retrieves all bounties where a specific account is participating.
+	 * Supports the same pagination, filtering and sorting query parameters as getAllBounties.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
@@ -588,30 +2036,28 @@ class NearController {
 				});
 			}
 
-			const bounties = await NearService.getParticipantBounties({
-				networkId,
-				contractId,
-				participantId,
+			const page = await NearController.listBounties({
+				query: req.query,
+				where: {participants: {array_contains: [participantId]}},
+				fetchFromChain: () => NearService.getParticipantBounties({
+					networkId,
+					contractId,
+					participantId,
+				}),
 			});
 
-			const bountyData = [];
-			for (let bounty of bounties) {
-				const b = await NearController.completeBountyData(bounty);
-				if (!b) continue;
-				bountyData.push(b);
-			}
-
 			return res.respond({
-				data: bountyData,
+				data: page.items,
 				message: 'Participant bounties retrieved successfully.',
 				statusCode: 200,
+				props: {total: page.total, page: page.page, limit: page.limit},
 			});
 		} catch (error) {
 			console.error('Error in getParticipantBounties:', error);
 			return res.respond({
 				data: null,
 				message: error.message || 'Error retrieving participant bounties.',
-				statusCode: 500,
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
@@ -622,9 +2068,9 @@ class NearController {
 		});
 
 		if (bountyDb) {
-			// for each bounty prize convert yoctoNear to Near
-			bounty.prizes = bounty.prizes.map(prize => utils.format.formatNearAmount(prize));
-			bounty.totalPrize = utils.format.formatNearAmount(bounty.totalPrize);
+			// for each bounty prize convert yoctoNear (or the token smallest unit) to Near (or token units)
+			bounty.prizes = bounty.prizes.map(prize => BountyService.formatAmount(prize, bountyDb));
+			bounty.totalPrize = BountyService.formatAmount(bounty.totalPrize, bountyDb);
 			return {
 				...bounty,
 				idOnChain: bounty.id,
@@ -634,19 +2080,72 @@ class NearController {
 				status: bountyDb.status,
 				type: bountyDb.type,
 				metas: bountyDb.metas,
+				token: bountyDb.token,
+				tokenDecimals: bountyDb.tokenDecimals,
+				submissionDeadline: bountyDb.submissionDeadline,
+				judgingDeadline: bountyDb.judgingDeadline,
+				expired: bountyDb.status === 'Expired',
 				created: bountyDb.created,
 				modified: bountyDb.modified,
 			};
 		}
 	}
 
+	/**
+	 * Retrieves a page of bounties for the list endpoints.
+	 *
+	 * Bounties are served from the indexed table while it is fresh. Otherwise they are fetched from the contract,
+	 * completed with their database data and paginated in memory, so both sources accept the same options.
+	 *
+	 * @async
+	 * @param {Object} params - List parameters
+	 * @param {Object} params.query - Express query object with page, limit, status, type, minPrize, maxPrize, creator, sort and order
+	 * @param {Object} [params.where] - Prisma filter selecting the bounties in the indexed table
+	 * @param {Function} params.fetchFromChain - Returns the same bounties from the contract
+	 * @returns {Promise<{items: Array<Object>, total: number, page: number, limit: number}>} The requested page and total count
+	 * @throws {Error} When the query parameters are invalid
+	 */
+	static async listBounties({query, where = {}, fetchFromChain}) {
+		const options = BountyService.parseListOptions(query);
+
+		if (await IndexerService.isFresh()) {
+			return BountyService.findIndexed(where, options);
+		}
+
+		const bounties = await fetchFromChain();
+
+		const bountiesData = [];
+		for (let bounty of bounties) {
+			const b = await NearController.completeBountyData(bounty);
+			if (!b) {
+				// Reported as missing_metadata by the reconciliation
+				console.warn(`Bounty ${bounty.id} is on chain but has no database row, skipping it.`);
+				continue;
+			}
+			bountiesData.push(b);
+		}
+
+		return BountyService.paginate(bountiesData, options);
+	}
+
 	/**
 	 * Retrieves all bounties in the system.
+	 * Bounties are served from the indexed table while it is fresh, otherwise from the contract.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
+	 * @param {Object} req.query - Query parameters
+	 * @param {number} [req.query.page=1] - Page number
+	 * @param {number} [req.query.limit=20] - Page size, up to 100
+	 * @param {string} [req.query.status] - Status of the bounty
+	 * @param {string} [req.query.type] - Type of the bounty
+	 * @param {string} [req.query.minPrize] - Minimum total prize in NEAR
+	 * @param {string} [req.query.maxPrize] - Maximum total prize in NEAR
+	 * @param {string} [req.query.creator] - NEAR account ID of the creator
+	 * @param {string} [req.query.sort=created] - 'created' or 'totalPrize'
+	 * @param {string} [req.query.order=desc] - 'asc' or 'desc'
 	 * @param {Object} res - Express response object
-	 * @returns {Promise<Object>} Response object containing all bounties data or error message
+	 * @returns {Promise<Object>} Response object containing the page of bounties and the total count or error message
 	 * @throws {Error} When required configuration is missing
 	 */
 	static async getAllBounties(req, res) {
@@ -662,136 +2161,298 @@ class NearController {
 				});
 			}
 
-			const bounties = await NearService.getAllBounties({
-				networkId,
-				contractId,
+			const page = await NearController.listBounties({
+				query: req.query,
+				fetchFromChain: () => NearService.getAllBounties({
+					networkId,
+					contractId,
+				}),
 			});
 
-			const bountiesData = [];
-			for (let bounty of bounties) {
-				console.info('--------------> bounty: ', bounty);
-				const b = await NearController.completeBountyData(bounty);
-				if (!b) continue;
-				console.info('--------------> b: ', b);
-				// check if totalPrize and prizes are BigNumbers
-				/*				b.totalPrize = utils.format.formatNearAmount(b.totalPrize);
-								b.prizes = b.prizes.map(prize => utils.format.formatNearAmount(prize));*/
-				bountiesData.push(b);
-			}
-
 			return res.respond({
-				data: bountiesData,
+				data: page.items,
 				message: 'All bounties retrieved successfully.',
 				statusCode: 200,
+				props: {total: page.total, page: page.page, limit: page.limit},
 			});
 		} catch (error) {
 			console.error('Error in getAllBounties:', error);
 			return res.respond({
 				data: null,
 				message: error.message || 'Error retrieving all bounties.',
-				statusCode: 500,
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Searches the bounties by text, tags and location. Drafts are excluded unless filtered by status.
+	 * Geographic searches return the bounties within the radius, nearest first, with their distance.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.query - Query parameters
+	 * @param {string} [req.query.q] - Text searched in the title, content and destination
+	 * @param {string} [req.query.tags] - Comma-separated tags, stored in metas.tags, the bounty must have all of them
+	 * @param {string} [req.query.destination] - Part of the destination name
+	 * @param {number} [req.query.lat] - Latitude of the center of the search
+	 * @param {number} [req.query.lng] - Longitude of the center of the search
+	 * @param {number} [req.query.radius=50] - Radius of the search in kilometers, up to 1000
+	 * @param {number} [req.query.page=1] - Page number
+	 * @param {number} [req.query.limit=20] - Page size, up to 100
+	 * @param {string} [req.query.status] - Status of the bounty
+	 * @param {string} [req.query.type] - Type of the bounty
+	 * @param {string} [req.query.minPrize] - Minimum total prize in NEAR
+	 * @param {string} [req.query.maxPrize] - Maximum total prize in NEAR
+	 * @param {string} [req.query.creator] - NEAR account ID of the creator
+	 * @param {string} [req.query.sort=created] - 'created' or 'totalPrize', ignored by geographic searches
+	 * @param {string} [req.query.order=desc] - 'asc' or 'desc'
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the page of bounties and the total count or error message
+	 * @throws {Error} When the query parameters are invalid
+	 */
+	static async searchBounties(req, res) {
+		try {
+			const options = SearchService.parseSearchOptions(req.query);
+			const page = await SearchService.search(options);
+
+			return res.respond({
+				data: page.items,
+				message: 'Bounties retrieved successfully.',
+				statusCode: 200,
+				props: {total: page.total, page: page.page, limit: page.limit},
+			});
+		} catch (error) {
+			console.error('Error in searchBounties:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error searching bounties.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves the activity feed: bounty creations, plans, participations and finalizations, newest first.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.query - Query parameters
+	 * @param {string} [req.query.accountId] - Only activity on bounties this account created or joined
+	 * @param {string} [req.query.type] - Comma-separated activity types: bounty_created, plan_created, participation, bounty_finalized
+	 * @param {number} [req.query.page=1] - Page number, starting at 1, up to the latest 1000 items
+	 * @param {number} [req.query.limit=20] - Items per page, at most 100
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the page of activity or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async getFeed(req, res) {
+		try {
+			const {accountId, type} = req.query;
+
+			const page = Math.max(parseInt(req.query.page) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), BountyService.MAX_LIMIT);
+			const types = type ? String(type).split(',').map(value => value.trim()) : undefined;
+
+			const {items, total} = await FeedService.getFeed({accountId, types, page, limit});
+
+			return res.respond({
+				data: items,
+				message: 'Feed retrieved successfully.',
+				statusCode: 200,
+				props: {total, page, limit},
+			});
+		} catch (error) {
+			console.error('Error in getFeed:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving the feed.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
-	 * Retrieves a specific bounty by ID.
+	 * Retrieves the lifecycle history of a bounty: every status transition with its actor and timestamp.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
 	 * @param {Object} req.params - Request parameters
-	 * @param {string} req.params.bountyId - ID of the bounty to retrieve
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
 	 * @param {Object} res - Express response object
-	 * @returns {Promise<Object>} Response object containing bounty data or error message
+	 * @returns {Promise<Object>} Response object containing the transitions, oldest first, or error message
 	 * @throws {Error} When required parameters are missing or invalid
 	 */
-	static async getBounty(req, res) {
+	static async getBountyHistory(req, res) {
 		try {
-			const bountyId = req.params.id;
-			const contractId = process.env.CONTRACT_ID;
-			const networkId = process.env.NETWORK_ID;
+			const bountyDb = await BountyService.resolve(req.params.id);
+
+			const history = await BountyService.getHistory(bountyDb.id);
+
+			return res.respond({
+				data: history,
+				message: 'Bounty history retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getBountyHistory:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving bounty history.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
 
-			if (!networkId || !contractId || !bountyId) {
+	/**
+	 * Retrieves the issues found by the reconciliation between the chain and the database. Admins only.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.query - Query parameters
+	 * @param {string} [req.query.status] - Open, Fixed or Resolved
+	 * @param {string} [req.query.kind] - missing_metadata, invalid_id, missing_on_chain or status_mismatch
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing the issues, newest first, or error message
+	 */
+	static async getReconciliationIssues(req, res) {
+		try {
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
 				return res.respond({
 					data: null,
-					message: 'Invalid parameters. Please provide bountyId.',
-					statusCode: 400,
+					message: 'Unauthorized.',
+					statusCode: 401,
 				});
 			}
 
-			const bountyDb = await primate.prisma.bounty.findUnique({
-				where: {id: parseInt(bountyId)},
-			});
+			if (user.type !== 'Admin') {
+				return res.respond({
+					data: null,
+					message: 'Only admins can review the reconciliation.',
+					statusCode: 403,
+				});
+			}
 
-			console.info('--------------> bountyDb: ', bountyDb);
-			const bounty = await NearService.getBounty({
-				networkId,
-				contractId,
-				bountyId: parseInt(bountyDb.idOnChain),
+			const issues = await ReconciliationService.getIssues({
+				status: req.query.status,
+				kind: req.query.kind,
 			});
 
-			console.info('--------------> bounty blockchain: ', bounty);
-
-			const prizes = bounty.prizes.map(prize => utils.format.formatNearAmount(prize));
-			const totalPrize = utils.format.formatNearAmount(bounty.totalPrize);
 			return res.respond({
-				data: {
-					...bounty,
-					id: bountyDb.id,
-					title: bountyDb.title,
-					content: bountyDb.content,
-					status: bountyDb.status,
-					type: bountyDb.type,
-					metas: bountyDb.metas,
-					created: bountyDb.created,
-					modified: bountyDb.modified,
-					idOnChain: bountyDb.idOnChain,
-					prizes,
-					totalPrize,
-				},
-				message: 'Bounty retrieved successfully.',
+				data: issues,
+				message: 'Reconciliation issues retrieved successfully.',
 				statusCode: 200,
 			});
 		} catch (error) {
-			console.error('Error in getBounty:', error);
+			console.error('Error in getReconciliationIssues:', error);
 			return res.respond({
 				data: null,
-				message: error.message || 'Error retrieving bounty.',
-				statusCode: 500,
+				message: error.message || 'Error retrieving the reconciliation issues.',
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
 
 	/**
-	 * Retrieves all plans associated with a specific bounty ID.
+	 * Runs the reconciliation between the chain and the database now. Admins only.
+	 * Without `fix` the issues are only flagged; with it, the ones that can be fixed from the chain data are fixed.
 	 *
 	 * @async
 	 * @param {Object} req - Express request object
-	 * @param {Object} req.params - Request parameters
-	 * @param {number} req.params.idBounty - ID of the bounty
+	 * @param {Object} req.body - Request body
+	 * @param {boolean} [req.body.fix=false] - Whether to fix the issues that can be fixed
 	 * @param {Object} res - Express response object
-	 * @returns {Promise<Object>} Response object containing plans data or error message
-	 * @throws {Error} When required parameters are missing or invalid
+	 * @returns {Promise<Object>} Response object containing the issues found and the counts, or error message
 	 */
-	static async getPlansByBountyId(req, res) {
+	static async runReconciliation(req, res) {
 		try {
-			const {idBounty} = req.params;
+			const user = await UserService.getSignedUser(req);
+			if (!user) {
+				return res.respond({
+					data: null,
+					message: 'Unauthorized.',
+					statusCode: 401,
+				});
+			}
 
-			// Validar que idBounty esté presente y sea un número válido
-			if (!idBounty || isNaN(parseInt(idBounty))) {
+			if (user.type !== 'Admin') {
 				return res.respond({
 					data: null,
-					message: 'Invalid or missing idBounty parameter.',
-					statusCode: 400,
+					message: 'Only admins can run the reconciliation.',
+					statusCode: 403,
 				});
 			}
 
-			// Verificar que la bounty exista
-			const bounty = await primate.prisma.bounty.findUnique({
-				where: {id: parseInt(idBounty)},
+			const {issues, ...counts} = await ReconciliationService.run({
+				networkId: process.env.NETWORK_ID,
+				contractId: process.env.CONTRACT_ID,
+				fix: req.body?.fix === true,
+			});
+
+			return res.respond({
+				data: issues,
+				message: 'Reconciliation completed successfully.',
+				statusCode: 200,
+				props: counts,
+			});
+		} catch (error) {
+			console.error('Error in runReconciliation:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error running the reconciliation.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a specific bounty, with the breakdown of its funding between the creator and the sponsors.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.id - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing bounty data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async getBounty(req, res) {
+		try {
+			const bountyDb = await BountyService.resolve(req.params.id);
+
+			return res.respond({
+				data: await NearController.getBountyData(bountyDb),
+				message: 'Bounty retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getBounty:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving bounty.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Retrieves a specific bounty by its slug. Slugs made only of digits can only be resolved through this route.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.slug - Slug of the bounty
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing bounty data or error message
+	 */
+	static async getBountyBySlug(req, res) {
+		try {
+			const bountyDb = await primate.prisma.bounty.findUnique({
+				where: {slug: req.params.slug},
 			});
 
-			if (!bounty) {
+			if (!bountyDb) {
 				return res.respond({
 					data: null,
 					message: 'Bounty not found.',
@@ -799,9 +2460,82 @@ class NearController {
 				});
 			}
 
+			return res.respond({
+				data: await NearController.getBountyData(bountyDb),
+				message: 'Bounty retrieved successfully.',
+				statusCode: 200,
+			});
+		} catch (error) {
+			console.error('Error in getBountyBySlug:', error);
+			return res.respond({
+				data: null,
+				message: error.message || 'Error retrieving bounty.',
+				statusCode: error.statusCode || 500,
+			});
+		}
+	}
+
+	/**
+	 * Merges a Bounty row with its on-chain record, formatting the prizes and adding the funding breakdown.
+	 *
+	 * @async
+	 * @param {Object} bountyDb - The Bounty row
+	 * @returns {Promise<Object>} The bounty data returned by getBounty
+	 * @throws {HttpError} When the bounty is not on chain
+	 */
+	static async getBountyData(bountyDb) {
+		const bounty = await BountyService.getOnChain({
+			networkId: process.env.NETWORK_ID,
+			contractId: process.env.CONTRACT_ID,
+			bountyDb,
+		});
+
+		const prizes = bounty.prizes.map(prize => BountyService.formatAmount(prize, bountyDb));
+		const totalPrize = BountyService.formatAmount(bounty.totalPrize, bountyDb);
+		const funding = await BountyService.getFunding(bountyDb, String(bounty.totalPrize || 0));
+
+		return {
+			...bounty,
+			id: bountyDb.id,
+			slug: bountyDb.slug,
+			title: bountyDb.title,
+			content: bountyDb.content,
+			status: bountyDb.status,
+			type: bountyDb.type,
+			metas: bountyDb.metas,
+			token: bountyDb.token,
+			tokenDecimals: bountyDb.tokenDecimals,
+			submissionDeadline: bountyDb.submissionDeadline,
+			judgingDeadline: bountyDb.judgingDeadline,
+			expired: bountyDb.status === 'Expired',
+			created: bountyDb.created,
+			modified: bountyDb.modified,
+			idOnChain: bountyDb.idOnChain,
+			prizes,
+			totalPrize,
+			funding,
+		};
+	}
+
+	/**
+	 * Retrieves all plans associated with a specific bounty ID.
+	 *
+	 * @async
+	 * @param {Object} req - Express request object
+	 * @param {Object} req.params - Request parameters
+	 * @param {string} req.params.idBounty - Bounty: database ID, chain:<id> or slug
+	 * @param {Object} res - Express response object
+	 * @returns {Promise<Object>} Response object containing plans data or error message
+	 * @throws {Error} When required parameters are missing or invalid
+	 */
+	static async getPlansByBountyId(req, res) {
+		try {
+			// Verificar que la bounty exista
+			const bounty = await BountyService.resolve(req.params.idBounty);
+
 			// Obtener todos los planes asociados a la bounty
 			const plans = await primate.prisma.plan.findMany({
-				where: {idBounty: parseInt(idBounty)},
+				where: {idBounty: bounty.id, status: {not: PlanService.WITHDRAWN}},
 				include: {
 					user: {
 						select: {
@@ -817,7 +2551,7 @@ class NearController {
 			});
 
 			return res.respond({
-				data: plans,
+				data: plans.map(plan => PlanService.normalize(plan)),
 				message: 'Plans retrieved successfully.',
 				statusCode: 200,
 			});
@@ -826,7 +2560,7 @@ class NearController {
 			return res.respond({
 				data: null,
 				message: error.message || 'Error retrieving plans by bounty ID.',
-				statusCode: 500,
+				statusCode: error.statusCode || 500,
 			});
 		}
 	}
@@ -886,7 +2620,7 @@ class NearController {
 			});
 
 			return res.respond({
-				data: plans,
+				data: plans.map(plan => PlanService.normalize(plan)),
 				message: 'Plans retrieved successfully.',
 				statusCode: 200,
 			});
@@ -0,0 +1,48 @@
+import Joi from 'joi';
+
+// Amount in NEAR or in token units, e.g. '10.5'
+const prize = Joi.alternatives().try(
+	Joi.string().trim().pattern(/^\d+(\.\d+)?$/).messages({
+		'string.pattern.base': '{{#label}} must be a positive amount',
+	}),
+	Joi.number().positive(),
+);
+
+const fields = {
+	title: Joi.string().trim().min(1),
+	content: Joi.string().allow(''),
+	// Digits alone would be read as a database ID by BountyService.parseRef
+	slug: Joi.string().trim().pattern(/^[a-z0-9-]+$/).pattern(/^\d+$/, {invert: true}).messages({
+		'string.pattern.base': '{{#label}} must only contain lowercase letters, numbers and dashes',
+		'string.pattern.invert.base': '{{#label}} cannot be made only of numbers',
+	}),
+	type: Joi.string().trim().min(1),
+	metas: Joi.object().unknown(true),
+	prizes: Joi.array().items(prize).min(1),
+	// NEP-141 token funding the prizes, null for NEAR
+	token: Joi.string().trim().allow(null),
+	submissionDeadline: Joi.date().iso(),
+	judgingDeadline: Joi.date().iso(),
+};
+
+/**
+ * Draft bounty created before it exists on chain. The prizes are the plan published with create_bounty.
+ */
+const draftSchema = Joi.object({
+	...fields,
+	title: fields.title.required(),
+	content: fields.content.default(''),
+	type: fields.type.default('Bounty'),
+	metas: fields.metas.default({}),
+	prizes: fields.prizes.required(),
+	token: fields.token.default(null),
+});
+
+/**
+ * Changes sent to updateDraft: any field of the draft.
+ */
+const draftUpdateSchema = Joi.object(fields).min(1);
+
+export {draftSchema, draftUpdateSchema};
+
+export default draftSchema;
@@ -0,0 +1,84 @@
+import Joi from 'joi';
+
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+	'string.pattern.base': '{{#label}} must be a time in HH:mm format',
+});
+
+const attachment = Joi.object({
+	url: Joi.string().uri().required(),
+	name: Joi.string().allow('').default(''),
+	mime: Joi.string().allow('').default(''),
+});
+
+const stop = Joi.object({
+	order: Joi.number().integer().min(1).optional(),
+	name: Joi.string().required(),
+	description: Joi.string().allow('').default(''),
+	location: Joi.object({
+		lat: Joi.number().min(-90).max(90).required(),
+		lng: Joi.number().min(-180).max(180).required(),
+		address: Joi.string().allow('').default(''),
+		placeId: Joi.string().optional(),
+	}).required(),
+	startTime: time.optional(),
+	endTime: time.optional(),
+	cost: Joi.object({
+		amount: Joi.number().min(0).precision(2).required(),
+		currency: Joi.string().uppercase().length(3).default('USD'),
+	}).optional(),
+	notes: Joi.string().allow('').default(''),
+	attachments: Joi.array().items(attachment).default([]),
+}).custom((value, helpers) => {
+	if (value.startTime && value.endTime && value.endTime <= value.startTime) {
+		return helpers.message({custom: '"endTime" must be after "startTime"'});
+	}
+
+	return value;
+});
+
+const day = Joi.object({
+	day: Joi.number().integer().min(1).optional(),
+	date: Joi.date().iso().optional(),
+	title: Joi.string().allow('').default(''),
+	notes: Joi.string().allow('').default(''),
+	stops: Joi.array().items(stop).min(1).unique('order', {ignoreUndefined: true}).required(),
+});
+
+// Places as sent by older clients: a flat list of names or stops, coordinates are not required and the name may come
+// as title
+const place = Joi.alternatives().try(
+	Joi.string(),
+	stop.fork(['name', 'location'], schema => schema.optional()).keys({title: Joi.string()}).or('name', 'title'),
+);
+
+const fields = {
+	title: Joi.string().trim().min(1),
+	description: Joi.string().trim().min(1),
+	// Database ID, chain:<id> or slug, resolved by BountyService.resolve
+	idBounty: Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().trim().min(1)),
+	days: Joi.array().items(day).min(1).unique('day', {ignoreUndefined: true}),
+	places: Joi.array().items(place).min(1),
+	notes: Joi.string().allow(''),
+	attachments: Joi.array().items(attachment),
+};
+
+/**
+ * Plan submitted with createPlan: a day-by-day itinerary of ordered stops, or the legacy flat list of places.
+ */
+const planSchema = Joi.object({
+	...fields,
+	title: fields.title.required(),
+	description: fields.description.required(),
+	idBounty: fields.idBounty.required(),
+	notes: fields.notes.default(''),
+	attachments: fields.attachments.default([]),
+}).or('days', 'places');
+
+/**
+ * Changes sent to updatePlan: any field of the plan but the bounty.
+ */
+const planUpdateSchema = Joi.object(fields).fork(['idBounty'], schema => schema.forbidden());
+
+export {planSchema, planUpdateSchema};
+
+export default planSchema;
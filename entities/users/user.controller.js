@@ -207,30 +207,58 @@ class UserController extends PrimateController {
 		}
 	};
 
-	static async connect(req, res) {
+	/**
+	 * Issues a sign-in challenge for a NEAR account.
+	 *
+	 * The client signs the returned message, nonce and recipient with the wallet (NEP-413 `signMessage`)
+	 * and sends the signature to connect.
+	 *
+	 * @param {Object} req - The request object containing the idNear in the body.
+	 * @param {Object} res - The response object used to send back the challenge or error message.
+	 * @returns {void}
+	 */
+	static async challenge(req, res) {
 		try {
 			const idNear = req.body.idNear;
 			if(!idNear) return res.respond({ status: 400, message: 'Missing idNear' });
 
-			// check if there is a users with the near id
-			let user = await PrimateService.findBy('user', { idNear });
+			const challenge = await UserService.createChallenge(idNear);
 
-			// No user, create it
-			if(!user) {
+			return res.respond({
+				data: challenge,
+				message: 'Challenge created successfully',
+			});
 
-				user = await UserService.create({
-					idNear: idNear,
-				});
-			}
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error creating challenge: ' + e.message });
+		}
+	}
+
+	/**
+	 * Connects a NEAR wallet.
+	 *
+	 * This method receives the challenge issued by challenge signed by the wallet, verifies the signature against
+	 * the account's access keys, creates the user on first connection and returns the user data along with the
+	 * access token required by the bounty routes.
+	 *
+	 * @param {Object} req - The request object containing idNear, publicKey, signature and nonce in the body.
+	 * @param {Object} res - The response object used to send back the user data with access token or error message.
+	 * @returns {void}
+	 */
+	static async connect(req, res) {
+		try {
+			const { user, accessToken } = await UserService.connect(req.body);
 
 			return res.respond({
 				data: user,
 				message: 'User connected successfully',
+				props: { accessToken },
 			});
 
 		} catch(e) {
 			console.error(e);
-			return res.respond({ status: 400, message: 'User me error: ' + e.message });
+			return res.respond({ status: 401, message: 'Error connecting user: ' + e.message });
 		}
 	}
 
@@ -1,8 +1,15 @@
 import primate, { jwt, PrimateService } from '@thewebchimp/primate';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import NearService from '#services/near.service.js';
 
 class UserService {
 
+	/**
+	 * Time in milliseconds a sign-in challenge remains valid.
+	 */
+	static CHALLENGE_TTL = 5 * 60 * 1000;
+
 	/**
 	 * Creates a new user with the given data.
 	 *
@@ -81,6 +88,119 @@ class UserService {
 
 		return { user, accessToken };
 	}
+
+	/**
+	 * @typedef {Object} UserConnectChallenge
+	 * @property {string} message - The message the wallet must sign.
+	 * @property {string} nonce - The 32 byte nonce encoded in base64.
+	 * @property {string} recipient - The recipient the wallet must declare.
+	 * @property {Date} expires - The date after which the challenge is no longer accepted.
+	 */
+
+	/**
+	 * Issues a sign-in challenge for a NEAR account.
+	 *
+	 * The nonce is stored so it can only be redeemed once and before it expires.
+	 *
+	 * @param {string} idNear - The NEAR account ID that wants to sign in.
+	 * @returns {Promise<UserConnectChallenge>} - A promise that resolves to the challenge to sign.
+	 * @throws {Error} - Throws an error if the NEAR account ID is missing.
+	 */
+	static async createChallenge(idNear) {
+		if(!idNear) throw Error('Missing idNear');
+
+		const nonce = crypto.randomBytes(32).toString('base64');
+		const message = `Sign in to Bountrip as ${ idNear }`;
+		const expires = new Date(Date.now() + UserService.CHALLENGE_TTL);
+
+		await primate.prisma.authNonce.create({
+			data: { idNear, nonce, message, expires },
+		});
+
+		return {
+			message,
+			nonce,
+			recipient: process.env.AUTH_RECIPIENT || 'bountrip',
+			expires,
+		};
+	}
+
+	/**
+	 * Signs in a NEAR account with a NEP-413 signed challenge.
+	 *
+	 * The challenge is consumed, the signature is verified against the account's access keys and the user is
+	 * created on first sign in. The returned access token is the one the bounty routes require.
+	 *
+	 * @param {Object} data - The signed challenge.
+	 * @param {string} data.idNear - The NEAR account ID.
+	 * @param {string} data.publicKey - The public key that signed the challenge.
+	 * @param {string} data.signature - The base64 signature returned by the wallet.
+	 * @param {string} data.nonce - The nonce issued by createChallenge.
+	 * @param {string} [data.callbackUrl] - The callback URL, if the wallet included one.
+	 * @returns {Promise<UserLoginResponse>} - A promise that resolves to the user object with an access token.
+	 * @throws {Error} - Throws an error if the challenge is unknown, expired or the signature is not valid.
+	 */
+	static async connect(data) {
+		const { idNear, publicKey, signature, nonce, callbackUrl } = data;
+
+		if(!idNear || !publicKey || !signature || !nonce) {
+			throw Error('Missing idNear, publicKey, signature or nonce');
+		}
+
+		const challenge = await primate.prisma.authNonce.findUnique({
+			where: { nonce },
+		});
+
+		if(!challenge || challenge.idNear !== idNear) throw Error('Unknown challenge');
+
+		// A nonce can only be used once, even if the signature turns out to be invalid
+		await primate.prisma.authNonce.delete({ where: { id: challenge.id } });
+
+		if(challenge.expires < new Date()) throw Error('Challenge expired');
+
+		const isValid = await NearService.verifySignedMessage({
+			networkId: process.env.NETWORK_ID,
+			accountId: idNear,
+			publicKey,
+			signature,
+			message: challenge.message,
+			nonce,
+			recipient: process.env.AUTH_RECIPIENT || 'bountrip',
+			callbackUrl,
+		});
+
+		if(!isValid) throw Error('Invalid signature');
+
+		/** @type {User} */
+		let user = await primate.prisma.user.findUnique({
+			where: { idNear },
+		});
+
+		// No user, create it
+		if(!user) user = await UserService.create({ idNear });
+
+		// Check user is active
+		if(user.status !== 'Active') throw Error('User is not active');
+		delete user.password;
+
+		const accessToken = await jwt.signAccessToken(user);
+
+		return { user, accessToken };
+	}
+
+	/**
+	 * Resolves the user behind the access token of an authenticated request.
+	 *
+	 * @param {Object} req - The request object, after the auth middleware.
+	 * @returns {Promise<User|null>} - A promise that resolves to the signed user, or null if there is none.
+	 */
+	static async getSignedUser(req) {
+		if(!req.user || !req.user.payload || !req.user.payload.id) return null;
+
+		return primate.prisma.user.findUnique({
+			where: { id: req.user.payload.id },
+		});
+	}
 }
 
 export default UserService;
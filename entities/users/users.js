@@ -16,7 +16,10 @@ router.post('/login', UserController.login);
 // get user avatar
 router.get('/:id/avatar', UserController.avatar);
 
-// connect
+// sign-in challenge for a NEAR wallet
+router.post('/challenge', UserController.challenge);
+
+// connect with a signed challenge
 router.post('/connect', UserController.connect);
 
 // Get bounties
@@ -0,0 +1,46 @@
+import 'dotenv/config';
+import assert from 'node:assert/strict';
+import RpcSource from './services/interactions/rpc.source.js';
+import InteractionService from './services/interaction.service.js';
+
+// Requires a local sandbox (near-sandbox / near-workspaces on 127.0.0.1:3030) with the bounty contract deployed at
+// CONTRACT_ID and at least one transaction signed by SANDBOX_ACCOUNT, e.g. a create_bounty.
+(async () => {
+    const networkId = 'sandbox';
+    const contractId = process.env.CONTRACT_ID;
+    const accountId = process.env.SANDBOX_ACCOUNT;
+
+    try {
+        assert.ok(contractId && accountId, 'Set CONTRACT_ID and SANDBOX_ACCOUNT.');
+
+        // 1. Escanear los bloques recientes
+        console.log('\n1. Escaneando los bloques del sandbox...');
+        const scan = await RpcSource.scan({networkId, contractId});
+        assert.equal(typeof scan.height, 'number');
+        console.log(`Escaneado hasta el bloque ${scan.height}, ${scan.txns.length} transacciones al contrato.`);
+
+        // 2. Un segundo escaneo solo lee los bloques nuevos y no duplica transacciones
+        console.log('\n2. Escaneando de nuevo...');
+        const rescan = await RpcSource.scan({networkId, contractId});
+        assert.ok(rescan.height >= scan.height);
+        assert.equal(new Set(rescan.txns.map(({hash}) => hash)).size, rescan.txns.length);
+
+        // 3. Obtener las interacciones de la cuenta
+        console.log('\n3. Obteniendo las interacciones de la cuenta...');
+        process.env.INTERACTIONS_SOURCE = 'rpc';
+        const {items, total} = await InteractionService.getInteractions({networkId, accountId, contractId, page: 1, limit: 10});
+        console.log('Interacciones:', items);
+
+        assert.ok(total > 0, `No interactions found for ${accountId}.`);
+        for (const interaction of items) {
+            assert.equal(interaction.signer, accountId);
+            assert.match(interaction.hash, /^\w+$/);
+            assert.ok(['transfer', 'other', ...RpcSource.TYPED_METHODS].includes(interaction.type));
+        }
+
+        console.log('\nPruebas completadas.');
+    } catch (error) {
+        console.error('Error durante las pruebas:', error);
+        process.exitCode = 1;
+    }
+})();
@@ -1,5 +1,5 @@
 import BountripController from '../controllers/bountrip.controller.js';
-import {Primate} from '@thewebchimp/primate';
+import {auth, Primate} from '@thewebchimp/primate';
 const router = Primate.getRouter();
 
 router.get('/', BountripController.getAllBounties);
@@ -8,18 +8,66 @@ router.get('/creator/:creatorId', BountripController.getCreatorBounties);
 
 router.get('/participant/:participantId', BountripController.getParticipantBounties);
 
-router.post('/finalize-bounty', BountripController.finalizeBountyInDatabase);
+router.post('/finalize-bounty', auth, BountripController.finalizeBountyInDatabase);
 
 router.get('/latest', BountripController.getLatestBounty);
 
 router.get('/interactions', BountripController.getInteractions);
 
-router.post('/plans', BountripController.createPlan);
+router.get('/feed', BountripController.getFeed);
+
+router.get('/search', BountripController.searchBounties);
+
+router.get('/drafts', auth, BountripController.getDrafts);
+
+router.post('/drafts', auth, BountripController.createDraft);
+
+router.patch('/drafts/:id', auth, BountripController.updateDraft);
+
+router.delete('/drafts/:id', auth, BountripController.deleteDraft);
+
+router.get('/drafts/:id/preview', auth, BountripController.previewDraft);
+
+router.post('/drafts/:id/publish', auth, BountripController.publishDraft);
+
+router.get('/admin/reconciliation', auth, BountripController.getReconciliationIssues);
+
+router.post('/admin/reconciliation/run', auth, BountripController.runReconciliation);
+
+router.post('/plans', auth, BountripController.createPlan);
+
+router.patch('/plans/:id', auth, BountripController.updatePlan);
+
+router.delete('/plans/:id', auth, BountripController.deletePlan);
+
+router.get('/plans/:id/versions', auth, BountripController.getPlanVersions);
+
+router.get('/plans/:id/diff', auth, BountripController.getPlanDiff);
+
+router.put('/plans/:id/score', auth, BountripController.scorePlan);
+
+router.get('/plans/:id/comments', auth, BountripController.getPlanComments);
+
+router.post('/plans/:id/comments', auth, BountripController.commentPlan);
 
 router.get('/:idBounty/plans', BountripController.getPlansByBountyId);
 
 router.get('/users/:idNear/plans', BountripController.getPlansByIdNear);
 
+router.get('/:id/history', BountripController.getBountyHistory);
+
+router.put('/:id/criteria', auth, BountripController.setJudgingCriteria);
+
+router.get('/:id/judges', auth, BountripController.getJudges);
+
+router.post('/:id/judges', auth, BountripController.inviteJudge);
+
+router.delete('/:id/judges/:idNear', auth, BountripController.removeJudge);
+
+router.get('/:id/leaderboard', auth, BountripController.getLeaderboard);
+
+router.get('/by-slug/:slug', BountripController.getBountyBySlug);
+
 router.get('/:id', BountripController.getBounty);
 
 router.post('/', BountripController.createBounty);
@@ -28,6 +76,18 @@ router.post('/:id/participate', BountripController.participate);
 
 router.post('/:id/finalize', BountripController.finalizeBounty);
 
-router.post('/store', BountripController.store);
+router.post('/:id/finalize/preview', BountripController.previewFinalization);
+
+router.post('/:id/cancel', BountripController.cancelBounty);
+
+router.post('/:id/fund', BountripController.fundBounty);
+
+router.post('/store', auth, BountripController.store);
+
+router.post('/tx/build', BountripController.buildTransaction);
+
+router.post('/tx/estimate', BountripController.estimateTransaction);
+
+router.post('/tx/confirm', auth, BountripController.confirmTransaction);
 
 export {router};
@@ -0,0 +1,815 @@
+import primate from '@thewebchimp/primate';
+import {utils} from 'near-api-js';
+import HttpError from '#utils/http-error.js';
+import NearService from './near.service.js';
+import PlanService from './plan.service.js';
+import GasService from './gas.service.js';
+
+/**
+ * @class BountyService
+ * @description Database access for bounties, including the on-chain data mirrored by the indexer.
+ */
+class BountyService {
+	/**
+	 * @static
+	 * @description Fields list endpoints can be sorted by.
+	 */
+	static SORT_FIELDS = ['created', 'totalPrize'];
+
+	/**
+	 * @static
+	 * @description Maximum page size accepted by list endpoints.
+	 */
+	static MAX_LIMIT = 100;
+
+	/**
+	 * @static
+	 * @description Lifecycle of a bounty: the statuses each status can move to.
+	 * Finished and Cancelled are final. Drafts are cancelled when their creator discards them, expired bounties can
+	 * still be cancelled to refund their prizes.
+	 */
+	static TRANSITIONS = {
+		Draft: ['Published', 'Cancelled'],
+		Published: ['Judging', 'Finished', 'Cancelled', 'Expired'],
+		Judging: ['Finished', 'Cancelled', 'Expired'],
+		Finished: [],
+		Cancelled: [],
+		Expired: ['Cancelled'],
+	};
+
+	/**
+	 * @static
+	 * @description Prefix of the references to a bounty by its on-chain ID, e.g. `chain:12`.
+	 */
+	static CHAIN_PREFIX = 'chain:';
+
+	/**
+	 * Parses a reference to a bounty: a database ID, a `chain:<id>` on-chain ID, or a slug.
+	 *
+	 * @param {number|string} ref - The reference, as sent in the path or the body.
+	 *
+	 * @returns {{id: number}|{idOnChain: string}|{slug: string}} - The Prisma filter selecting the bounty.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the reference is empty or the on-chain ID is not a number.
+	 */
+	static parseRef(ref) {
+		if (typeof ref === 'number' && Number.isInteger(ref)) return {id: ref};
+
+		const value = typeof ref === 'string' ? ref.trim() : '';
+		if (!value) throw new HttpError(400, 'Invalid bounty reference. Use a database ID, chain:<id> or a slug.');
+
+		if (value.startsWith(BountyService.CHAIN_PREFIX)) {
+			const idOnChain = value.slice(BountyService.CHAIN_PREFIX.length);
+			if (!/^\d+$/.test(idOnChain)) throw new HttpError(400, `Invalid on-chain ID ${idOnChain}.`);
+
+			return {idOnChain: String(parseInt(idOnChain))};
+		}
+
+		if (/^\d+$/.test(value)) return {id: parseInt(value)};
+
+		return {slug: value};
+	}
+
+	/**
+	 * Finds the Bounty row a reference points to.
+	 *
+	 * @param {number|string} ref - A database ID, a `chain:<id>` on-chain ID, or a slug.
+	 * @param {Object} [options={}] - Query options.
+	 * @param {Object} [options.include] - Relations to include.
+	 *
+	 * @returns {Promise<Object>} - The bounty.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the reference is not valid or a 404 error if no bounty matches it.
+	 */
+	static async resolve(ref, {include} = {}) {
+		const where = BountyService.parseRef(ref);
+
+		const bounty = await primate.prisma.bounty.findFirst({where, ...(include && {include})});
+		if (!bounty) throw new HttpError(404, 'Bounty not found.');
+
+		return bounty;
+	}
+
+	/**
+	 * Retrieves the on-chain record of a bounty.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 * @param {Object} params.bountyDb - The Bounty row.
+	 *
+	 * @returns {Promise<Object>} - The bounty as returned by NearService.getBounty.
+	 *
+	 * @throws {HttpError} - Throws a 404 error if the bounty was not created on chain or the contract does not know it.
+	 */
+	static async getOnChain({networkId, contractId, bountyDb}) {
+		// Rows stored before idOnChain was validated may hold 'undefined' or 'null'
+		if (!/^\d+$/.test(bountyDb.idOnChain || '')) {
+			throw new HttpError(404, 'The bounty has not been created on chain yet.');
+		}
+
+		let chainBounty;
+		try {
+			chainBounty = await NearService.getBounty({
+				networkId,
+				contractId,
+				bountyId: parseInt(bountyDb.idOnChain),
+			});
+		} catch (error) {
+			if (/not found|does not exist|doesn't exist/i.test(error.message)) {
+				throw new HttpError(404, `Bounty ${bountyDb.idOnChain} not found on chain.`);
+			}
+
+			throw error;
+		}
+
+		if (!chainBounty) throw new HttpError(404, `Bounty ${bountyDb.idOnChain} not found on chain.`);
+
+		return chainBounty;
+	}
+
+	/**
+	 * Checks that an on-chain ID is not bound to another Bounty row. Rows are looked up by idOnChain, so a bounty on
+	 * chain must have a single row.
+	 *
+	 * @param {string} idOnChain - On-chain ID about to be bound.
+	 * @param {Object} [params={}] - Parameters.
+	 * @param {number} [params.idBounty] - Database ID of the row being bound, which may already hold it.
+	 * @param {Object} [params.prisma] - Prisma client, pass the transaction client to check within it.
+	 *
+	 * @returns {Promise<void>}
+	 *
+	 * @throws {HttpError} - Throws a 409 error if another row holds the on-chain ID.
+	 */
+	static async assertUnbound(idOnChain, {idBounty = null, prisma = primate.prisma} = {}) {
+		const holder = await prisma.bounty.findFirst({
+			where: {idOnChain: String(idOnChain), ...(idBounty && {id: {not: idBounty}})},
+			select: {id: true},
+		});
+
+		if (holder) throw new HttpError(409, `Bounty ${idOnChain} on chain is already bound to bounty ${holder.id}.`);
+	}
+
+	/**
+	 * Checks that a user can bind a Bounty row to a bounty already on chain, as sent by clients that create the
+	 * bounty on chain before storing its metadata: the bounty must exist, be created by the user and have no row yet.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 * @param {string} params.idOnChain - On-chain ID sent by the client.
+	 * @param {Object} params.user - The signed user.
+	 * @param {Object} [params.bountyDb] - The row being bound, when updating.
+	 *
+	 * @returns {Promise<Object>} - The bounty as returned by the contract.
+	 *
+	 * @throws {HttpError} - Throws a 404 error if the bounty is not on chain, 403 if the user did not create it and 409
+	 * if the row is bound to another bounty or the bounty to another row.
+	 */
+	static async claimOnChain({networkId, contractId, idOnChain, user, bountyDb = null}) {
+		if (bountyDb && bountyDb.idOnChain && bountyDb.idOnChain !== String(idOnChain)) {
+			throw new HttpError(409, `Bounty ${bountyDb.id} is already bound to bounty ${bountyDb.idOnChain} on chain.`);
+		}
+
+		const chainBounty = await BountyService.getOnChain({networkId, contractId, bountyDb: {idOnChain: String(idOnChain)}});
+
+		if ((chainBounty.creator || chainBounty.creatorId) !== user.idNear) {
+			throw new HttpError(403, `Bounty ${idOnChain} on chain was not created by ${user.idNear}.`);
+		}
+
+		await BountyService.assertUnbound(idOnChain, {idBounty: bountyDb?.id});
+
+		return chainBounty;
+	}
+
+	/**
+	 * Records the creation of a bounty as the first entry of its history.
+	 *
+	 * @param {Object} bounty - The bounty that was just created.
+	 * @param {Object} params - Transition parameters.
+	 * @param {string} params.actor - NEAR account ID (or 'system') that created the bounty.
+	 * @param {number} [params.idUser] - Database ID of the user that created the bounty.
+	 * @param {Object} [params.prisma] - Prisma client, pass the transaction client to record it atomically.
+	 *
+	 * @returns {Promise<Object>} - The recorded transition.
+	 */
+	static async recordCreation(bounty, {actor, idUser = null, prisma = primate.prisma}) {
+		return prisma.bountyTransition.create({
+			data: {idBounty: bounty.id, idUser, from: null, to: bounty.status, actor, note: 'Created'},
+		});
+	}
+
+	/**
+	 * Moves a bounty to another status, enforcing the lifecycle and recording the transition.
+	 * Moving a bounty to the status it already has only updates `data`. Bounties whose status predates the lifecycle
+	 * can move to any status. Outcomes confirmed on chain are applied with `force`: the contract does not know about
+	 * the deadlines, so a bounty Expired in the database can still be finalized on chain.
+	 *
+	 * @param {Object} bounty - The bounty to move.
+	 * @param {string} to - Target status.
+	 * @param {Object} params - Transition parameters.
+	 * @param {string} params.actor - NEAR account ID (or 'system') performing the transition.
+	 * @param {number} [params.idUser] - Database ID of the user performing the transition.
+	 * @param {string} [params.note=''] - Reason of the transition.
+	 * @param {Object} [params.data={}] - Additional fields to update along with the status.
+	 * @param {Object} [params.prisma] - Prisma client, pass the transaction client to update atomically.
+	 * @param {boolean} [params.force=false] - Skips the lifecycle check, only for the status reported by the chain.
+	 *
+	 * @returns {Promise<Object>} - The updated bounty.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the status is unknown or a 409 error if the transition is not allowed.
+	 */
+	static async transition(bounty, to, {actor, idUser = null, note = '', data = {}, prisma = primate.prisma, force = false}) {
+		if (!BountyService.TRANSITIONS[to]) {
+			throw new HttpError(400, `Invalid status ${to}. Use one of: ${Object.keys(BountyService.TRANSITIONS).join(', ')}.`);
+		}
+
+		const from = bounty.status;
+		if (from === to) {
+			if (Object.keys(data).length === 0) return bounty;
+			return prisma.bounty.update({where: {id: bounty.id}, data});
+		}
+
+		const allowed = BountyService.TRANSITIONS[from];
+		if (!force && allowed && !allowed.includes(to)) {
+			throw new HttpError(409, `A bounty cannot move from ${from} to ${to}.`);
+		}
+
+		const updated = await prisma.bounty.update({
+			where: {id: bounty.id},
+			data: {...data, status: to, modified: new Date()},
+		});
+
+		await prisma.bountyTransition.create({
+			data: {idBounty: bounty.id, idUser, from, to, actor, note},
+		});
+
+		return updated;
+	}
+
+	/**
+	 * @static
+	 * @description Statuses in which plans cannot be submitted, regardless of the deadline: not published yet, or past
+	 * the submission phase.
+	 */
+	static CLOSED_STATUSES = ['Draft', 'Judging', 'Finished', 'Cancelled', 'Expired'];
+
+	/**
+	 * Validates the deadlines sent by the client.
+	 *
+	 * @param {Object} params - Deadlines as sent by the client, ISO 8601 strings or timestamps.
+	 * @param {string|number} [params.submissionDeadline] - Date after which plans can no longer be submitted.
+	 * @param {string|number} [params.judgingDeadline] - Date by which the creator must pick the winners.
+	 * @param {Object} [current={}] - Deadlines already stored, used when only one of them is updated.
+	 *
+	 * @returns {{submissionDeadline?: Date, judgingDeadline?: Date}} - The deadlines to store.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if a date is invalid or the judging deadline is not after the submission deadline.
+	 */
+	static parseDeadlines({submissionDeadline, judgingDeadline}, current = {}) {
+		const deadlines = {};
+
+		for (const [name, value] of Object.entries({submissionDeadline, judgingDeadline})) {
+			if (value === undefined || value === null || value === '') continue;
+
+			const date = new Date(value);
+			if (isNaN(date.getTime())) throw new HttpError(400, `Invalid ${name}.`);
+
+			deadlines[name] = date;
+		}
+
+		const submission = deadlines.submissionDeadline || current.submissionDeadline;
+		const judging = deadlines.judgingDeadline || current.judgingDeadline;
+
+		if (submission && judging && judging <= submission) {
+			throw new HttpError(400, 'judgingDeadline must be after submissionDeadline.');
+		}
+
+		return deadlines;
+	}
+
+	/**
+	 * Checks whether a bounty still accepts plans and participants.
+	 *
+	 * @param {Object} bounty - The bounty.
+	 *
+	 * @returns {boolean} - False while the bounty is a draft, and once the submission deadline has passed or the bounty
+	 * has left the submission phase.
+	 */
+	static isSubmissionOpen(bounty) {
+		if (BountyService.CLOSED_STATUSES.includes(bounty.status)) return false;
+		return !bounty.submissionDeadline || bounty.submissionDeadline > new Date();
+	}
+
+	/**
+	 * Moves the bounties whose deadlines have passed: Published bounties past their submission deadline go to
+	 * Judging, bounties past their judging deadline without winners go to Expired. Runs as a scheduled job.
+	 * A bounty that cannot be moved is logged and skipped, the others are still processed.
+	 *
+	 * @returns {Promise<{judging: number, expired: number}>} - Number of bounties moved to each status.
+	 */
+	static async expireOverdue() {
+		const now = new Date();
+		const result = {judging: 0, expired: 0};
+
+		const toExpire = await primate.prisma.bounty.findMany({
+			where: {
+				status: {in: ['Published', 'Judging']},
+				judgingDeadline: {lt: now},
+			},
+		});
+
+		for (const bounty of toExpire) {
+			// Winners picked on chain are pending confirmation, the bounty is about to finish
+			if ((bounty.winners || []).length > 0) continue;
+
+			try {
+				await BountyService.transition(bounty, 'Expired', {
+					actor: 'system',
+					note: 'Judging deadline reached without winners',
+				});
+				result.expired++;
+			} catch (error) {
+				console.error(`Error expiring bounty ${bounty.id}: ${error.message}`);
+			}
+		}
+
+		const toJudge = await primate.prisma.bounty.findMany({
+			where: {
+				status: 'Published',
+				submissionDeadline: {lt: now},
+			},
+		});
+
+		for (const bounty of toJudge) {
+			try {
+				await BountyService.transition(bounty, 'Judging', {
+					actor: 'system',
+					note: 'Submission deadline reached',
+				});
+				result.judging++;
+			} catch (error) {
+				console.error(`Error moving bounty ${bounty.id} to Judging: ${error.message}`);
+			}
+		}
+
+		if (result.judging || result.expired) {
+			console.info(`Moved ${result.judging} bounties to Judging and ${result.expired} to Expired.`);
+		}
+
+		return result;
+	}
+
+	/**
+	 * @typedef {Object} FieldError
+	 * @property {string} field - Path of the invalid field, e.g. 'winners[1]'.
+	 * @property {string} message - Why the field is invalid.
+	 */
+
+	/**
+	 * Validates the winners of a bounty before building the finalize_bounty transaction.
+	 *
+	 * The sender must be the creator, the bounty must still be open on chain, there must be exactly one winner per
+	 * prize slot and every winner must be a participant who submitted a plan for the bounty.
+	 *
+	 * @param {Object} params - Validation parameters.
+	 * @param {Object} params.chainBounty - The bounty as returned by NearService.getBounty.
+	 * @param {Object} params.bountyDb - The Bounty row.
+	 * @param {string} params.sender - NEAR account ID that will sign the transaction.
+	 * @param {string[]} params.winners - NEAR account IDs of the winners, in prize order.
+	 *
+	 * @returns {Promise<Array<FieldError>>} - The validation errors, empty if the winners are valid.
+	 */
+	static async validateWinners({chainBounty, bountyDb, sender, winners}) {
+		const errors = [];
+		const prizes = chainBounty.prizes || [];
+		const participants = chainBounty.participants || [];
+
+		if (sender !== (chainBounty.creator || chainBounty.creatorId)) {
+			errors.push({field: 'sender', message: 'Only the creator of the bounty can finalize it.'});
+		}
+
+		if (chainBounty.isActive === false || (chainBounty.winners || []).length > 0) {
+			errors.push({field: 'bountyId', message: 'The bounty has already been finalized.'});
+		}
+
+		if (winners.length !== prizes.length) {
+			errors.push({
+				field: 'winners',
+				message: `The bounty has ${prizes.length} prize(s) but ${winners.length} winner(s) were provided.`,
+			});
+		}
+
+		const plans = await primate.prisma.plan.findMany({
+			where: {idBounty: bountyDb.id, status: {not: PlanService.WITHDRAWN}},
+			select: {user: {select: {idNear: true}}},
+		});
+		const planAuthors = plans.map(plan => plan.user.idNear);
+
+		winners.forEach((winner, index) => {
+			const field = `winners[${index}]`;
+
+			if (winners.indexOf(winner) !== index) {
+				errors.push({field, message: `${winner} is listed more than once.`});
+			} else if (!participants.includes(winner)) {
+				errors.push({field, message: `${winner} is not a participant of the bounty.`});
+			} else if (!planAuthors.includes(winner)) {
+				errors.push({field, message: `${winner} has not submitted a plan for the bounty.`});
+			}
+		});
+
+		return errors;
+	}
+
+	/**
+	 * @typedef {Object} Payout
+	 * @property {number} position - 1-based prize position.
+	 * @property {string|null} winner - NEAR account ID receiving the prize, null if no winner was given for it.
+	 * @property {string} amount - Prize in NEAR, or in units of the token for token bounties.
+	 * @property {string} yocto - Prize in yoctoNEAR, or in the smallest unit of the token.
+	 * @property {string|null} token - NEP-141 token of the prize, null for NEAR.
+	 */
+
+	/**
+	 * Maps the prizes of a bounty to the winners in order: the first winner receives the first prize and so on.
+	 *
+	 * @param {Object} params - Mapping parameters.
+	 * @param {string[]} params.prizes - Prizes as stored on chain, in yoctoNEAR or in the smallest unit of the token.
+	 * @param {string[]} params.winners - NEAR account IDs of the winners, in prize order.
+	 * @param {Object} params.bountyDb - The Bounty row, used to format token prizes.
+	 *
+	 * @returns {Array<Payout>} - One payout per prize.
+	 */
+	static mapPayouts({prizes, winners, bountyDb}) {
+		return prizes.map((prize, index) => ({
+			position: index + 1,
+			winner: winners[index] || null,
+			amount: BountyService.formatAmount(String(prize), bountyDb),
+			yocto: String(prize),
+			token: bountyDb.token || null,
+		}));
+	}
+
+	/**
+	 * Validates the winners of a bounty against its on-chain state and builds the finalize_bounty transaction.
+	 *
+	 * @param {Object} params - Finalization parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.sender - NEAR account ID that will sign the transaction, the creator of the bounty.
+	 * @param {string} params.receiver - The bounty contract.
+	 * @param {Object} params.bountyDb - The Bounty row.
+	 * @param {string[]} params.winners - NEAR account IDs of the winners, in prize order.
+	 * @param {string} [params.publicKey] - Public key the sender wants to sign with.
+	 *
+	 * @returns {Promise<{chainBounty: Object, errors: Array<FieldError>, payouts: Array<Payout>, transaction: Object|null}>}
+	 * - The on-chain bounty, the validation errors, the prize of each winner and the unsigned transaction, null if the
+	 * winners are invalid.
+	 *
+	 * @throws {HttpError} - Throws a 404 error if the bounty is not on chain.
+	 */
+	static async prepareFinalization({networkId, sender, receiver, bountyDb, winners, publicKey}) {
+		const chainBounty = await BountyService.getOnChain({networkId, contractId: receiver, bountyDb});
+		const idOnChain = bountyDb.idOnChain.toString();
+
+		const errors = await BountyService.validateWinners({chainBounty, bountyDb, sender, winners});
+		const payouts = BountyService.mapPayouts({prizes: chainBounty.prizes || [], winners, bountyDb});
+
+		if (errors.length > 0) return {chainBounty, errors, payouts, transaction: null};
+
+		const {gas} = await GasService.getGas('finalize_bounty', {units: winners.length});
+
+		const transaction = await NearService.finalizeBountyTransaction({
+			networkId,
+			sender,
+			receiver,
+			bountyId: idOnChain,
+			winners,
+			gas,
+			publicKey,
+		});
+
+		return {chainBounty, errors, payouts, transaction};
+	}
+
+	/**
+	 * Validates the cancellation of a bounty before building the cancel_bounty transaction.
+	 *
+	 * The sender must be the creator and the bounty must not be finalized, neither on chain nor in the database.
+	 *
+	 * @param {Object} params - Validation parameters.
+	 * @param {Object} params.chainBounty - The bounty as returned by NearService.getBounty.
+	 * @param {Object} params.bountyDb - The Bounty row.
+	 * @param {string} params.sender - NEAR account ID that will sign the transaction.
+	 *
+	 * @returns {Array<FieldError>} - The validation errors, empty if the bounty can be cancelled.
+	 */
+	static validateCancellation({chainBounty, bountyDb, sender}) {
+		const errors = [];
+
+		if (sender !== (chainBounty.creator || chainBounty.creatorId)) {
+			errors.push({field: 'sender', message: 'Only the creator of the bounty can cancel it.'});
+		}
+
+		if ((chainBounty.winners || []).length > 0 || bountyDb.status === 'Finished') {
+			errors.push({field: 'bountyId', message: 'The bounty has already been finalized.'});
+		} else if (chainBounty.isActive === false || bountyDb.status === 'Cancelled') {
+			errors.push({field: 'bountyId', message: 'The bounty has already been cancelled.'});
+		}
+
+		return errors;
+	}
+
+	/**
+	 * @typedef {Object} Funding
+	 * @property {string} total - Total prize in NEAR, or in units of the token.
+	 * @property {string|null} token - NEP-141 token of the prizes, null for NEAR.
+	 * @property {{contributor: string, amount: string, yocto: string}} creator - What the creator funded at creation.
+	 * @property {Array<{contributor: string, amount: string, yocto: string, contributions: number}>} sponsors - Funds
+	 * added afterwards, per contributor, largest first.
+	 */
+
+	/**
+	 * Breaks down the funding of a bounty between its creator and the accounts that added funds later.
+	 * The share of the creator is the total prize minus the recorded contributions.
+	 *
+	 * @param {Object} bountyDb - The Bounty row.
+	 * @param {string} [totalPrize] - Total prize in yoctoNEAR or in the smallest unit of the token, the indexed one
+	 * if omitted.
+	 *
+	 * @returns {Promise<Funding>} - The funding breakdown.
+	 */
+	static async getFunding(bountyDb, totalPrize = bountyDb.totalPrize ? bountyDb.totalPrize.toFixed() : '0') {
+		const contributions = await primate.prisma.bountyContribution.groupBy({
+			by: ['contributor'],
+			where: {idBounty: bountyDb.id},
+			_sum: {amount: true},
+			_count: {_all: true},
+		});
+
+		const sponsors = contributions
+			.map(({contributor, _sum, _count}) => ({
+				contributor,
+				yocto: _sum.amount ? _sum.amount.toFixed() : '0',
+				contributions: _count._all,
+			}))
+			.sort((a, b) => {
+				const difference = BigInt(b.yocto) - BigInt(a.yocto);
+				return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+			});
+
+		const contributed = sponsors.reduce((sum, sponsor) => sum + BigInt(sponsor.yocto), 0n);
+		const initial = BigInt(totalPrize) > contributed ? BigInt(totalPrize) - contributed : 0n;
+
+		return {
+			total: BountyService.formatAmount(String(totalPrize), bountyDb),
+			token: bountyDb.token || null,
+			creator: {
+				contributor: bountyDb.creator,
+				amount: BountyService.formatAmount(initial.toString(), bountyDb),
+				yocto: initial.toString(),
+			},
+			sponsors: sponsors.map(sponsor => ({
+				contributor: sponsor.contributor,
+				amount: BountyService.formatAmount(sponsor.yocto, bountyDb),
+				yocto: sponsor.yocto,
+				contributions: sponsor.contributions,
+			})),
+		};
+	}
+
+	/**
+	 * Retrieves the audit trail of a bounty, oldest first.
+	 *
+	 * @param {number} idBounty - Database ID of the bounty.
+	 *
+	 * @returns {Promise<Array<Object>>} - The recorded transitions.
+	 */
+	static async getHistory(idBounty) {
+		return primate.prisma.bountyTransition.findMany({
+			where: {idBounty},
+			orderBy: {created: 'asc'},
+		});
+	}
+
+	/**
+	 * @typedef {Object} BountyListOptions
+	 * @property {number} page - 1-based page number.
+	 * @property {number} limit - Page size.
+	 * @property {string} [status] - Database status of the bounty.
+	 * @property {string} [type] - Type of the bounty.
+	 * @property {string} [creator] - NEAR account ID of the creator.
+	 * @property {string} [minPrize] - Minimum total prize in NEAR, NEAR bounties only.
+	 * @property {string} [maxPrize] - Maximum total prize in NEAR, NEAR bounties only.
+	 * @property {string} sort - One of SORT_FIELDS; totalPrize lists NEAR bounties only.
+	 * @property {string} order - 'asc' or 'desc'.
+	 */
+
+	/**
+	 * Parses the pagination, filtering and sorting query parameters shared by the bounty list endpoints.
+	 *
+	 * @param {Object} [query={}] - Express query object.
+	 *
+	 * @returns {BountyListOptions} - Normalized list options.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if sort or a prize bound is not valid.
+	 */
+	static parseListOptions(query = {}) {
+		const {status, type, creator, minPrize, maxPrize} = query;
+
+		const page = Math.max(parseInt(query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), BountyService.MAX_LIMIT);
+
+		const sort = query.sort || 'created';
+		if (!BountyService.SORT_FIELDS.includes(sort)) {
+			throw new HttpError(400, `Invalid sort. Use one of: ${BountyService.SORT_FIELDS.join(', ')}.`);
+		}
+
+		const order = query.order === 'asc' ? 'asc' : 'desc';
+
+		for (const [name, value] of Object.entries({minPrize, maxPrize})) {
+			if (value !== undefined && !/^\d+(\.\d{1,24})?$/.test(String(value).trim())) {
+				throw new HttpError(400, `Invalid ${name}. Provide an amount in NEAR.`);
+			}
+		}
+
+		return {
+			page,
+			limit,
+			status,
+			type,
+			creator,
+			minPrize: minPrize !== undefined ? String(minPrize).trim() : undefined,
+			maxPrize: maxPrize !== undefined ? String(maxPrize).trim() : undefined,
+			sort,
+			order,
+		};
+	}
+
+	/**
+	 * Whether the list options compare prizes in NEAR. Prizes of NEP-141 bounties are stored in the token smallest
+	 * unit, so those bounties are left out of prize filters and prize sorting.
+	 *
+	 * @param {BountyListOptions} options - Pagination, filtering and sorting options.
+	 *
+	 * @returns {boolean} - True if only NEAR bounties can be listed.
+	 */
+	static comparesPrizes(options) {
+		return options.minPrize !== undefined || options.maxPrize !== undefined || options.sort === 'totalPrize';
+	}
+
+	/**
+	 * Retrieves a page of indexed bounties.
+	 *
+	 * @param {Object} [where={}] - Prisma filter applied on top of the list options.
+	 * @param {BountyListOptions} [options] - Pagination, filtering and sorting options.
+	 *
+	 * @returns {Promise<{items: Array<Object>, total: number, page: number, limit: number}>} - The page of bounties in
+	 * the same shape as NearController.completeBountyData and the total number of matching bounties.
+	 */
+	static async findIndexed(where = {}, options = BountyService.parseListOptions()) {
+		const filter = {
+			AND: [
+				where,
+				BountyService._buildWhere(options),
+				{synced: {not: null}},
+			],
+		};
+
+		const [bounties, total] = await Promise.all([
+			primate.prisma.bounty.findMany({
+				where: filter,
+				orderBy: {[options.sort]: options.order},
+				skip: (options.page - 1) * options.limit,
+				take: options.limit,
+			}),
+			primate.prisma.bounty.count({where: filter}),
+		]);
+
+		return {
+			items: bounties.map(bounty => BountyService.formatIndexed(bounty)),
+			total,
+			page: options.page,
+			limit: options.limit,
+		};
+	}
+
+	/**
+	 * Applies the list options to bounties already loaded in memory, used when the data comes from the contract.
+	 *
+	 * @param {Array<Object>} bounties - Bounties in the shape returned by NearController.completeBountyData.
+	 * @param {BountyListOptions} options - Pagination, filtering and sorting options.
+	 *
+	 * @returns {{items: Array<Object>, total: number, page: number, limit: number}} - The requested page and the
+	 * total number of matching bounties.
+	 */
+	static paginate(bounties, options) {
+		const toYocto = amount => BigInt(utils.format.parseNearAmount(String(amount)) || '0');
+
+		const filtered = bounties.filter(bounty => {
+			if (options.status && bounty.status !== options.status) return false;
+			if (options.type && bounty.type !== options.type) return false;
+			if (options.creator && bounty.creator !== options.creator) return false;
+			if (BountyService.comparesPrizes(options) && bounty.token) return false;
+			if (options.minPrize !== undefined && toYocto(bounty.totalPrize) < toYocto(options.minPrize)) return false;
+			if (options.maxPrize !== undefined && toYocto(bounty.totalPrize) > toYocto(options.maxPrize)) return false;
+			return true;
+		});
+
+		const direction = options.order === 'asc' ? 1 : -1;
+		filtered.sort((a, b) => {
+			const left = options.sort === 'totalPrize' ? toYocto(a.totalPrize) : new Date(a.created).getTime();
+			const right = options.sort === 'totalPrize' ? toYocto(b.totalPrize) : new Date(b.created).getTime();
+			if (left === right) return 0;
+			return left > right ? direction : -direction;
+		});
+
+		const start = (options.page - 1) * options.limit;
+
+		return {
+			items: filtered.slice(start, start + options.limit),
+			total: filtered.length,
+			page: options.page,
+			limit: options.limit,
+		};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Builds the Prisma filter for the list options.
+	 *
+	 * @param {BountyListOptions} options - Pagination, filtering and sorting options.
+	 *
+	 * @returns {Object} - Prisma filter.
+	 */
+	static _buildWhere(options) {
+		const where = {};
+
+		if (options.status) where.status = options.status;
+		if (options.type) where.type = options.type;
+		if (options.creator) where.creator = options.creator;
+		if (BountyService.comparesPrizes(options)) where.token = null;
+
+		if (options.minPrize !== undefined || options.maxPrize !== undefined) {
+			where.totalPrize = {
+				...(options.minPrize !== undefined && {gte: utils.format.parseNearAmount(String(options.minPrize))}),
+				...(options.maxPrize !== undefined && {lte: utils.format.parseNearAmount(String(options.maxPrize))}),
+			};
+		}
+
+		return where;
+	}
+
+	/**
+	 * Formats a prize amount of a bounty: yoctoNEAR to NEAR, or token smallest unit to token units for NEP-141 bounties.
+	 *
+	 * @param {string|number} amount - Amount in yoctoNEAR or in the token smallest unit.
+	 * @param {Object} bountyDb - The Bounty row, with token and tokenDecimals.
+	 *
+	 * @returns {string} - The formatted amount.
+	 */
+	static formatAmount(amount, bountyDb) {
+		if (!bountyDb.token) return utils.format.formatNearAmount(String(amount));
+		return NearService.formatTokenAmount(amount, bountyDb.tokenDecimals);
+	}
+
+	/**
+	 * Formats an indexed Bounty row, converting the prizes from yoctoNEAR to NEAR (or to token units).
+	 *
+	 * @param {Object} bountyDb - Bounty row with indexed on-chain columns.
+	 *
+	 * @returns {Object} - Bounty with on-chain and database data merged.
+	 */
+	static formatIndexed(bountyDb) {
+		const prizes = bountyDb.prizes || [];
+		const totalPrize = bountyDb.totalPrize ? bountyDb.totalPrize.toFixed() : '0';
+
+		return {
+			creator: bountyDb.creator,
+			prizes: prizes.map(prize => BountyService.formatAmount(prize, bountyDb)),
+			totalPrize: BountyService.formatAmount(totalPrize, bountyDb),
+			token: bountyDb.token,
+			tokenDecimals: bountyDb.tokenDecimals,
+			participants: bountyDb.participants || [],
+			winners: bountyDb.winners || [],
+			chainStatus: bountyDb.chainStatus,
+			submissionDeadline: bountyDb.submissionDeadline,
+			judgingDeadline: bountyDb.judgingDeadline,
+			expired: bountyDb.status === 'Expired',
+			destination: bountyDb.destination,
+			latitude: bountyDb.latitude,
+			longitude: bountyDb.longitude,
+			idOnChain: bountyDb.idOnChain ? parseInt(bountyDb.idOnChain) : null,
+			id: bountyDb.id,
+			title: bountyDb.title,
+			content: bountyDb.content,
+			status: bountyDb.status,
+			type: bountyDb.type,
+			metas: bountyDb.metas,
+			created: bountyDb.created,
+			modified: bountyDb.modified,
+		};
+	}
+}
+
+export default BountyService;
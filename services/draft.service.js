@@ -0,0 +1,358 @@
+import primate from '@thewebchimp/primate';
+import {utils} from 'near-api-js';
+import {v4 as uuidv4} from 'uuid';
+import HttpError from '#utils/http-error.js';
+import {draftSchema} from '#entities/bounties/draft.schema.js';
+import NearService from './near.service.js';
+import BountyService from './bounty.service.js';
+import GasService from './gas.service.js';
+import SearchService from './search.service.js';
+import JudgingService from './judging.service.js';
+import UploadService from './upload.service.js';
+
+/**
+ * @class DraftService
+ * @description Draft bounties: the creator writes the bounty (title, content, photos and prizes) before it exists on
+ * chain, previews it and publishes it. Publishing builds the create_bounty transaction from the stored prizes; the
+ * on-chain ID is bound when the signed transaction is confirmed, which moves the bounty to Published.
+ *
+ * The prizes of a draft are stored like the indexed ones, in yoctoNEAR or in the token smallest unit, so drafts are
+ * formatted with BountyService.formatIndexed like any other bounty.
+ */
+class DraftService {
+	/**
+	 * Validates a draft sent by the client.
+	 *
+	 * @param {Object} data - Request body.
+	 * @param {Joi.ObjectSchema} [schema=draftSchema] - draftSchema to create a draft, draftUpdateSchema to edit it.
+	 *
+	 * @returns {Object} - The validated draft, unknown fields stripped.
+	 *
+	 * @throws {HttpError} - Throws a 400 error with the field-level errors in `data.errors`.
+	 */
+	static validate(data, schema = draftSchema) {
+		const {value, error} = schema.validate(data, {abortEarly: false, stripUnknown: true});
+
+		if (error) {
+			const errors = error.details.map(({path, message}) => ({
+				field: path.reduce((field, key) => {
+					if (typeof key === 'number') return `${field}[${key}]`;
+					return field ? `${field}.${key}` : key;
+				}, ''),
+				message,
+			}));
+
+			throw new HttpError(400, 'Invalid draft.', {errors});
+		}
+
+		return value;
+	}
+
+	/**
+	 * Creates a draft bounty owned by a user.
+	 *
+	 * @param {Object} user - The creator.
+	 * @param {Object} value - Draft returned by validate.
+	 *
+	 * @returns {Promise<Object>} - The Bounty row, status Draft and no idOnChain.
+	 *
+	 * @throws {HttpError} - Throws a 409 error if the slug is already in use.
+	 */
+	static async create(user, value) {
+		const data = await DraftService._toBountyData(value);
+
+		try {
+			return await primate.prisma.$transaction(async prisma => {
+				const bounty = await prisma.bounty.create({
+					data: {
+						idUser: user.id,
+						status: 'Draft',
+						...data,
+						slug: data.slug || `${value.title.toLowerCase().replace(/ /g, '-')}-${Date.now()}`,
+					},
+				});
+
+				await BountyService.recordCreation(bounty, {actor: user.idNear, idUser: user.id, prisma});
+
+				return bounty;
+			});
+		} catch (error) {
+			throw DraftService._slugConflict(error);
+		}
+	}
+
+	/**
+	 * Updates a draft bounty. Changing the token requires sending the prizes again, in units of the new token.
+	 *
+	 * @param {Object} bountyDb - The draft, as returned by findOwned.
+	 * @param {Object} value - Changes returned by validate with draftUpdateSchema.
+	 *
+	 * @returns {Promise<Object>} - The updated Bounty row.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the token changes without prizes and 409 if the slug is already in use.
+	 */
+	static async update(bountyDb, value) {
+		if (value.token !== undefined && (value.token || null) !== bountyDb.token && !value.prizes) {
+			throw new HttpError(400, 'Invalid draft.', {
+				errors: [{field: 'prizes', message: '"prizes" is required when the token changes'}],
+			});
+		}
+
+		const data = await DraftService._toBountyData(value, bountyDb);
+
+		try {
+			return await primate.prisma.bounty.update({
+				where: {id: bountyDb.id},
+				data: {...data, modified: new Date()},
+			});
+		} catch (error) {
+			throw DraftService._slugConflict(error);
+		}
+	}
+
+	/**
+	 * Discards a draft: it moves to Cancelled and leaves the drafts of its creator. Nothing is on chain to refund.
+	 *
+	 * @param {Object} bountyDb - The draft, as returned by findOwned.
+	 * @param {Object} user - The creator.
+	 *
+	 * @returns {Promise<Object>} - The Cancelled Bounty row.
+	 */
+	static async discard(bountyDb, user) {
+		return BountyService.transition(bountyDb, 'Cancelled', {
+			actor: user.idNear,
+			idUser: user.id,
+			note: 'Draft discarded by the creator',
+		});
+	}
+
+	/**
+	 * Resolves a draft the user can edit, publish or discard.
+	 *
+	 * @param {string|number} ref - Database ID, chain:<id> or slug.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The draft.
+	 *
+	 * @throws {HttpError} - Throws a 404 error if the bounty does not exist, 403 if the user is not its creator and 409
+	 * if it is no longer a draft.
+	 */
+	static async findOwned(ref, user) {
+		const bountyDb = await BountyService.resolve(ref);
+
+		if (bountyDb.idUser !== user.id) throw new HttpError(403, 'Only the creator of the bounty can edit its draft.');
+
+		if (bountyDb.status !== 'Draft' || bountyDb.idOnChain) {
+			throw new HttpError(409, `Bounty ${bountyDb.id} is ${bountyDb.status} and no longer a draft.`);
+		}
+
+		return bountyDb;
+	}
+
+	/**
+	 * Retrieves the drafts of a user, last edited first.
+	 *
+	 * @param {Object} user - The creator.
+	 *
+	 * @returns {Promise<Array<Object>>} - The drafts in the shape of BountyService.formatIndexed.
+	 */
+	static async getDrafts(user) {
+		const drafts = await primate.prisma.bounty.findMany({
+			where: {idUser: user.id, status: 'Draft', idOnChain: null},
+			orderBy: {modified: 'desc'},
+		});
+
+		return drafts.map(draft => BountyService.formatIndexed(draft));
+	}
+
+	/**
+	 * Lists what prevents a draft from being published.
+	 *
+	 * @param {Object} bountyDb - The draft.
+	 *
+	 * @returns {Array<{field: string, message: string}>} - The errors, empty if the draft can be published.
+	 */
+	static validatePublication(bountyDb) {
+		const errors = [];
+
+		if (!bountyDb.title || !bountyDb.title.trim()) errors.push({field: 'title', message: 'The bounty has no title.'});
+
+		if (!Array.isArray(bountyDb.prizes) || bountyDb.prizes.length === 0) {
+			errors.push({field: 'prizes', message: 'The bounty has no prizes.'});
+		}
+
+		if (bountyDb.submissionDeadline && bountyDb.submissionDeadline <= new Date()) {
+			errors.push({field: 'submissionDeadline', message: 'submissionDeadline must be in the future.'});
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Previews a draft as it will be published: the bounty formatted like the published ones, what prevents it from
+	 * being published and the cost of its create_bounty transaction.
+	 *
+	 * @param {Object} params - Preview parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.receiver - The bounty contract.
+	 * @param {Object} params.bountyDb - The draft.
+	 *
+	 * @returns {Promise<{bounty: Object, errors: Array<Object>, publishable: boolean, estimate: Object|null}>} - The
+	 * preview; the estimate is null while the draft has no prizes.
+	 */
+	static async preview({networkId, receiver, bountyDb}) {
+		const errors = DraftService.validatePublication(bountyDb);
+		const bounty = BountyService.formatIndexed(bountyDb);
+
+		const estimate = bounty.prizes.length > 0 ? await GasService.estimate({
+			networkId,
+			method: 'create_bounty',
+			receiver,
+			prizes: bounty.prizes,
+			token: bountyDb.token,
+		}) : null;
+
+		return {bounty, errors, publishable: errors.length === 0, estimate};
+	}
+
+	/**
+	 * Builds the create_bounty transaction of a draft from its stored prizes, with ft_transfer_call for NEP-141 bounties.
+	 *
+	 * @param {Object} params - Transaction parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.sender - NEAR account of the creator.
+	 * @param {string} params.receiver - The bounty contract.
+	 * @param {Object} params.bountyDb - The draft.
+	 * @param {string} [params.publicKey] - Public key the sender wants to sign with.
+	 *
+	 * @returns {Promise<Object>} - The unsigned transaction.
+	 *
+	 * @throws {HttpError} - Throws a 422 error with the publication errors in `data.errors` if the draft is not ready.
+	 */
+	static async buildPublication({networkId, sender, receiver, bountyDb, publicKey}) {
+		const errors = DraftService.validatePublication(bountyDb);
+		if (errors.length > 0) throw new HttpError(422, 'The draft cannot be published yet.', {errors});
+
+		const prizes = bountyDb.prizes.map(prize => BountyService.formatAmount(prize, bountyDb));
+		const {gas} = await GasService.getGas('create_bounty', {token: !!bountyDb.token});
+
+		if (bountyDb.token) {
+			return NearService.createFtBountyTransaction({
+				networkId,
+				sender,
+				receiver,
+				tokenId: bountyDb.token,
+				prizes,
+				decimals: bountyDb.tokenDecimals,
+				gas,
+				publicKey,
+			});
+		}
+
+		return NearService.createBountyTransaction({networkId, sender, receiver, prizes, gas, publicKey});
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Maps the unique constraint violation of the slug, the only unique column a draft writes, to a field
+	 * error.
+	 *
+	 * @param {Error} error - Error thrown by Prisma.
+	 *
+	 * @returns {Error} - A 409 HttpError for a duplicate slug, otherwise the error itself.
+	 */
+	static _slugConflict(error) {
+		if (error.code !== 'P2002') return error;
+
+		return new HttpError(409, 'Invalid draft.', {
+			errors: [{field: 'slug', message: '"slug" is already in use'}],
+		});
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Converts a validated draft to Bounty columns: prizes in the smallest unit, uploaded photos,
+	 * location and deadlines.
+	 *
+	 * @param {Object} value - Validated draft or changes.
+	 * @param {Object} [current={}] - The stored draft when updating.
+	 *
+	 * @returns {Promise<Object>} - The Bounty columns present in `value`.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if a prize or a deadline is not valid.
+	 */
+	static async _toBountyData(value, current = {}) {
+		const {title, content, slug, type, metas, prizes, token, submissionDeadline, judgingDeadline} = value;
+
+		const deadlines = BountyService.parseDeadlines({submissionDeadline, judgingDeadline}, current);
+		if (deadlines.submissionDeadline && deadlines.submissionDeadline <= new Date()) {
+			throw new HttpError(400, 'Invalid draft.', {
+				errors: [{field: 'submissionDeadline', message: '"submissionDeadline" must be in the future'}],
+			});
+		}
+
+		const data = {
+			...(title !== undefined && {title}),
+			...(content !== undefined && {content}),
+			...(slug !== undefined && {slug}),
+			...(type !== undefined && {type}),
+			...deadlines,
+		};
+
+		if (metas !== undefined) {
+			if (Array.isArray(metas.placePhotos)) {
+				for (const photo of metas.placePhotos) {
+					if (!photo || !photo.url) continue;
+
+					const attachmentCreated = await UploadService.createAttachmentFromUrl(photo.url, {
+						fileName: uuidv4(),
+					});
+					photo.url = attachmentCreated.url;
+				}
+			}
+
+			Object.assign(data, {metas: JudgingService.keepCriteria(metas, current), ...SearchService.locate(metas)});
+		}
+
+		if (prizes) {
+			const tokenId = token !== undefined ? token || null : current.token || null;
+
+			let decimals = 24;
+			if (tokenId) {
+				({decimals} = await NearService.getFtMetadata({networkId: process.env.NETWORK_ID, tokenId}));
+			}
+
+			const rawPrizes = prizes.map(prize => {
+				if (tokenId) return NearService.parseTokenAmount(prize, decimals);
+
+				// parseNearAmount throws on more than 24 decimals
+				try {
+					return utils.format.parseNearAmount(String(prize));
+				} catch {
+					return null;
+				}
+			});
+
+			const errors = rawPrizes
+				.map((prize, index) => !prize || BigInt(prize) === BigInt(0)
+					? {field: `prizes[${index}]`, message: `"prizes[${index}]" is not a valid amount with ${decimals} decimals`}
+					: null)
+				.filter(Boolean);
+
+			if (errors.length > 0) throw new HttpError(400, 'Invalid draft.', {errors});
+
+			Object.assign(data, {
+				prizes: rawPrizes,
+				totalPrize: rawPrizes.reduce((total, prize) => total + BigInt(prize), BigInt(0)).toString(),
+				token: tokenId,
+				tokenDecimals: decimals,
+			});
+		}
+
+		return data;
+	}
+}
+
+export default DraftService;
@@ -0,0 +1,218 @@
+import primate from '@thewebchimp/primate';
+import BountyService from './bounty.service.js';
+import PlanService from './plan.service.js';
+import HttpError from '#utils/http-error.js';
+
+/**
+ * @class FeedService
+ * @description Builds the activity stream of the platform from the database: bounty creations, plans,
+ * participations confirmed on chain and finalizations, newest first.
+ *
+ * Participations are the `participate` transactions confirmed through `/tx/confirm`, the only ones with a date. The
+ * indexer also mirrors the participants of every bounty into `Bounty.participants`, without a date, so a participation
+ * signed elsewhere is counted by the `accountId` filter but has no item in the feed.
+ */
+class FeedService {
+	/**
+	 * @static
+	 * @description Activity types of the feed.
+	 */
+	static TYPES = ['bounty_created', 'plan_created', 'participation', 'bounty_finalized'];
+
+	/**
+	 * @static
+	 * @description Deepest item of the feed a page can reach. Every page loads `page * limit` rows of each type, so
+	 * the depth is bounded instead of the page number.
+	 */
+	static MAX_DEPTH = 1000;
+
+	/**
+	 * @typedef {Object} FeedItem
+	 * @property {string} id - Unique ID of the item, `<type>:<row id>`.
+	 * @property {string} type - One of TYPES.
+	 * @property {Date} date - Date of the activity.
+	 * @property {string} actor - NEAR account ID that performed the activity.
+	 * @property {{id: number, idOnChain: string|null, slug: string|null, title: string}} bounty - The bounty involved.
+	 * @property {Object} data - Details of the activity, depending on its type.
+	 */
+
+	/**
+	 * Retrieves a page of the activity feed.
+	 * The first `page * limit` items of every activity type are merged, so any page is exact without loading the
+	 * whole history.
+	 *
+	 * @param {Object} [params={}] - Feed parameters.
+	 * @param {string} [params.accountId] - Only activity on bounties this account created or joined.
+	 * @param {string[]} [params.types=TYPES] - Activity types to include.
+	 * @param {number} [params.page=1] - 1-based page number.
+	 * @param {number} [params.limit=20] - Page size.
+	 *
+	 * @returns {Promise<{items: Array<FeedItem>, total: number, page: number, limit: number}>} - The page of activity
+	 * and the total number of items.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if a type is not valid or the page is beyond MAX_DEPTH.
+	 */
+	static async getFeed({accountId, types = FeedService.TYPES, page = 1, limit = 20} = {}) {
+		const invalid = types.filter(type => !FeedService.TYPES.includes(type));
+		if (invalid.length > 0) {
+			throw new HttpError(400, `Invalid type ${invalid.join(', ')}. Use any of: ${FeedService.TYPES.join(', ')}.`);
+		}
+
+		if (page * limit > FeedService.MAX_DEPTH) {
+			throw new HttpError(400, `Invalid page. The feed only reaches its latest ${FeedService.MAX_DEPTH} items.`);
+		}
+
+		let bountyWhere = {};
+		if (accountId) {
+			const ids = await FeedService.getAccountBountyIds(accountId);
+			bountyWhere = {idBounty: {in: ids}};
+		}
+
+		const take = page * limit;
+		const bountySelect = {select: {id: true, idOnChain: true, slug: true, title: true}};
+
+		const sources = {
+			bounty_created: async () => {
+				const where = {status: {not: 'Draft'}};
+				if (bountyWhere.idBounty) where.id = bountyWhere.idBounty;
+
+				const [bounties, total] = await Promise.all([
+					primate.prisma.bounty.findMany({where, include: {user: true}, orderBy: {created: 'desc'}, take}),
+					primate.prisma.bounty.count({where}),
+				]);
+
+				const items = bounties.map(bounty => ({
+					id: `bounty_created:${bounty.id}`,
+					type: 'bounty_created',
+					date: bounty.created,
+					actor: bounty.creator || bounty.user.idNear,
+					bounty: {id: bounty.id, idOnChain: bounty.idOnChain, slug: bounty.slug, title: bounty.title},
+					data: {
+						totalPrize: BountyService.formatAmount(bounty.totalPrize ? bounty.totalPrize.toFixed() : '0', bounty),
+						token: bounty.token,
+					},
+				}));
+
+				return {items, total};
+			},
+
+			plan_created: async () => {
+				// Plans sent to a draft would leak its title before it is published
+				const where = {...bountyWhere, status: {not: PlanService.WITHDRAWN}, bounty: {status: {not: 'Draft'}}};
+
+				const [plans, total] = await Promise.all([
+					primate.prisma.plan.findMany({
+						where,
+						include: {user: true, bounty: bountySelect},
+						orderBy: {created: 'desc'},
+						take,
+					}),
+					primate.prisma.plan.count({where}),
+				]);
+
+				const items = plans.map(plan => ({
+					id: `plan_created:${plan.id}`,
+					type: 'plan_created',
+					date: plan.created,
+					actor: plan.user.idNear,
+					bounty: plan.bounty,
+					data: {plan: {id: plan.id, slug: plan.slug, title: plan.title}},
+				}));
+
+				return {items, total};
+			},
+
+			// Only the participations confirmed through the API, see the class description
+			participation: async () => {
+				const where = {...bountyWhere, method: 'participate', status: 'Success', idBounty: bountyWhere.idBounty || {not: null}};
+
+				const [transactions, total] = await Promise.all([
+					primate.prisma.chainTransaction.findMany({
+						where,
+						include: {bounty: bountySelect},
+						orderBy: {created: 'desc'},
+						take,
+					}),
+					primate.prisma.chainTransaction.count({where}),
+				]);
+
+				const items = transactions.map(transaction => ({
+					id: `participation:${transaction.id}`,
+					type: 'participation',
+					date: transaction.created,
+					actor: transaction.signer,
+					bounty: transaction.bounty,
+					data: {hash: transaction.hash},
+				}));
+
+				return {items, total};
+			},
+
+			bounty_finalized: async () => {
+				const where = {...bountyWhere, to: 'Finished'};
+
+				const [transitions, total] = await Promise.all([
+					primate.prisma.bountyTransition.findMany({
+						where,
+						include: {bounty: {select: {...bountySelect.select, winners: true}}},
+						orderBy: {created: 'desc'},
+						take,
+					}),
+					primate.prisma.bountyTransition.count({where}),
+				]);
+
+				const items = transitions.map(({bounty: {winners, ...bounty}, ...transition}) => ({
+					id: `bounty_finalized:${transition.id}`,
+					type: 'bounty_finalized',
+					date: transition.created,
+					actor: transition.actor,
+					bounty,
+					data: {winners: winners || []},
+				}));
+
+				return {items, total};
+			},
+		};
+
+		const results = await Promise.all(types.map(type => sources[type]()));
+
+		const items = results.flatMap(result => result.items);
+		const total = results.reduce((sum, result) => sum + result.total, 0);
+
+		items.sort((a, b) => b.date.getTime() - a.date.getTime());
+
+		return {
+			items: items.slice((page - 1) * limit, take),
+			total,
+			page,
+			limit,
+		};
+	}
+
+	/**
+	 * Gets the bounties an account created or joined: as creator, participant on chain, or author of a plan.
+	 * Participants indexed from the chain are included even when their participation has no feed item.
+	 *
+	 * @param {string} accountId - NEAR account ID.
+	 *
+	 * @returns {Promise<number[]>} - Database IDs of the bounties.
+	 */
+	static async getAccountBountyIds(accountId) {
+		const bounties = await primate.prisma.bounty.findMany({
+			where: {
+				OR: [
+					{creator: accountId},
+					{user: {idNear: accountId}},
+					{participants: {array_contains: [accountId]}},
+					{plans: {some: {user: {idNear: accountId}}}},
+					{transactions: {some: {signer: accountId, method: 'participate', status: 'Success'}}},
+				],
+			},
+			select: {id: true},
+		});
+
+		return bounties.map(({id}) => id);
+	}
+}
+
+export default FeedService;
@@ -0,0 +1,185 @@
+import primate from '@thewebchimp/primate';
+import {utils} from 'near-api-js';
+import NearService from './near.service.js';
+import HttpError from '#utils/http-error.js';
+
+/**
+ * @class GasService
+ * @description Estimates the gas and the NEAR needed by the transactions built for the clients.
+ * Change methods cannot be dry-run on NEAR, so the gas of a method is profiled from the gas burnt by its
+ * confirmed transactions (ChainTransaction), with a safety margin. DEFAULT_GAS is the floor of every method: the gas
+ * burnt does not include the gas reserved for callbacks, and unused gas is refunded anyway.
+ */
+class GasService {
+	/**
+	 * @static
+	 * @description Minimum gas attached to a method, and the gas of a method that has no confirmed transactions yet.
+	 * Calls funded with a NEP-141 token are profiled apart, under `ft_transfer_call:<method>`.
+	 */
+	static DEFAULT_GAS = {
+		create_bounty: '100000000000000', // 100 Tgas
+		participate: '30000000000000', // 30 Tgas
+		finalize_bounty: '150000000000000', // 150 Tgas, one transfer per winner
+		cancel_bounty: '50000000000000', // 50 Tgas, refund to the creator
+		add_funds: '30000000000000', // 30 Tgas
+		'ft_transfer_call:create_bounty': '150000000000000', // 150 Tgas, ft_on_transfer and ft_resolve_transfer included
+		'ft_transfer_call:add_funds': '100000000000000', // 100 Tgas, ft_on_transfer and ft_resolve_transfer included
+	};
+
+	/**
+	 * @static
+	 * @description Methods whose gas grows with their arguments, with the number of units of work of a call.
+	 */
+	static SCALED_METHODS = {
+		finalize_bounty: args => (args?.winners || []).length,
+	};
+
+	/**
+	 * @static
+	 * @description Maximum gas that can be attached to a function call.
+	 */
+	static MAX_GAS = '300000000000000';
+
+	/**
+	 * @static
+	 * @description Minimum gas attached to a function call without DEFAULT_GAS, whatever the history says.
+	 */
+	static MIN_GAS = '10000000000000';
+
+	/**
+	 * @static
+	 * @description Percentage added to the highest gas burnt by the recent transactions of a method.
+	 */
+	static SAFETY_MARGIN = 50;
+
+	/**
+	 * @static
+	 * @description Number of recent successful transactions used to profile a method.
+	 */
+	static SAMPLE_SIZE = 20;
+
+	/**
+	 * Gets the gas to attach to a method call: the highest gas burnt by its recent transactions plus the safety
+	 * margin, never below the DEFAULT_GAS of the method. The gas of SCALED_METHODS is profiled per unit of work and
+	 * scaled to the units of the call, e.g. the winners of a finalize_bounty.
+	 *
+	 * @param {string} method - Contract method (e.g. 'create_bounty').
+	 * @param {Object} [options={}] - Call options.
+	 * @param {boolean} [options.token=false] - Whether the call travels in an `ft_transfer_call` of a NEP-141 token.
+	 * @param {number} [options.units] - Units of work of the call, for SCALED_METHODS.
+	 *
+	 * @returns {Promise<{gas: string, source: string, samples: number}>} - Gas in units, and whether it was
+	 * 'observed' from the history or is the 'default' of the method.
+	 */
+	static async getGas(method, {token = false, units} = {}) {
+		const key = token ? `ft_transfer_call:${method}` : method;
+		const floor = BigInt(GasService.DEFAULT_GAS[key] || GasService.MIN_GAS);
+		const contractId = process.env.CONTRACT_ID;
+
+		// Token calls are sent to the token contract, the others to the bounty contract
+		const recent = await primate.prisma.chainTransaction.findMany({
+			where: {method, status: 'Success', receiver: token ? {not: contractId} : contractId},
+			orderBy: {created: 'desc'},
+			take: GasService.SAMPLE_SIZE,
+			select: {gasBurnt: true, args: true},
+		});
+
+		if (recent.length === 0) {
+			return {gas: GasService.DEFAULT_GAS[key] || GasService.MAX_GAS, source: 'default', samples: 0};
+		}
+
+		const countUnits = GasService.SCALED_METHODS[method];
+
+		const burnt = recent.reduce((max, {gasBurnt, args}) => {
+			let value = BigInt(gasBurnt.toFixed());
+			if (countUnits && units) value = value * BigInt(units) / BigInt(Math.max(1, countUnits(args)));
+
+			return value > max ? value : max;
+		}, BigInt(0));
+
+		let gas = burnt * BigInt(100 + GasService.SAFETY_MARGIN) / BigInt(100);
+		if (gas <= floor) return {gas: floor.toString(), source: 'default', samples: recent.length};
+		if (gas > BigInt(GasService.MAX_GAS)) gas = BigInt(GasService.MAX_GAS);
+
+		return {gas: gas.toString(), source: 'observed', samples: recent.length};
+	}
+
+	/**
+	 * Estimates the cost of a bounty transaction.
+	 * The total is what the sender needs in NEAR: the attached deposits (prizes funded in NEAR, token storage
+	 * registration, the 1 yoctoNEAR of `ft_transfer_call`) plus the attached gas at the current gas price, the unused
+	 * part of which is refunded. Prizes funded with a NEP-141 token are returned apart in `tokenAmount`, in minimal
+	 * units of the token.
+	 *
+	 * @param {Object} params - Estimation parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g. 'testnet', 'mainnet').
+	 * @param {string} params.method - Contract method: 'create_bounty', 'participate' or 'finalize_bounty'.
+	 * @param {string} params.receiver - The bounty contract.
+	 * @param {string[]} [params.prizes] - Prizes of a create_bounty, in NEAR or in units of `token`.
+	 * @param {string} [params.token] - NEP-141 token funding the prizes of a create_bounty.
+	 *
+	 * @returns {Promise<Object>} - The estimation, amounts in yoctoNEAR with their NEAR formatted counterparts.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if a prize is not valid.
+	 */
+	static async estimate({networkId, method, receiver, prizes = [], token}) {
+		const gasPrice = await NearService.getGasPrice({networkId});
+
+		const calls = [];
+		let deposit = BigInt(0);
+		let storageDeposit = BigInt(0);
+		let tokenAmount = null;
+
+		if (method === 'create_bounty' && token) {
+			const {decimals} = await NearService.getFtMetadata({networkId, tokenId: token});
+
+			const rawPrizes = prizes.map(prize => NearService.parseTokenAmount(prize, decimals));
+			if (rawPrizes.some(prize => !prize)) throw new HttpError(400, `Invalid prize amount for a token with ${decimals} decimals.`);
+
+			tokenAmount = rawPrizes.reduce((total, prize) => total + BigInt(prize), BigInt(0)).toString();
+
+			const transferCall = {methodName: 'ft_transfer_call', ...await GasService.getGas('create_bounty', {token: true})};
+
+			storageDeposit = BigInt(await NearService.getFtStorageDeposit({networkId, tokenId: token, accountId: receiver}));
+			if (storageDeposit > BigInt(0)) {
+				calls.push({methodName: 'storage_deposit', gas: NearService.STORAGE_DEPOSIT_GAS, source: 'default', samples: 0});
+
+				// Same cap as createFtBountyTransaction, the whole transaction stays within the maximum gas
+				const available = BigInt(NearService.MAX_TRANSACTION_GAS) - BigInt(NearService.STORAGE_DEPOSIT_GAS);
+				if (BigInt(transferCall.gas) > available) transferCall.gas = available.toString();
+			}
+
+			calls.push(transferCall);
+			deposit = BigInt(1);
+		} else {
+			if (method === 'create_bounty') {
+				const yoctoPrizes = prizes.map(prize => utils.format.parseNearAmount(String(prize)));
+				if (yoctoPrizes.some(prize => !prize)) throw new HttpError(400, 'Invalid prize amount.');
+
+				deposit = yoctoPrizes.reduce((total, prize) => total + BigInt(prize), BigInt(0));
+			}
+
+			calls.push({methodName: method, ...await GasService.getGas(method)});
+		}
+
+		const gas = calls.reduce((total, call) => total + BigInt(call.gas), BigInt(0));
+		const gasCost = gas * BigInt(gasPrice);
+		const total = deposit + storageDeposit + gasCost;
+
+		return {
+			method,
+			token: token || null,
+			calls,
+			gas: gas.toString(),
+			gasPrice,
+			gasCost: gasCost.toString(),
+			deposit: deposit.toString(),
+			storageDeposit: storageDeposit.toString(),
+			tokenAmount,
+			total: total.toString(),
+			totalNear: utils.format.formatNearAmount(total.toString(), 6),
+		};
+	}
+}
+
+export default GasService;
@@ -0,0 +1,140 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import NearService from './near.service.js';
+import SchedulerService from './scheduler.service.js';
+import TransactionService from './transaction.service.js';
+
+/**
+ * @class IndexerService
+ * @description Mirrors the on-chain state of the bounties into the Bounty table.
+ * The contract is polled in the background so list endpoints can be served from the database,
+ * falling back to RPC only when the indexed data is stale.
+ */
+class IndexerService {
+	/**
+	 * @static
+	 * @description Interval between two syncs in milliseconds.
+	 */
+	static INTERVAL = parseInt(process.env.INDEXER_INTERVAL) || 60 * 1000;
+
+	/**
+	 * @static
+	 * @description Age in milliseconds after which the indexed data is no longer served.
+	 */
+	static STALE_AFTER = parseInt(process.env.INDEXER_STALE_AFTER) || 5 * 60 * 1000;
+
+	/**
+	 * @private
+	 * @static
+	 * @description On-chain IDs of Bounty rows the last sync could not match to a bounty on chain: legacy values such
+	 * as 'undefined' and bounties that no longer exist. Those rows are never synced, so they do not make the table stale.
+	 */
+	static unmatched = new Set();
+
+	/**
+	 * Starts polling the contract in the background.
+	 *
+	 * @returns {void}
+	 */
+	static start() {
+		SchedulerService.every('indexer', IndexerService.INTERVAL, () => IndexerService.sync({
+			networkId: process.env.NETWORK_ID,
+			contractId: process.env.CONTRACT_ID,
+		}));
+	}
+
+	/**
+	 * Fetches every bounty from the contract and persists its on-chain data into the matching Bounty row.
+	 * Bounties without a row are skipped, there is no metadata (title, owner...) to attach them to.
+	 * Transactions that were not final when the client confirmed them are retried as well.
+	 *
+	 * @param {Object} params - Sync parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} params.contractId - The ID of the contract managing the bounties.
+	 *
+	 * @returns {Promise<{updated: number, missing: number, unmatched: number}>} - Number of bounties updated, of
+	 * bounties without a database row and of rows without a bounty on chain.
+	 */
+	static async sync({networkId, contractId}) {
+		console.info('Syncing on-chain bounties with parameters:', {networkId, contractId});
+
+		const bounties = await NearService.getAllBounties({networkId, contractId});
+		const synced = new Date();
+
+		let updated = 0;
+		let missing = 0;
+		for (const bounty of bounties) {
+			const {count} = await primate.prisma.bounty.updateMany({
+				where: {idOnChain: String(bounty.id)},
+				data: {
+					...IndexerService.normalize(bounty),
+					synced,
+				},
+			});
+
+			if (count > 0) updated++;
+			else missing++;
+		}
+
+		// Rows still unsynced after a full pass have no bounty on chain
+		const unsynced = await primate.prisma.bounty.findMany({
+			where: {idOnChain: {not: null}, synced: null},
+			select: {idOnChain: true},
+		});
+		IndexerService.unmatched = new Set(unsynced.map(({idOnChain}) => idOnChain));
+
+		console.info(`Indexed ${updated} bounties, ${missing} without database row, ${unsynced.length} rows not on chain.`);
+
+		const confirmed = await TransactionService.confirmPending({networkId});
+		if (confirmed > 0) console.info(`Confirmed ${confirmed} pending transactions.`);
+
+		return {updated, missing, unmatched: unsynced.length};
+	}
+
+	/**
+	 * Maps a bounty returned by the contract to the indexed columns of the Bounty table.
+	 *
+	 * @param {Object} bounty - Bounty as returned by `get_all_bounties`.
+	 *
+	 * @returns {Object} - Data ready to be stored in the Bounty table.
+	 */
+	static normalize(bounty) {
+		const winners = bounty.winners || [];
+
+		let chainStatus;
+		if (bounty.status) chainStatus = String(bounty.status);
+		else if (winners.length > 0) chainStatus = 'Finished';
+		// Closed without winners: cancelled by the creator and refunded
+		else chainStatus = bounty.isActive === false ? 'Cancelled' : 'Open';
+
+		return {
+			creator: bounty.creator || bounty.creatorId || null,
+			prizes: (bounty.prizes || []).map(prize => String(prize)),
+			totalPrize: String(bounty.totalPrize || 0),
+			participants: bounty.participants || [],
+			winners,
+			chainStatus,
+		};
+	}
+
+	/**
+	 * Checks whether the indexed data is recent enough to be served instead of querying the contract.
+	 * Bounties bound on chain since the last sync are not indexed yet, so the table is stale until they are; rows the
+	 * last sync could not match on chain are ignored.
+	 *
+	 * @returns {Promise<boolean>} - True if the last sync is more recent than STALE_AFTER and every bounty bound on
+	 * chain since then has been synced.
+	 */
+	static async isFresh() {
+		const [{_max}, unsynced] = await Promise.all([
+			primate.prisma.bounty.aggregate({_max: {synced: true}}),
+			primate.prisma.bounty.count({
+				where: {idOnChain: {not: null, notIn: [...IndexerService.unmatched]}, synced: null},
+			}),
+		]);
+
+		return unsynced === 0 && !!_max.synced && Date.now() - _max.synced.getTime() < IndexerService.STALE_AFTER;
+	}
+}
+
+export default IndexerService;
@@ -0,0 +1,83 @@
+import 'dotenv/config';
+import NearBlocksSource from './interactions/nearblocks.source.js';
+import RpcSource from './interactions/rpc.source.js';
+import DbSource from './interactions/db.source.js';
+
+/**
+ * @class InteractionService
+ * @description Retrieves the interactions of an account with the contract from the configured source.
+ *
+ * The source is selected with INTERACTIONS_SOURCE:
+ * - `nearblocks`: NEAR Blocks API, mainnet and testnet only, requires NEAR_BLOCKS_API_KEY.
+ * - `rpc`: scan of the recent blocks through the RPC nodes, works against a local sandbox.
+ * - `db`: transactions confirmed through the API.
+ * When unset, NEAR Blocks is used if NEAR_BLOCKS_API_KEY is set, otherwise the database.
+ */
+class InteractionService {
+	/**
+	 * @static
+	 * @description Available sources keyed by name.
+	 */
+	static SOURCES = {
+		nearblocks: NearBlocksSource,
+		rpc: RpcSource,
+		db: DbSource,
+	};
+
+	/**
+	 * Gets the configured interaction source.
+	 *
+	 * @returns {typeof InteractionSource} - The source class.
+	 *
+	 * @throws {Error} - Throws an error if INTERACTIONS_SOURCE is not a known source.
+	 */
+	static getSource() {
+		const name = process.env.INTERACTIONS_SOURCE || (process.env.NEAR_BLOCKS_API_KEY ? 'nearblocks' : 'db');
+		const source = InteractionService.SOURCES[name];
+
+		if (!source) {
+			throw new Error(`Unknown interactions source: ${name}. Use one of: ${Object.keys(InteractionService.SOURCES).join(', ')}.`);
+		}
+
+		return source;
+	}
+
+	/**
+	 * Starts the background work of the configured source, such as the block scan of the rpc source.
+	 *
+	 * @returns {void}
+	 */
+	static start() {
+		InteractionService.getSource().start();
+	}
+
+	/**
+	 * Retrieves a page of the interactions of an account with the contract, newest first.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g. 'testnet', 'mainnet', 'sandbox').
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 * @param {number} [params.page=1] - 1-based page number.
+	 * @param {number} [params.limit=25] - Page size.
+	 *
+	 * @returns {Promise<{items: Array<Interaction>, total: number, page: number, limit: number}>} - The page of
+	 * interactions and the total.
+	 *
+	 * @throws {Error} - Throws an error if the source fails.
+	 */
+	static async getInteractions({networkId, accountId, contractId, page = 1, limit = 25}) {
+		const source = InteractionService.getSource();
+		console.info(`Retrieving interactions of ${accountId} from ${source.name}.`);
+
+		try {
+			const {items, total} = await source.getInteractions({networkId, accountId, contractId, page, limit});
+			return {items, total, page, limit};
+		} catch (error) {
+			console.error(`Error retrieving interactions from ${source.name}: ${error.message}`);
+			throw new Error(`Failed to retrieve interactions: ${error.message}`);
+		}
+	}
+}
+
+export default InteractionService;
@@ -0,0 +1,95 @@
+import primate from '@thewebchimp/primate';
+import InteractionSource from './interaction.source.js';
+
+/**
+ * @class DbSource
+ * @description Reads the interactions from the transactions confirmed through the API (ChainTransaction).
+ * Transactions signed elsewhere and never confirmed are not listed, but no external service is needed.
+ */
+class DbSource extends InteractionSource {
+	/**
+	 * Retrieves a page of the confirmed transactions of an account, newest first, paginated by the database.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID, unused: the database holds a single network.
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 * @param {number} params.page - 1-based page number.
+	 * @param {number} params.limit - Page size.
+	 *
+	 * @returns {Promise<{items: Array<Interaction>, total: number}>} - The page of interactions and the total.
+	 */
+	static async getInteractions({accountId, contractId, page, limit}) {
+		const where = {signer: accountId, status: {in: ['Success', 'Failure']}};
+
+		const [transactions, total] = await Promise.all([
+			primate.prisma.chainTransaction.findMany({
+				where,
+				include: {bounty: true},
+				orderBy: {created: 'desc'},
+				skip: (page - 1) * limit,
+				take: limit,
+			}),
+			primate.prisma.chainTransaction.count({where}),
+		]);
+
+		return {
+			items: transactions.map(transaction => DbSource.toInteraction(transaction, contractId)),
+			total,
+		};
+	}
+
+	/**
+	 * Retrieves every confirmed transaction of an account, newest first.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<Array<Interaction>>} - The interactions.
+	 */
+	static async fetch({accountId, contractId}) {
+		const transactions = await primate.prisma.chainTransaction.findMany({
+			where: {signer: accountId, status: {in: ['Success', 'Failure']}},
+			include: {bounty: true},
+			orderBy: {created: 'desc'},
+		});
+
+		return transactions.map(transaction => DbSource.toInteraction(transaction, contractId));
+	}
+
+	/**
+	 * Maps a ChainTransaction to an interaction. Its method and arguments are already unwrapped from
+	 * `ft_transfer_call`, the token being the receiver of the transaction.
+	 *
+	 * @param {Object} transaction - ChainTransaction with its bounty.
+	 * @param {string} contractId - The bounty contract.
+	 *
+	 * @returns {Interaction} - The interaction.
+	 */
+	static toInteraction(transaction, contractId) {
+		const args = transaction.args || {};
+
+		let bountyId = args.bountyId ?? args.bounty_id ?? transaction.bounty?.idOnChain;
+		if (bountyId === undefined || bountyId === null || bountyId === 'undefined') bountyId = null;
+
+		let type = 'other';
+		if (InteractionSource.TYPED_METHODS.includes(transaction.method)) type = transaction.method;
+
+		return {
+			hash: transaction.hash,
+			type,
+			method: transaction.method || null,
+			bountyId: bountyId !== null ? String(bountyId) : null,
+			args,
+			deposit: transaction.deposit.toFixed(),
+			token: transaction.receiver && transaction.receiver !== contractId ? transaction.receiver : null,
+			signer: transaction.signer,
+			receiver: transaction.receiver,
+			success: transaction.status === 'Success',
+			timestamp: transaction.created.toISOString(),
+		};
+	}
+}
+
+export default DbSource;
@@ -0,0 +1,138 @@
+/**
+ * @typedef {Object} Interaction
+ * @property {string} hash - Hash of the transaction.
+ * @property {string} type - create_bounty, participate, finalize_bounty, transfer, or other for any other call.
+ * @property {string|null} method - Method called, null for a transfer.
+ * @property {string|null} bountyId - On-chain ID of the bounty, null if the call does not include it.
+ * @property {Object} args - Arguments of the call.
+ * @property {string} deposit - Deposit in yoctoNEAR, or in units of `token` when funded with a NEP-141 token.
+ * @property {string|null} token - NEP-141 token contract when the call travels in `ft_transfer_call`.
+ * @property {string} signer - Account that signed the transaction.
+ * @property {string} receiver - Receiver of the transaction.
+ * @property {boolean} success - Whether the transaction succeeded.
+ * @property {string} timestamp - Date of the block, in ISO format.
+ */
+
+/**
+ * @class InteractionSource
+ * @description Base class of the backends the interactions of an account with the contract are read from.
+ * A source implements `fetch`, returning every interaction newest first, and may override `getInteractions`
+ * when it can paginate on its own.
+ */
+class InteractionSource {
+	/**
+	 * @static
+	 * @description Contract methods decoded into their own interaction type.
+	 */
+	static TYPED_METHODS = ['create_bounty', 'participate', 'finalize_bounty', 'cancel_bounty', 'add_funds'];
+
+	/**
+	 * Starts the background work of the source, if any. Sources that read on demand have nothing to start.
+	 *
+	 * @returns {void}
+	 */
+	static start() {}
+
+	/**
+	 * Retrieves a page of the interactions of an account with the contract.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g. 'testnet', 'mainnet', 'sandbox').
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 * @param {number} params.page - 1-based page number.
+	 * @param {number} params.limit - Page size.
+	 *
+	 * @returns {Promise<{items: Array<Interaction>, total: number}>} - The page of interactions and the total.
+	 */
+	static async getInteractions({networkId, accountId, contractId, page, limit}) {
+		const interactions = await this.fetch({networkId, accountId, contractId});
+		const start = (page - 1) * limit;
+
+		return {
+			items: interactions.slice(start, start + limit),
+			total: interactions.length,
+		};
+	}
+
+	/**
+	 * Retrieves every interaction of an account with the contract, newest first.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<Array<Interaction>>} - The interactions.
+	 */
+	static async fetch({networkId, accountId, contractId}) {
+		throw new Error(`${this.name} does not implement fetch.`);
+	}
+
+	/**
+	 * Decodes the calls of a transaction that involve the contract.
+	 * Calls to `ft_transfer_call` whose receiver is the contract are unwrapped: the contract method and its
+	 * arguments travel in `msg`.
+	 *
+	 * @param {Object} transaction - The transaction.
+	 * @param {string} transaction.hash - Hash of the transaction.
+	 * @param {string} transaction.signerId - Account that signed the transaction.
+	 * @param {string} transaction.receiverId - Receiver of the transaction.
+	 * @param {boolean} transaction.success - Whether the transaction succeeded.
+	 * @param {string} transaction.timestamp - Date of the block, in ISO format.
+	 * @param {Array<{methodName: string|null, args: Object, deposit: string}>} transaction.calls - Function calls, with a
+	 * null methodName for transfers.
+	 * @param {string} contractId - The bounty contract.
+	 *
+	 * @returns {Array<Interaction>} - One interaction per call, empty if the transaction does not involve the contract.
+	 */
+	static fromCalls({hash, signerId, receiverId, success, timestamp, calls}, contractId) {
+		const toContract = receiverId === contractId;
+
+		return calls.flatMap(call => {
+			let {methodName, args, deposit} = call;
+			let token = null;
+
+			args = args || {};
+
+			if (!toContract) {
+				if (methodName !== 'ft_transfer_call' || args.receiver_id !== contractId) return [];
+
+				let msg = {};
+				try {
+					msg = JSON.parse(args.msg);
+				} catch (error) {
+					console.error(`Invalid ft_transfer_call msg in ${hash}: ${error.message}`);
+				}
+
+				const {action, ...rest} = msg;
+				token = receiverId;
+				deposit = args.amount;
+				methodName = action || methodName;
+				args = rest;
+			}
+
+			let type = 'other';
+			if (!methodName) type = 'transfer';
+			else if (InteractionSource.TYPED_METHODS.includes(methodName)) type = methodName;
+
+			const bountyId = args.bountyId ?? args.bounty_id;
+
+			return [{
+				hash,
+				type,
+				method: methodName || null,
+				bountyId: bountyId !== undefined ? String(bountyId) : null,
+				args,
+				deposit: String(deposit || 0),
+				token,
+				signer: signerId,
+				receiver: receiverId,
+				success,
+				timestamp,
+			}];
+		});
+	}
+}
+
+export default InteractionSource;
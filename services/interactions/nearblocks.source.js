@@ -0,0 +1,248 @@
+import axios from 'axios';
+import InteractionSource from './interaction.source.js';
+
+/**
+ * @class NearBlocksSource
+ * @description Reads the interactions from the NEAR Blocks API (mainnet and testnet), requires NEAR_BLOCKS_API_KEY.
+ *
+ * Every page of transactions of the account is fetched (with the cursor when the API returns one) and kept in memory
+ * for CACHE_TTL; once expired, only the newer transactions are requested. At most MAX_ACCOUNTS accounts are kept,
+ * the least recently used ones are dropped first.
+ */
+class NearBlocksSource extends InteractionSource {
+	/**
+	 * @static
+	 * @description Time in milliseconds during which the transactions fetched from NEAR Blocks are served from memory.
+	 */
+	static CACHE_TTL = parseInt(process.env.INTERACTIONS_CACHE_TTL) || 5 * 60 * 1000;
+
+	/**
+	 * @static
+	 * @description Transactions requested per NEAR Blocks page.
+	 */
+	static PAGE_SIZE = 25;
+
+	/**
+	 * @static
+	 * @description Maximum number of NEAR Blocks pages fetched in a single refresh, to stay within the API rate limit.
+	 */
+	static MAX_PAGES = parseInt(process.env.NEAR_BLOCKS_MAX_PAGES) || 40;
+
+	/**
+	 * @static
+	 * @description Maximum number of accounts whose transactions are kept in memory.
+	 */
+	static MAX_ACCOUNTS = parseInt(process.env.NEAR_BLOCKS_CACHE_ACCOUNTS) || 500;
+
+	/**
+	 * @static
+	 * @description Maximum number of transactions kept per account, as many as a full refresh fetches.
+	 */
+	static MAX_TXNS = NearBlocksSource.PAGE_SIZE * NearBlocksSource.MAX_PAGES;
+
+	/**
+	 * @static
+	 * @description Base URL of the API of every supported network.
+	 */
+	static API_URLS = {
+		mainnet: 'https://api.nearblocks.io/v1',
+		testnet: 'https://api-testnet.nearblocks.io/v1',
+	};
+
+	/**
+	 * @private
+	 * @static
+	 * @description Transactions fetched from NEAR Blocks keyed by network and account, newest first, in least recently
+	 * used order.
+	 */
+	static cache = new Map();
+
+	/**
+	 * Retrieves the interactions of an account with the contract from the NEAR Blocks API.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID ('mainnet' or 'testnet').
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<Array<Interaction>>} - The interactions, newest first.
+	 *
+	 * @throws {Error} - Throws an error if the transactions cannot be fetched.
+	 */
+	static async fetch({networkId, accountId, contractId}) {
+		const key = `${networkId}:${accountId}`;
+		let cached = NearBlocksSource.cache.get(key);
+
+		if (!cached || Date.now() - cached.fetched > NearBlocksSource.CACHE_TTL) {
+			// Only the transactions newer than the newest cached one are requested
+			const newest = cached?.txns[0]?.transaction_hash;
+			const {txns, complete} = await NearBlocksSource._fetchTxns({networkId, accountId, until: newest});
+
+			// If the cached transactions were not reached there may be a gap between both lists, start over
+			cached = {
+				txns: (complete && cached ? [...txns, ...cached.txns] : txns).slice(0, NearBlocksSource.MAX_TXNS),
+				fetched: Date.now(),
+			};
+		} else {
+			console.info(`Using ${cached.txns.length} cached transactions of ${accountId}.`);
+		}
+
+		NearBlocksSource._remember(key, cached);
+
+		return cached.txns.flatMap(txn => NearBlocksSource.decode(txn, contractId));
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Stores the transactions of an account as the most recently used, dropping the least recently used
+	 * accounts.
+	 *
+	 * @param {string} key - Network and account.
+	 * @param {{txns: Array<Object>, fetched: number}} cached - The transactions and when they were fetched.
+	 *
+	 * @returns {void}
+	 */
+	static _remember(key, cached) {
+		NearBlocksSource.cache.delete(key);
+		NearBlocksSource.cache.set(key, cached);
+
+		while (NearBlocksSource.cache.size > NearBlocksSource.MAX_ACCOUNTS) {
+			NearBlocksSource.cache.delete(NearBlocksSource.cache.keys().next().value);
+		}
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Walks the pages of transactions of an account in NEAR Blocks, newest first.
+	 *
+	 * @param {Object} params - Query parameters.
+	 * @param {string} params.networkId - The NEAR network ID ('mainnet' or 'testnet').
+	 * @param {string} params.accountId - The account.
+	 * @param {string} [params.until] - Hash of the transaction to stop at (excluded), the newest cached one.
+	 *
+	 * @returns {Promise<{txns: Array<Object>, complete: boolean}>} - The transactions as returned by NEAR Blocks, and
+	 * whether `until` (or the end of the history) was reached without hitting MAX_PAGES.
+	 *
+	 * @throws {Error} - Throws an error if the API key is not configured or the API returns an invalid response.
+	 */
+	static async _fetchTxns({networkId, accountId, until}) {
+		const apiKey = process.env.NEAR_BLOCKS_API_KEY;
+		if (!apiKey) {
+			throw new Error('The NEAR Blocks API key is not configured.');
+		}
+
+		const apiBaseUrl = NearBlocksSource.API_URLS[networkId];
+		if (!apiBaseUrl) {
+			throw new Error(`networkId not supported by NEAR Blocks: ${networkId}`);
+		}
+
+		console.info(`Using apiBaseUrl: ${apiBaseUrl}`);
+
+		const per_page = NearBlocksSource.PAGE_SIZE;
+		let page = 1;
+		let cursor;
+		let txns = [];
+		let hasMore = true;
+		let complete = !until;
+
+		while (hasMore) {
+			console.info(`Requesting transactions: page=${page}, per_page=${per_page}, cursor=${cursor || '-'}`);
+
+			// The cursor is more reliable than the page when new transactions arrive during the walk
+			const response = await axios.get(
+				`${apiBaseUrl}/account/${accountId}/txns`,
+				{
+					headers: {
+						'Authorization': `Bearer ${apiKey}`,
+						'accept': '*/*',
+					},
+					params: cursor ? {cursor, per_page, order: 'desc'} : {page, per_page, order: 'desc'},
+				}
+			);
+
+			if (response.status !== 200 || !response.data) {
+				console.error('Invalid API response:', response.data);
+				throw new Error(`Failed to fetch the transactions of ${accountId}`);
+			}
+
+			const pageTxns = response.data.txns || response.data.data || response.data;
+
+			if (!pageTxns || !Array.isArray(pageTxns)) {
+				console.error('Invalid transactions data:', pageTxns);
+				throw new Error('Invalid transactions data.');
+			}
+
+			const known = until ? pageTxns.findIndex(txn => txn.transaction_hash === until) : -1;
+			if (known !== -1) {
+				txns = txns.concat(pageTxns.slice(0, known));
+				complete = true;
+				break;
+			}
+
+			txns = txns.concat(pageTxns);
+
+			// A full page means there may be more
+			hasMore = pageTxns.length === per_page;
+			cursor = response.data.cursor || null;
+			page += 1;
+
+			if (page > NearBlocksSource.MAX_PAGES) {
+				console.warn(`Reached the maximum of ${NearBlocksSource.MAX_PAGES} pages for ${accountId}.`);
+				complete = false;
+				break;
+			}
+		}
+
+		console.info(`Fetched ${txns.length} transactions.`);
+		return {txns, complete};
+	}
+
+	/**
+	 * Decodes the calls of a NEAR Blocks transaction that involve the contract.
+	 *
+	 * @param {Object} txn - The transaction as returned by NEAR Blocks.
+	 * @param {string} contractId - The bounty contract.
+	 *
+	 * @returns {Array<Interaction>} - One interaction per call, empty if the transaction does not involve the contract.
+	 */
+	static decode(txn, contractId) {
+		const decodeArgs = args => {
+			if (!args) return {};
+			if (typeof args === 'object') return args;
+
+			for (const text of [args, Buffer.from(args, 'base64').toString()]) {
+				try {
+					return JSON.parse(text);
+				} catch (error) {
+					// Try the next encoding
+				}
+			}
+
+			return {};
+		};
+
+		// NEAR Blocks returns deposits as JSON numbers, large ones in exponent notation
+		const toAmount = value => typeof value === 'number' ? BigInt(Math.trunc(value)).toString() : String(value || 0);
+
+		const calls = (txn.actions || [])
+			.filter(action => action.action === 'FUNCTION_CALL' || action.action === 'TRANSFER')
+			.map(action => ({
+				methodName: action.action === 'FUNCTION_CALL' ? action.method : null,
+				args: decodeArgs(action.args),
+				deposit: toAmount(action.deposit),
+			}));
+
+		return InteractionSource.fromCalls({
+			hash: txn.transaction_hash,
+			signerId: txn.signer_account_id,
+			receiverId: txn.receiver_account_id,
+			success: txn.outcomes?.status !== false,
+			timestamp: new Date(Number(BigInt(txn.block_timestamp || 0) / BigInt(1000000))).toISOString(),
+			calls,
+		}, contractId);
+	}
+}
+
+export default NearBlocksSource;
@@ -0,0 +1,232 @@
+import NearService from '../near.service.js';
+import SchedulerService from '../scheduler.service.js';
+import InteractionSource from './interaction.source.js';
+
+/**
+ * @class RpcSource
+ * @description Reads the interactions straight from the RPC nodes of the network, without any indexer.
+ *
+ * A scheduled job scans the most recent blocks for transactions involving the contract, and the outcome of each one
+ * is fetched with `tx` when an account asks for them. Only the last BLOCKS blocks are covered on the first scan
+ * (regular nodes drop older ones anyway), then every run scans the new blocks. Meant for a local sandbox or a
+ * private node.
+ */
+class RpcSource extends InteractionSource {
+	/**
+	 * @static
+	 * @description Number of blocks scanned back from the head on the first scan.
+	 */
+	static BLOCKS = parseInt(process.env.INTERACTIONS_RPC_BLOCKS) || 500;
+
+	/**
+	 * @static
+	 * @description Interval between two scans in milliseconds.
+	 */
+	static INTERVAL = parseInt(process.env.INTERACTIONS_RPC_TTL) || 10 * 1000;
+
+	/**
+	 * @static
+	 * @description Maximum number of transactions kept per contract, the oldest are dropped.
+	 */
+	static MAX_TXNS = 5000;
+
+	/**
+	 * @static
+	 * @description Maximum number of decoded outcomes kept, the least recently used are dropped.
+	 */
+	static MAX_OUTCOMES = 1000;
+
+	/**
+	 * @static
+	 * @description tx_root of a chunk without transactions.
+	 */
+	static EMPTY_ROOT = '11111111111111111111111111111111';
+
+	/**
+	 * @private
+	 * @static
+	 * @description Transactions involving the contract keyed by network and contract, with the last scanned height.
+	 */
+	static scans = {};
+
+	/**
+	 * @private
+	 * @static
+	 * @description Decoded interactions keyed by transaction hash, final outcomes never change. The Map keeps the
+	 * least recently used first.
+	 */
+	static outcomes = new Map();
+
+	/**
+	 * Schedules the scan of the blocks of NETWORK_ID for transactions to CONTRACT_ID.
+	 *
+	 * @returns {void}
+	 */
+	static start() {
+		SchedulerService.every('rpc-interactions', RpcSource.INTERVAL, () => RpcSource.scan({
+			networkId: process.env.NETWORK_ID,
+			contractId: process.env.CONTRACT_ID,
+		}));
+	}
+
+	/**
+	 * Retrieves the interactions of an account found in the scanned blocks, newest first.
+	 * Transactions that are not final yet are left out until the next request.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.accountId - Account whose interactions are retrieved.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<Array<Interaction>>} - The interactions, none until the first scan has run.
+	 */
+	static async fetch({networkId, accountId, contractId}) {
+		const scan = RpcSource.scans[`${networkId}:${contractId}`];
+		if (!scan) return [];
+
+		const interactions = [];
+		for (const txn of scan.txns.filter(({signerId}) => signerId === accountId)) {
+			let decoded = RpcSource.outcomes.get(txn.hash);
+
+			if (!decoded) {
+				const outcome = await NearService.getTransactionOutcome({networkId, txHash: txn.hash, accountId});
+				if (!outcome) continue;
+
+				decoded = RpcSource.fromCalls({...outcome, timestamp: txn.timestamp}, contractId);
+			}
+
+			RpcSource._remember(txn.hash, decoded);
+			interactions.push(...decoded);
+		}
+
+		return interactions;
+	}
+
+	/**
+	 * Scans the blocks produced since the last scan for transactions involving the contract. A scan already running
+	 * for the same contract is awaited instead of starting another one.
+	 *
+	 * The transactions of a block are stored along with its height once the whole block is read, so a scan
+	 * interrupted by an RPC error resumes after the last complete block.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<{height: number, txns: Array<{hash: string, signerId: string, timestamp: string}>}>} - The
+	 * scan, transactions newest first.
+	 */
+	static async scan({networkId, contractId}) {
+		const key = `${networkId}:${contractId}`;
+		const scan = RpcSource.scans[key] || (RpcSource.scans[key] = {height: null, txns: [], running: null});
+
+		if (!scan.running) {
+			scan.running = RpcSource._scanBlocks(scan, {networkId, contractId}).finally(() => scan.running = null);
+		}
+
+		await scan.running;
+
+		return scan;
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Reads the blocks after the last scanned height up to the final head.
+	 *
+	 * @param {Object} scan - The scan to update.
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	static async _scanBlocks(scan, {networkId, contractId}) {
+		const provider = await NearService.getProvider(networkId);
+		const head = (await provider.block({finality: 'final'})).header.height;
+
+		// Blocks older than BLOCKS are not scanned, even if the previous scan is older than that
+		const from = Math.max(scan.height === null ? 0 : scan.height + 1, head - RpcSource.BLOCKS + 1, 0);
+		if (from > head) return;
+
+		console.info(`Scanning blocks ${from} to ${head} for transactions to ${contractId}.`);
+
+		for (let height = from; height <= head; height++) {
+			let block;
+			try {
+				block = await provider.block({blockId: height});
+			} catch (error) {
+				// Heights can be skipped by the network
+				if (error.type === 'UNKNOWN_BLOCK' || /not found|UNKNOWN_BLOCK/i.test(error.message)) {
+					scan.height = height;
+					continue;
+				}
+				throw error;
+			}
+
+			const timestamp = new Date(Number(BigInt(block.header.timestamp_nanosec) / BigInt(1000000))).toISOString();
+			const found = [];
+
+			for (const chunk of block.chunks) {
+				// Chunks missing in this block repeat the header of the last included one
+				if (chunk.height_included !== height || chunk.tx_root === RpcSource.EMPTY_ROOT) continue;
+
+				const {transactions} = await provider.chunk(chunk.chunk_hash);
+
+				for (const transaction of transactions) {
+					if (!RpcSource._involvesContract(transaction, contractId)) continue;
+
+					found.unshift({hash: transaction.hash, signerId: transaction.signer_id, timestamp});
+				}
+			}
+
+			scan.txns = [...found, ...scan.txns].slice(0, RpcSource.MAX_TXNS);
+			scan.height = height;
+		}
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Stores a decoded outcome as the most recently used, dropping the least recently used ones.
+	 *
+	 * @param {string} hash - Hash of the transaction.
+	 * @param {Array<Interaction>} decoded - Its interactions.
+	 *
+	 * @returns {void}
+	 */
+	static _remember(hash, decoded) {
+		RpcSource.outcomes.delete(hash);
+		RpcSource.outcomes.set(hash, decoded);
+
+		while (RpcSource.outcomes.size > RpcSource.MAX_OUTCOMES) {
+			RpcSource.outcomes.delete(RpcSource.outcomes.keys().next().value);
+		}
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Whether a transaction is sent to the contract, or is an `ft_transfer_call` to it.
+	 *
+	 * @param {Object} transaction - Transaction as returned in a chunk.
+	 * @param {string} contractId - The bounty contract.
+	 *
+	 * @returns {boolean} - True if the transaction involves the contract.
+	 */
+	static _involvesContract(transaction, contractId) {
+		if (transaction.receiver_id === contractId) return true;
+
+		return transaction.actions.some(action => {
+			if (action.FunctionCall?.method_name !== 'ft_transfer_call') return false;
+
+			try {
+				return JSON.parse(Buffer.from(action.FunctionCall.args, 'base64').toString()).receiver_id === contractId;
+			} catch (error) {
+				return false;
+			}
+		});
+	}
+}
+
+export default RpcSource;
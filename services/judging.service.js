@@ -0,0 +1,508 @@
+import primate from '@thewebchimp/primate';
+import HttpError from '#utils/http-error.js';
+import BountyService from './bounty.service.js';
+import PlanService from './plan.service.js';
+
+/**
+ * @class JudgingService
+ * @description Judging of the plans submitted to a bounty. The creator of the bounty and the judges they invite
+ * score every plan on the criteria of the bounty and comment on it; the scores produce a ranked leaderboard that
+ * prefills the winners of finalize_bounty in prize order.
+ */
+class JudgingService {
+	/**
+	 * @typedef {Object} Criterion
+	 * @property {string} key - Identifier of the criterion, used as key of the scores.
+	 * @property {string} name - Name displayed to the judges.
+	 * @property {number} weight - Relative weight of the criterion in the total.
+	 * @property {number} max - Highest score of the criterion, scores go from 0 to max.
+	 */
+
+	/**
+	 * @static
+	 * @description Criteria of bounties that do not configure their own in `metas.criteria`.
+	 */
+	static DEFAULT_CRITERIA = [{key: 'overall', name: 'Overall', weight: 1, max: 10}];
+
+	/**
+	 * @static
+	 * @description Maximum number of criteria of a bounty.
+	 */
+	static MAX_CRITERIA = 10;
+
+	/**
+	 * @static
+	 * @description Visibilities of a comment: private comments are only shown to the creator and the judges, public
+	 * ones to the author of the plan as well.
+	 */
+	static VISIBILITIES = ['Private', 'Public'];
+
+	/**
+	 * Gets the judging criteria of a bounty.
+	 *
+	 * @param {Object} bounty - The Bounty row.
+	 *
+	 * @returns {Array<Criterion>} - The criteria configured in its metas, or DEFAULT_CRITERIA.
+	 */
+	static getCriteria(bounty) {
+		const criteria = bounty.metas?.criteria;
+		return Array.isArray(criteria) && criteria.length > 0 ? criteria : JudgingService.DEFAULT_CRITERIA;
+	}
+
+	/**
+	 * Prepares the metas sent when a bounty is stored or edited. The criteria only change through setCriteria, which
+	 * validates them and locks them once plans are scored: the criteria of `metas` are dropped and the stored ones kept.
+	 *
+	 * @param {Object} metas - Metas sent by the client.
+	 * @param {Object} [current={}] - The stored Bounty row, when editing.
+	 *
+	 * @returns {Object} - The metas to store.
+	 */
+	static keepCriteria(metas, current = {}) {
+		const {criteria, ...rest} = metas || {};
+		const stored = current.metas?.criteria;
+
+		return stored ? {...rest, criteria: stored} : rest;
+	}
+
+	/**
+	 * Validates the judging criteria sent by the creator.
+	 *
+	 * @param {Array<Object>} criteria - Criteria with key, name and optionally weight (default 1) and max (default 10).
+	 *
+	 * @returns {Array<Criterion>} - The normalized criteria.
+	 *
+	 * @throws {HttpError} - Throws a 400 error with the field-level errors in `data.errors`.
+	 */
+	static parseCriteria(criteria) {
+		if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > JudgingService.MAX_CRITERIA) {
+			throw new HttpError(400, `Provide between 1 and ${JudgingService.MAX_CRITERIA} criteria.`);
+		}
+
+		const errors = [];
+		const parsed = criteria.map((criterion, index) => {
+			const field = `criteria[${index}]`;
+			const {key, name, weight = 1, max = 10} = criterion || {};
+
+			if (typeof key !== 'string' || !/^[a-z0-9_]+$/.test(key)) {
+				errors.push({field: `${field}.key`, message: 'The key must contain only lowercase letters, digits and underscores.'});
+			} else if (criteria.findIndex(other => other?.key === key) !== index) {
+				errors.push({field: `${field}.key`, message: `${key} is listed more than once.`});
+			}
+
+			if (typeof name !== 'string' || !name.trim()) {
+				errors.push({field: `${field}.name`, message: 'The name is required.'});
+			}
+
+			if (typeof weight !== 'number' || !(weight > 0)) {
+				errors.push({field: `${field}.weight`, message: 'The weight must be a positive number.'});
+			}
+
+			if (!Number.isInteger(max) || max < 1) {
+				errors.push({field: `${field}.max`, message: 'The max must be a positive integer.'});
+			}
+
+			return {key, name: typeof name === 'string' ? name.trim() : name, weight, max};
+		});
+
+		if (errors.length > 0) throw new HttpError(400, 'Invalid criteria.', {errors});
+
+		return parsed;
+	}
+
+	/**
+	 * Finds a bounty managed by a user: only its creator can change the criteria and the judges.
+	 *
+	 * @param {number|string} id - Reference to the bounty: database ID, chain:<id> or slug.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The bounty.
+	 *
+	 * @throws {HttpError} - Throws 404 if the bounty does not exist, 403 if the user is not its creator, or 409 if
+	 * the bounty is finalized.
+	 */
+	static async findManaged(id, user) {
+		const bounty = await BountyService.resolve(id);
+
+		if (bounty.idUser !== user.id) throw new HttpError(403, 'Only the creator of the bounty can manage its judging.');
+
+		if (PlanService.LOCKED_STATUSES.includes(bounty.status)) {
+			throw new HttpError(409, `The bounty is ${bounty.status}, its judging can no longer be changed.`);
+		}
+
+		return bounty;
+	}
+
+	/**
+	 * Finds a bounty judged by a user: its creator or one of its judges.
+	 *
+	 * @param {number|string} id - Reference to the bounty: database ID, chain:<id> or slug.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The bounty.
+	 *
+	 * @throws {HttpError} - Throws 404 if the bounty does not exist or 403 if the user is not a judge.
+	 */
+	static async findJudged(id, user) {
+		const bounty = await BountyService.resolve(id);
+
+		if (!(await JudgingService.isJudge(bounty, user))) {
+			throw new HttpError(403, 'Only the creator of the bounty and its judges can see its judging.');
+		}
+
+		return bounty;
+	}
+
+	/**
+	 * Checks whether a user judges a bounty: its creator is always a judge.
+	 *
+	 * @param {Object} bounty - The Bounty row.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<boolean>} - True if the user can score and comment the plans of the bounty.
+	 */
+	static async isJudge(bounty, user) {
+		if (bounty.idUser === user.id) return true;
+
+		const judge = await primate.prisma.judge.findUnique({
+			where: {idBounty_idNear: {idBounty: bounty.id, idNear: user.idNear}},
+		});
+
+		return !!judge;
+	}
+
+	/**
+	 * Replaces the judging criteria of a bounty. Criteria cannot change once a plan has been scored, the existing
+	 * scores would no longer be comparable.
+	 *
+	 * @param {Object} bounty - The bounty, as returned by findManaged.
+	 * @param {Array<Object>} criteria - Criteria sent by the creator.
+	 *
+	 * @returns {Promise<Array<Criterion>>} - The stored criteria.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the criteria are invalid or 409 if a plan was already scored.
+	 */
+	static async setCriteria(bounty, criteria) {
+		const parsed = JudgingService.parseCriteria(criteria);
+
+		const scored = await primate.prisma.planScore.count({where: {plan: {idBounty: bounty.id}}});
+		if (scored > 0) throw new HttpError(409, 'Plans have already been scored, the criteria can no longer change.');
+
+		await primate.prisma.bounty.update({
+			where: {id: bounty.id},
+			data: {metas: {...(bounty.metas || {}), criteria: parsed}, modified: new Date()},
+		});
+
+		return parsed;
+	}
+
+	/**
+	 * Retrieves the invited judges of a bounty, oldest first. The creator is not listed.
+	 *
+	 * @param {number} idBounty - Database ID of the bounty.
+	 *
+	 * @returns {Promise<Array<Object>>} - The judges.
+	 */
+	static async getJudges(idBounty) {
+		return primate.prisma.judge.findMany({
+			where: {idBounty},
+			orderBy: {created: 'asc'},
+		});
+	}
+
+	/**
+	 * Invites a NEAR account to judge a bounty.
+	 *
+	 * @param {Object} bounty - The bounty, as returned by findManaged.
+	 * @param {string} idNear - NEAR account ID of the judge.
+	 * @param {Object} user - The signed user, creator of the bounty.
+	 *
+	 * @returns {Promise<Object>} - The judge.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the account is the creator or 409 if it is already a judge.
+	 */
+	static async inviteJudge(bounty, idNear, user) {
+		if (idNear === user.idNear) throw new HttpError(400, 'The creator of the bounty is already a judge.');
+
+		const existing = await primate.prisma.judge.findUnique({
+			where: {idBounty_idNear: {idBounty: bounty.id, idNear}},
+		});
+		if (existing) throw new HttpError(409, `${idNear} is already a judge of the bounty.`);
+
+		return primate.prisma.judge.create({
+			data: {idBounty: bounty.id, idNear, invitedBy: user.idNear},
+		});
+	}
+
+	/**
+	 * Removes a judge from a bounty. The scores they gave are discarded, their comments are kept.
+	 *
+	 * @param {Object} bounty - The bounty, as returned by findManaged.
+	 * @param {string} idNear - NEAR account ID of the judge.
+	 *
+	 * @returns {Promise<Object>} - The removed judge.
+	 *
+	 * @throws {HttpError} - Throws a 404 error if the account is not a judge of the bounty.
+	 */
+	static async removeJudge(bounty, idNear) {
+		const judge = await primate.prisma.judge.findUnique({
+			where: {idBounty_idNear: {idBounty: bounty.id, idNear}},
+		});
+		if (!judge) throw new HttpError(404, `${idNear} is not a judge of the bounty.`);
+
+		return primate.prisma.$transaction(async prisma => {
+			await prisma.planScore.deleteMany({
+				where: {plan: {idBounty: bounty.id}, user: {idNear}},
+			});
+
+			return prisma.judge.delete({where: {id: judge.id}});
+		});
+	}
+
+	/**
+	 * Finds a plan a user can judge: the user must be a judge of its bounty and the plan must not be withdrawn.
+	 *
+	 * @param {number|string} id - ID of the plan.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The plan with its bounty.
+	 *
+	 * @throws {HttpError} - Throws 404 if the plan does not exist, 403 if the user is not a judge, or 409 if the plan
+	 * was withdrawn or its bounty is still a draft.
+	 */
+	static async findJudgeable(id, user) {
+		const plan = await JudgingService._findPlan(id);
+
+		if (!(await JudgingService.isJudge(plan.bounty, user))) {
+			throw new HttpError(403, 'Only the creator of the bounty and its judges can judge its plans.');
+		}
+
+		if (plan.status === PlanService.WITHDRAWN) throw new HttpError(409, 'The plan has been withdrawn.');
+		if (plan.bounty.status === 'Draft') throw new HttpError(409, 'The bounty is not published yet.');
+
+		return plan;
+	}
+
+	/**
+	 * Scores a plan on every criterion of its bounty. Scoring again replaces the previous score of the judge.
+	 * The total goes from 0 to 100: the weighted average of the scores, each relative to the max of its criterion.
+	 *
+	 * @param {Object} plan - The plan, as returned by findJudgeable.
+	 * @param {Object<string, number>} scores - Score of each criterion, keyed by criterion key.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The score.
+	 *
+	 * @throws {HttpError} - Throws a 400 error with the field-level errors in `data.errors`, 403 if the judge is the
+	 * author of the plan, or 409 if the bounty is still a draft or finalized.
+	 */
+	static async score(plan, scores, user) {
+		if (plan.idUser === user.id) throw new HttpError(403, 'Judges cannot score their own plan.');
+		if (plan.bounty.status === 'Draft') throw new HttpError(409, 'The bounty is not published yet.');
+
+		if (PlanService.LOCKED_STATUSES.includes(plan.bounty.status)) {
+			throw new HttpError(409, `The bounty is ${plan.bounty.status}, its plans can no longer be scored.`);
+		}
+
+		if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+			throw new HttpError(400, 'Provide the scores as an object keyed by criterion.');
+		}
+
+		const criteria = JudgingService.getCriteria(plan.bounty);
+		const errors = [];
+
+		criteria.forEach(({key, max}) => {
+			const value = scores[key];
+
+			if (value === undefined) {
+				errors.push({field: `scores.${key}`, message: `The ${key} score is required.`});
+			} else if (typeof value !== 'number' || value < 0 || value > max) {
+				errors.push({field: `scores.${key}`, message: `The ${key} score must be a number between 0 and ${max}.`});
+			}
+		});
+
+		Object.keys(scores)
+			.filter(key => !criteria.some(criterion => criterion.key === key))
+			.forEach(key => errors.push({field: `scores.${key}`, message: `${key} is not a criterion of the bounty.`}));
+
+		if (errors.length > 0) throw new HttpError(400, 'Invalid scores.', {errors});
+
+		const values = Object.fromEntries(criteria.map(({key}) => [key, scores[key]]));
+		const total = JudgingService.total(values, criteria);
+
+		return primate.prisma.planScore.upsert({
+			where: {idPlan_idUser: {idPlan: plan.id, idUser: user.id}},
+			create: {idPlan: plan.id, idUser: user.id, version: plan.version, scores: values, total},
+			update: {version: plan.version, scores: values, total, modified: new Date()},
+		});
+	}
+
+	/**
+	 * Computes the total of a set of scores: the weighted average of each score relative to the max of its criterion.
+	 *
+	 * @param {Object<string, number>} scores - Score of each criterion.
+	 * @param {Array<Criterion>} criteria - Criteria of the bounty.
+	 *
+	 * @returns {number} - The total, from 0 to 100 with two decimals.
+	 */
+	static total(scores, criteria) {
+		const weights = criteria.reduce((sum, {weight}) => sum + weight, 0);
+		const weighted = criteria.reduce((sum, {key, weight, max}) => sum + ((scores[key] || 0) / max) * weight, 0);
+
+		return Math.round((weighted / weights) * 10000) / 100;
+	}
+
+	/**
+	 * Comments on a plan.
+	 *
+	 * @param {Object} plan - The plan, as returned by findJudgeable.
+	 * @param {Object} comment - The comment.
+	 * @param {string} comment.content - Text of the comment.
+	 * @param {string} [comment.visibility='Private'] - One of VISIBILITIES.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The comment.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the content is empty or the visibility is not valid.
+	 */
+	static async comment(plan, {content, visibility = 'Private'}, user) {
+		if (typeof content !== 'string' || !content.trim()) throw new HttpError(400, 'The content of the comment is required.');
+
+		if (!JudgingService.VISIBILITIES.includes(visibility)) {
+			throw new HttpError(400, `Invalid visibility ${visibility}. Use one of: ${JudgingService.VISIBILITIES.join(', ')}.`);
+		}
+
+		return primate.prisma.planComment.create({
+			data: {idPlan: plan.id, idUser: user.id, content: content.trim(), visibility},
+			include: {user: {select: {idNear: true, username: true}}},
+		});
+	}
+
+	/**
+	 * Retrieves the comments of a plan, oldest first. Judges see every comment, the author of the plan only the public
+	 * ones.
+	 *
+	 * @param {number|string} id - ID of the plan.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Array<Object>>} - The comments with the NEAR account of their author.
+	 *
+	 * @throws {HttpError} - Throws 404 if the plan does not exist or 403 if the user is neither a judge nor its author.
+	 */
+	static async getComments(id, user) {
+		const plan = await JudgingService._findPlan(id);
+
+		const judge = await JudgingService.isJudge(plan.bounty, user);
+		if (!judge && plan.idUser !== user.id) {
+			throw new HttpError(403, 'Only the author of the plan and the judges of the bounty can see its comments.');
+		}
+
+		return primate.prisma.planComment.findMany({
+			where: {idPlan: plan.id, ...(judge ? {} : {visibility: 'Public'})},
+			include: {user: {select: {idNear: true, username: true}}},
+			orderBy: {created: 'asc'},
+		});
+	}
+
+	/**
+	 * @typedef {Object} LeaderboardEntry
+	 * @property {number} rank - 1-based position, plans without scores are not ranked (null).
+	 * @property {{id: number, slug: string, title: string, version: number}} plan - The plan.
+	 * @property {string} author - NEAR account ID of the author.
+	 * @property {number|null} score - Average total of the judges, from 0 to 100.
+	 * @property {Object<string, number>} criteria - Average score of each criterion.
+	 * @property {number} judges - Number of judges that scored the plan.
+	 * @property {boolean} outdated - Whether a judge scored an older version of the plan.
+	 * @property {boolean} participant - Whether the author participates on chain, only participants can win.
+	 */
+
+	/**
+	 * Ranks the plans of a bounty by the average total of their scores. Ties are broken by the number of judges and
+	 * then by submission date. The winners are the best ranked authors participating on chain, one per prize in prize
+	 * order, ready to be sent to finalize_bounty.
+	 *
+	 * The prizes and participants are read from the contract, the indexed columns may not be synced yet. Bounties not
+	 * on chain yet fall back to the stored ones.
+	 *
+	 * @param {Object} bounty - The bounty, as returned by findJudged.
+	 * @param {Object} [params={}] - Contract to read the bounty from.
+	 * @param {string} [params.networkId] - The NEAR network ID, NETWORK_ID by default.
+	 * @param {string} [params.contractId] - The bounty contract, CONTRACT_ID by default.
+	 *
+	 * @returns {Promise<{criteria: Array<Criterion>, entries: Array<LeaderboardEntry>, prizes: Array<{position: number,
+	 * prize: string, winner: string|null}>, winners: string[]}>} - The leaderboard.
+	 */
+	static async getLeaderboard(bounty, {networkId = process.env.NETWORK_ID, contractId = process.env.CONTRACT_ID} = {}) {
+		const criteria = JudgingService.getCriteria(bounty);
+
+		const chainBounty = /^\d+$/.test(bounty.idOnChain || '')
+			? await BountyService.getOnChain({networkId, contractId, bountyDb: bounty})
+			: null;
+
+		const prizes = (chainBounty ? chainBounty.prizes : bounty.prizes) || [];
+		const participants = new Set((chainBounty ? chainBounty.participants : bounty.participants) || []);
+
+		const plans = await primate.prisma.plan.findMany({
+			where: {idBounty: bounty.id, status: {not: PlanService.WITHDRAWN}},
+			include: {user: {select: {idNear: true}}, scores: true},
+			orderBy: {created: 'asc'},
+		});
+
+		const entries = plans.map(plan => {
+			const {scores} = plan;
+			const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+			const round = value => Math.round(value * 100) / 100;
+
+			return {
+				rank: null,
+				plan: {id: plan.id, slug: plan.slug, title: plan.title, version: plan.version},
+				author: plan.user.idNear,
+				score: scores.length > 0 ? round(average(scores.map(score => score.total))) : null,
+				criteria: scores.length > 0 ? Object.fromEntries(criteria.map(({key}) => [
+					key, round(average(scores.map(score => score.scores?.[key] || 0))),
+				])) : {},
+				judges: scores.length,
+				outdated: scores.some(score => score.version < plan.version),
+				participant: participants.has(plan.user.idNear),
+			};
+		});
+
+		// Array.prototype.sort is stable, plans with the same score and judges keep their submission order
+		entries.sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || b.judges - a.judges);
+		entries.filter(entry => entry.score !== null).forEach((entry, index) => entry.rank = index + 1);
+
+		const winners = [...new Set(entries
+			.filter(entry => entry.rank && entry.participant)
+			.map(entry => entry.author))].slice(0, prizes.length);
+
+		return {
+			criteria,
+			entries,
+			prizes: prizes.map((prize, index) => ({
+				position: index + 1,
+				prize: BountyService.formatAmount(String(prize), bounty),
+				winner: winners[index] || null,
+			})),
+			winners,
+		};
+	}
+
+	/**
+	 * @param {number|string} id - ID of the plan.
+	 *
+	 * @returns {Promise<Object>} - The plan with its bounty.
+	 *
+	 * @throws {HttpError} - Throws 404 if the plan does not exist.
+	 */
+	static async _findPlan(id) {
+		const plan = await primate.prisma.plan.findUnique({
+			where: {id: parseInt(id)},
+			include: {bounty: true},
+		});
+		if (!plan) throw new HttpError(404, 'Plan not found.');
+
+		return plan;
+	}
+}
+
+export default JudgingService;
@@ -7,7 +7,10 @@ import {
 	providers,
 } from 'near-api-js';
 
-import axios from 'axios';
+import {sha256} from 'js-sha256';
+import FailoverRpcProvider from '#utils/failover-rpc-provider.js';
+import HttpError from '#utils/http-error.js';
+import {nearNetworks} from '../assets/data/near-networks.js';
 
 /**
  * @class NearService
@@ -19,62 +22,128 @@ class NearService {
 	/**
 	 * @private
 	 * @static
-	 * @description The NEAR connection instance.
+	 * @description NEAR connection instances keyed by network ID.
 	 */
-	static nearConnection = null;
+	static nearConnections = {};
+
+	/**
+	 * @static
+	 * @description Maximum gas a transaction can attach, adding up all its actions.
+	 */
+	static MAX_TRANSACTION_GAS = '300000000000000';
+
+	/**
+	 * @static
+	 * @description Gas attached to `storage_deposit` when registering the bounty contract with a token.
+	 */
+	static STORAGE_DEPOSIT_GAS = '30000000000000';
+
+	/**
+	 * Gets the RPC endpoints of a network, from `NEAR_RPC_<NETWORK>` when set or from the default configuration.
+	 *
+	 * @param {string} networkId - The NEAR network ID (e.g., 'testnet', 'mainnet', 'sandbox').
+	 *
+	 * @returns {Array<{url: string, priority: number}>} - The RPC endpoints sorted by priority.
+	 *
+	 * @throws {Error} - Throws an error if the network is not configured.
+	 */
+	static getRpcEndpoints(networkId) {
+		const env = process.env[`NEAR_RPC_${String(networkId).toUpperCase()}`];
+		if (env) {
+			return env.split(',')
+				.map(url => url.trim())
+				.filter(Boolean)
+				.map((url, index) => ({url, priority: index + 1}));
+		}
+
+		const network = nearNetworks[networkId];
+		if (!network) throw new Error(`Unknown NEAR network: ${networkId}. Set NEAR_RPC_${String(networkId).toUpperCase()} to use it.`);
+
+		return network.rpc;
+	}
 
 	/**
 	 * @private
 	 * @static
-	 * @description Initializes the NEAR connection if not already initialized.
+	 * @description Initializes the NEAR connection of a network if not already initialized.
+	 * Requests are sent through a FailoverRpcProvider over the RPC endpoints of the network.
 	 *
-	 * @param {string} networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} networkId - The NEAR network ID (e.g., 'testnet', 'mainnet', 'sandbox').
 	 *
-	 * @returns {Promise<void>} - Resolves cuando la conexión está establecida.
+	 * @returns {Promise<Near>} - The connection of the network.
 	 */
 	static async _initConnection(networkId) {
-		if (!NearService.nearConnection) {
-			console.info(`Initializing NEAR connection for network: ${networkId}`);
-			const config = {
-				networkId,
-				nodeUrl: `https://rpc.${networkId}.near.org`,
-				walletUrl: `https://wallet.${networkId}.near.org`,
-				helperUrl: `https://helper.${networkId}.near.org`,
-				explorerUrl: `https://explorer.${networkId}.near.org`,
-				keyStore: new keyStores.InMemoryKeyStore(), // No keys stored here
-			};
+		if (NearService.nearConnections[networkId]) return NearService.nearConnections[networkId];
 
-			try {
-				NearService.nearConnection = await connect(config);
-				console.info('NEAR connection established.');
-			} catch (error) {
-				console.error(`Failed to connect to NEAR network: ${error.message}`);
-				throw new Error(`Failed to connect to NEAR network: ${error.message}`);
-			}
-		} else {
-			console.info('NEAR connection already initialized.');
+		console.info(`Initializing NEAR connection for network: ${networkId}`);
+
+		const endpoints = NearService.getRpcEndpoints(networkId);
+		const network = nearNetworks[networkId] || {};
+
+		const config = {
+			networkId,
+			nodeUrl: endpoints[0].url,
+			provider: new FailoverRpcProvider(endpoints, {
+				timeout: parseInt(process.env.NEAR_RPC_TIMEOUT) || 10000,
+				rateLimitRetries: parseInt(process.env.NEAR_RPC_RETRIES) || 2,
+			}),
+			walletUrl: network.walletUrl,
+			helperUrl: network.helperUrl,
+			explorerUrl: network.explorerUrl,
+			keyStore: new keyStores.InMemoryKeyStore(), // No keys stored here
+		};
+
+		// The promise is cached so concurrent requests share the same connection
+		NearService.nearConnections[networkId] = connect(config);
+
+		try {
+			const near = await NearService.nearConnections[networkId];
+			console.info(`NEAR connection established with ${endpoints.map(({url}) => url).join(', ')}.`);
+			return near;
+		} catch (error) {
+			delete NearService.nearConnections[networkId];
+			console.error(`Failed to connect to NEAR network: ${error.message}`);
+			throw new Error(`Failed to connect to NEAR network: ${error.message}`);
 		}
 	}
 
+	/**
+	 * Gets the RPC provider of a network, initializing its connection if needed.
+	 *
+	 * @param {string} networkId - The NEAR network ID (e.g., 'testnet', 'mainnet', 'sandbox').
+	 *
+	 * @returns {Promise<providers.Provider>} - The RPC provider of the network.
+	 */
+	static async getProvider(networkId) {
+		const near = await NearService._initConnection(networkId);
+		return near.connection.provider;
+	}
+
 	/**
 	 * @private
 	 * @static
-	 * @description Retrieves the public key associated with the sender's account.
+	 * @description Retrieves the public key the sender should sign a transaction with.
+	 * The access keys of the account are inspected so the transaction can actually be signed, see selectAccessKey.
 	 *
 	 * @param {string} networkId - The NEAR network ID.
 	 * @param {string} sender - The sender's account ID.
+	 * @param {Object} [options={}] - Transaction the key is selected for.
+	 * @param {string} [options.receiver] - The account ID of the receiver.
+	 * @param {Array<transactions.Action>} [options.actions=[]] - The actions of the transaction.
+	 * @param {string} [options.publicKey] - The public key preferred by the client.
 	 *
-	 * @returns {Promise<PublicKey>} - La clave pública como una instancia de PublicKey.
+	 * @returns {Promise<PublicKey>} - The public key as a PublicKey instance.
 	 *
-	 * @throws {Error} - Lanza un error si no se encuentran claves de acceso o si falla la recuperación.
+	 * @throws {HttpError} - Throws a 400/403 error if no access key can sign the transaction.
+	 * @throws {Error} - Throws an error if the keys cannot be retrieved.
 	 */
-	static async _getSignerPublicKey(networkId, sender) {
+	static async _getSignerPublicKey(networkId, sender, {receiver, actions = [], publicKey} = {}) {
 		try {
 			console.info(`Retrieving public keys for account: ${sender} on network: ${networkId}`);
-			const provider = NearService.nearConnection.connection.provider;
+			const near = await NearService._initConnection(networkId);
 
 			// Initialize the account object
-			const account = await NearService.nearConnection.account(sender);
+			const account = await near.account(sender);
 
 			// Fetch all access keys for the sender account
 			const accessKeys = await account.getAccessKeys();
@@ -84,31 +153,190 @@ class NearService {
 				throw new Error(`No access keys found for account: ${sender}`);
 			}
 
-			// Seleccionar la primera clave pública (puedes modificar esta lógica según tus necesidades)
-			const signerPublicKeyStr = accessKeys[0].public_key;
+			// The allowance of function-call keys is checked against the gas of the call
+			const gasPrice = actions.length === 1 ? await NearService.getGasPrice({networkId}) : null;
+
+			const signerPublicKeyStr = NearService.selectAccessKey(accessKeys, {
+				sender, receiver, actions, publicKey, gasPrice,
+			}).public_key;
 			const signerPublicKey = utils.PublicKey.from(signerPublicKeyStr); // Conversión a PublicKey
 			console.info(`Using public key: ${signerPublicKeyStr} for transaction signing.`);
 			return signerPublicKey;
 		} catch (error) {
 			console.error(`Error retrieving public key for ${sender}: ${error.message}`);
+			if (error instanceof HttpError) throw error;
 			throw new Error(`Failed to retrieve public key for ${sender}: ${error.message}`);
 		}
 	}
 
+	/**
+	 * Selects the access key that signs a transaction.
+	 *
+	 * A function-call key can only sign transactions made of a single function call without deposit, to its
+	 * `receiver_id` and, when it has `method_names`, to one of those methods; its remaining allowance must cover the
+	 * attached gas. Such a key is preferred, since the wallet can sign with it without asking the user; otherwise a
+	 * full-access key is used. A key passed by the client is used as long as it can sign the transaction.
+	 *
+	 * @param {Array<Object>} accessKeys - Access keys of the account, as returned by `view_access_key_list`.
+	 * @param {Object} params - Transaction the key is selected for.
+	 * @param {string} params.sender - The account ID of the sender.
+	 * @param {string} params.receiver - The account ID of the receiver.
+	 * @param {Array<transactions.Action>} params.actions - The actions of the transaction.
+	 * @param {string} [params.publicKey] - The public key preferred by the client.
+	 * @param {string} [params.gasPrice] - Gas price in yoctoNEAR, to check the allowance of the
+	 * function-call keys.
+	 *
+	 * @returns {Object} - The selected access key.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the key of the client does not belong to the account, or 403 if no
+	 * key can sign the transaction, with the kind of key required.
+	 */
+	static selectAccessKey(accessKeys, {sender, receiver, actions, publicKey, gasPrice}) {
+		const [action] = actions;
+
+		// Function-call keys only sign transactions with a single action
+		const functionCallOnly = actions.length === 1 && action.enum === 'functionCall' &&
+			BigInt(action.functionCall.deposit || 0) === BigInt(0);
+
+		const methodName = functionCallOnly ? action.functionCall.methodName : null;
+		const gasCost = functionCallOnly && gasPrice ? BigInt(action.functionCall.gas || 0) * BigInt(gasPrice) : BigInt(0);
+
+		const canSign = ({access_key: {permission}}) => {
+			if (permission === 'FullAccess') return true;
+
+			const functionCall = permission.FunctionCall;
+			if (!functionCallOnly || !functionCall || functionCall.receiver_id !== receiver) return false;
+
+			// A null allowance is unlimited
+			if (functionCall.allowance !== null) {
+				const allowance = BigInt(functionCall.allowance);
+				if (allowance === BigInt(0) || allowance < gasCost) return false;
+			}
+
+			return functionCall.method_names.length === 0 || functionCall.method_names.includes(methodName);
+		};
+
+		const required = functionCallOnly
+			? `a full-access key or a function-call key for ${receiver} allowing ${methodName} with enough allowance`
+			: 'a full-access key, the transaction attaches a deposit or contains several actions or actions other than a function call';
+
+		if (publicKey) {
+			const accessKey = accessKeys.find(({public_key}) => public_key === publicKey);
+
+			if (!accessKey) throw new HttpError(400, `${publicKey} is not an access key of ${sender}.`);
+			if (!canSign(accessKey)) {
+				throw new HttpError(403, `${publicKey} cannot sign this transaction, it requires ${required}.`, {required});
+			}
+
+			return accessKey;
+		}
+
+		const signers = accessKeys.filter(canSign);
+		const accessKey = signers.find(({access_key: {permission}}) => permission !== 'FullAccess') || signers[0];
+
+		if (!accessKey) {
+			throw new HttpError(403, `${sender} has no access key able to sign this transaction, it requires ${required}.`, {required});
+		}
+
+		return accessKey;
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description NEP-413 tag (2^31 + 413) prepended to every signed message payload.
+	 */
+	static NEP413_TAG = 2147484061;
+
+	/**
+	 * Verifies a message signed by a NEAR wallet following NEP-413 (`signMessage`).
+	 *
+	 * The payload is borsh-serialized, hashed with sha256 and checked against the signature. The public key
+	 * must also be a full-access key of the account, otherwise anyone could claim the account with a random key.
+	 *
+	 * @param {Object} params - Verification parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} params.accountId - The account that signed the message.
+	 * @param {string} params.publicKey - The public key used to sign (e.g., 'ed25519:...').
+	 * @param {string} params.signature - The signature in base64.
+	 * @param {string} params.message - The signed message.
+	 * @param {string} params.nonce - The 32-byte nonce in base64 issued by the server.
+	 * @param {string} params.recipient - The recipient declared in the message.
+	 * @param {string} [params.callbackUrl] - The callback URL, if the wallet included it.
+	 *
+	 * @returns {Promise<boolean>} - Resolves to true if the signature is valid and the key belongs to the account.
+	 *
+	 * @throws {Error} - Throws an error if the key is not a full-access key or the query fails.
+	 */
+	static async verifySignedMessage({networkId, accountId, publicKey, signature, message, nonce, recipient, callbackUrl}) {
+		console.info('Verifying signed message for account:', accountId);
+
+		const nonceBytes = Buffer.from(nonce, 'base64');
+		if (nonceBytes.length !== 32) {
+			throw new Error('Nonce must be 32 bytes long.');
+		}
+
+		const payload = utils.serialize.serialize(
+			{
+				struct: {
+					tag: 'u32',
+					message: 'string',
+					nonce: {array: {type: 'u8', len: 32}},
+					recipient: 'string',
+					callbackUrl: {option: 'string'},
+				},
+			},
+			{
+				tag: NearService.NEP413_TAG,
+				message,
+				nonce: Array.from(nonceBytes),
+				recipient,
+				callbackUrl: callbackUrl || null,
+			},
+		);
+
+		const hash = new Uint8Array(sha256.array(payload));
+		const isValid = utils.PublicKey.from(publicKey).verify(hash, Buffer.from(signature, 'base64'));
+
+		if (!isValid) {
+			console.info('Signature does not match the payload.');
+			return false;
+		}
+
+		const near = await NearService._initConnection(networkId);
+
+		const account = await near.account(accountId);
+		const accessKeys = await account.getAccessKeys();
+		const accessKey = accessKeys.find(key => key.public_key === publicKey);
+
+		if (!accessKey) {
+			console.info(`Public key ${publicKey} does not belong to ${accountId}.`);
+			return false;
+		}
+
+		if (accessKey.access_key.permission !== 'FullAccess') {
+			throw new Error('The message must be signed with a full access key.');
+		}
+
+		console.info('Signed message verified successfully.');
+		return true;
+	}
+
 	/**
 	 * Creates an unsigned transfer transaction.
 	 *
-	 * @param {Object} params - The parameters para la transacción de transferencia.
-	 * @param {string} params.networkId - El ID de la red NEAR (ej., 'testnet', 'mainnet').
-	 * @param {string} params.sender - El ID de cuenta del remitente.
-	 * @param {string} params.receiver - El ID de cuenta del receptor.
-	 * @param {string} params.amount - La cantidad a transferir en NEAR (ej., '1.5').
+	 * @param {Object} params - The parameters of the transfer transaction.
+	 * @param {string} params.networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} params.sender - The account ID of the sender.
+	 * @param {string} params.receiver - The account ID of the receiver.
+	 * @param {string} params.amount - The amount to transfer in NEAR (e.g., '1.5').
+	 * @param {string} [params.publicKey] - The public key the client prefers to sign with.
 	 *
-	 * @returns {Promise<transactions.Transaction>} - Una promesa que resuelve al objeto de transacción de transferencia sin firmar.
+	 * @returns {Promise<transactions.Transaction>} - A promise that resolves to the unsigned transfer transaction.
 	 *
-	 * @throws {Error} - Lanza un error si el formato de la cantidad es inválido o si falla la creación de la transacción.
+	 * @throws {Error} - Throws an error if the amount is invalid or the transaction cannot be created.
 	 */
-	static async createTransferTransaction({networkId, sender, receiver, amount}) {
+	static async createTransferTransaction({networkId, sender, receiver, amount, publicKey}) {
 		console.info('Creating transfer transaction with the following parameters:', {
 			networkId,
 			sender,
@@ -132,7 +360,7 @@ class NearService {
 		console.info('Defined transfer action.');
 
 		// Create and return the unsigned transaction
-		const transaction = await NearService._createEncodedTransaction({networkId, sender, receiver, actions});
+		const transaction = await NearService._createEncodedTransaction({networkId, sender, receiver, actions, publicKey});
 		console.info('Transfer transaction created successfully.');
 		return transaction;
 	}
@@ -141,27 +369,30 @@ class NearService {
 	/**
 	 * Creates an unsigned transaction with specified actions.
 	 *
-	 * @param {Object} params - The parameters para la transacción.
-	 * @param {string} params.networkId - El ID de la red NEAR (ej., 'testnet', 'mainnet').
-	 * @param {string} params.sender - El ID de cuenta del remitente.
-	 * @param {string} params.receiver - El ID de cuenta del receptor.
-	 * @param {Array<Object>} params.actions - Un array de acciones de transacción NEAR.
+	 * @param {Object} params - The parameters of the transaction.
+	 * @param {string} params.networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} params.sender - The account ID of the sender.
+	 * @param {string} params.receiver - The account ID of the receiver.
+	 * @param {Array<Object>} params.actions - An array of NEAR transaction actions.
+	 * @param {string} [params.publicKey] - The public key the client prefers to sign with.
 	 *
-	 * @returns {Promise<transactions.Transaction>} - Una promesa que resuelve al objeto de transacción sin firmar.
+	 * @returns {Promise<transactions.Transaction>} - A promise that resolves to the unsigned transaction.
 	 *
 	 * @private
-	 * @throws {Error} - Lanza un error si falla la creación de la transacción.
+	 * @throws {HttpError} - Throws an error if no access key can sign the transaction.
+	 * @throws {Error} - Throws an error if the transaction cannot be created.
 	 */
-	static async _createEncodedTransaction({networkId, sender, receiver, actions}) {
+	static async _createEncodedTransaction({networkId, sender, receiver, actions, publicKey}) {
 		try {
 			console.info('Creating encoded transaction.');
 
 			// Retrieve signer public key
-			const signerPublicKey = await NearService._getSignerPublicKey(networkId, sender);
+			const signerPublicKey = await NearService._getSignerPublicKey(networkId, sender, {receiver, actions, publicKey});
 			console.info(`Signer public key retrieved: ${signerPublicKey.toString()}`);
 
 			// Initialize the JSON RPC provider using the existing provider from the connection
-			const provider = NearService.nearConnection.connection.provider;
+			const near = await NearService._initConnection(networkId);
+			const provider = near.connection.provider;
 			console.info('Using existing JSON RPC provider from NEAR connection.');
 
 			// Fetch access key details (nonce and block hash)
@@ -201,10 +432,24 @@ class NearService {
 			return transaction;
 		} catch (error) {
 			console.error(`Error creating encoded transaction: ${error.message}`);
+			if (error instanceof HttpError) throw error;
 			throw new Error(`Failed to create transaction: ${error.message}`);
 		}
 	}
 
+	/**
+	 * Formats an unsigned transaction for the API response.
+	 *
+	 * Actions are serialized in the wallet selector format (`{type, params}`): FunctionCall, Transfer, AddKey,
+	 * DeleteKey and CreateAccount, in any number and order. `encoded` holds the borsh-encoded transaction in base64,
+	 * ready to be signed as is.
+	 *
+	 * @param {transactions.Transaction} transaction - The unsigned transaction.
+	 *
+	 * @returns {Object} - The formatted transaction.
+	 *
+	 * @throws {Error} - Throws an error if the transaction contains an unsupported action.
+	 */
 	static formatTransactionForResponse(transaction) {
 		try {
 			const formattedTransaction = {
@@ -212,46 +457,224 @@ class NearService {
 				receiverId: transaction.receiverId,
 				publicKey: transaction.publicKey.toString(),
 				nonce: transaction.nonce.toString(),
-				actions: transaction.actions.map(action => {
-					// Map the action type to PascalCase
-					let actionType;
-					switch (action.enum) {
-						case 'functionCall':
-						case 'function_call':
-						case 'FunctionCall':
-							actionType = 'FunctionCall';
-							break;
-						// Add other action types if necessary
-						default:
-							throw new Error(`Unsupported action type: ${action.enum}`);
-					}
-
-					return {
-						type: actionType,
-						params: {
-							methodName: action.functionCall?.methodName,
-							args: action.functionCall?.args
-								? JSON.parse(Buffer.from(action.functionCall.args).toString())
-								: undefined,
-							gas: action.functionCall?.gas.toString(),
-							deposit: action.functionCall?.deposit.toString()
-						}
-					};
-				}),
-				blockHash: Array.from(transaction.blockHash)
+				actions: transaction.actions.map(action => NearService._formatAction(action)),
+				blockHash: Array.from(transaction.blockHash),
+				encoded: Buffer.from(transactions.encodeTransaction(transaction)).toString('base64'),
 			};
 
 			return formattedTransaction;
 		} catch (error) {
 			console.error('Error formatting transaction:', error);
-			throw new Error('Failed to format transaction for response');
+			throw new Error(`Failed to format transaction for response: ${error.message}`);
+		}
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Formats a single action in the wallet selector format.
+	 *
+	 * @param {transactions.Action} action - The action to format.
+	 *
+	 * @returns {{type: string, params?: Object}} - The formatted action.
+	 *
+	 * @throws {Error} - Throws an error if the action type is not supported.
+	 */
+	static _formatAction(action) {
+		// Map the action type to PascalCase
+		switch (action.enum) {
+			case 'functionCall':
+			case 'function_call':
+			case 'FunctionCall':
+				return {
+					type: 'FunctionCall',
+					params: {
+						methodName: action.functionCall.methodName,
+						args: action.functionCall.args
+							? JSON.parse(Buffer.from(action.functionCall.args).toString())
+							: undefined,
+						gas: action.functionCall.gas.toString(),
+						deposit: action.functionCall.deposit.toString(),
+					},
+				};
+
+			case 'transfer':
+				return {
+					type: 'Transfer',
+					params: {deposit: action.transfer.deposit.toString()},
+				};
+
+			case 'addKey': {
+				const {permission} = action.addKey.accessKey;
+
+				return {
+					type: 'AddKey',
+					params: {
+						publicKey: action.addKey.publicKey.toString(),
+						accessKey: {
+							nonce: Number(action.addKey.accessKey.nonce || 0),
+							permission: permission.enum === 'fullAccess' ? 'FullAccess' : {
+								receiverId: permission.functionCall.receiverId,
+								methodNames: permission.functionCall.methodNames,
+								allowance: permission.functionCall.allowance?.toString(),
+							},
+						},
+					},
+				};
+			}
+
+			case 'deleteKey':
+				return {
+					type: 'DeleteKey',
+					params: {publicKey: action.deleteKey.publicKey.toString()},
+				};
+
+			case 'createAccount':
+				return {type: 'CreateAccount'};
+
+			default:
+				throw new Error(`Unsupported action type: ${action.enum}`);
 		}
 	}
 
+	/**
+	 * Builds NEAR actions from actions in the wallet selector format, the inverse of formatTransactionForResponse.
+	 * The actions come from the client, so every parameter is validated before building them.
+	 *
+	 * @param {Array<{type: string, params?: Object}>} actions - The actions to build.
+	 *
+	 * @returns {Array<transactions.Action>} - The NEAR transaction actions.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if an action is not supported or its parameters are not valid.
+	 */
+	static buildActions(actions) {
+		return actions.map((action, index) => {
+			const invalid = message => new HttpError(400, `Invalid action ${index}: ${message}`);
+
+			if (!action || typeof action !== 'object') throw invalid('expected an object with type and params.');
+
+			const {type, params = {}} = action;
+			if (!params || typeof params !== 'object') throw invalid('params must be an object.');
+
+			// Amounts and gas in their smallest unit, as integer strings or safe integers
+			const toAmount = (value, name) => {
+				if (!/^\d+$/.test(String(value))) throw invalid(`${name} must be a non-negative integer.`);
+				return BigInt(value);
+			};
+
+			const toPublicKey = value => {
+				try {
+					return utils.PublicKey.from(value);
+				} catch (error) {
+					throw invalid(`malformed publicKey ${value}.`);
+				}
+			};
+
+			switch (type) {
+				case 'FunctionCall': {
+					if (typeof params.methodName !== 'string' || !params.methodName) throw invalid('missing methodName.');
+
+					if (params.args !== undefined && (params.args === null || typeof params.args !== 'object')) {
+						throw invalid('args must be an object.');
+					}
+
+					const gas = toAmount(params.gas ?? NearService.MAX_TRANSACTION_GAS, 'gas');
+					if (gas > BigInt(NearService.MAX_TRANSACTION_GAS)) {
+						throw invalid(`gas exceeds the maximum of ${NearService.MAX_TRANSACTION_GAS}.`);
+					}
+
+					return transactions.functionCall(
+						params.methodName,
+						Buffer.from(JSON.stringify(params.args || {})),
+						gas,
+						toAmount(params.deposit ?? '0', 'deposit'),
+					);
+				}
+
+				case 'Transfer':
+					if (params.deposit === undefined) throw invalid('missing deposit.');
+					return transactions.transfer(toAmount(params.deposit, 'deposit'));
+
+				case 'AddKey': {
+					if (!params.publicKey || !params.accessKey) throw invalid('missing publicKey or accessKey.');
+
+					const {permission} = params.accessKey;
+					let accessKey;
+
+					if (permission === 'FullAccess') {
+						accessKey = transactions.fullAccessKey();
+					} else {
+						if (!permission || typeof permission.receiverId !== 'string' || !permission.receiverId) {
+							throw invalid('permission must be FullAccess or include a receiverId.');
+						}
+
+						const methodNames = permission.methodNames || [];
+						if (!Array.isArray(methodNames) || methodNames.some(name => typeof name !== 'string')) {
+							throw invalid('methodNames must be an array of method names.');
+						}
+
+						accessKey = transactions.functionCallAccessKey(
+							permission.receiverId,
+							methodNames,
+							permission.allowance ? toAmount(permission.allowance, 'allowance') : undefined,
+						);
+					}
+
+					return transactions.addKey(toPublicKey(params.publicKey), accessKey);
+				}
+
+				case 'DeleteKey':
+					if (!params.publicKey) throw invalid('missing publicKey.');
+					return transactions.deleteKey(toPublicKey(params.publicKey));
+
+				case 'CreateAccount':
+					return transactions.createAccount();
+
+				default:
+					throw new HttpError(400, `Unsupported action type: ${type}`);
+			}
+		});
+	}
+
+	/**
+	 * Creates an unsigned transaction batching several actions.
+	 *
+	 * @param {Object} params - The parameters of the transaction.
+	 * @param {string} params.networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} params.sender - The account ID of the sender.
+	 * @param {string} params.receiver - The account ID of the receiver.
+	 * @param {Array<{type: string, params?: Object}>} params.actions - The actions in the wallet selector format.
+	 * @param {string} [params.publicKey] - The public key the client prefers to sign with.
+	 *
+	 * @returns {Promise<transactions.Transaction>} - A promise that resolves to the unsigned transaction.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if an action is not valid.
+	 * @throws {Error} - Throws an error if the transaction cannot be created.
+	 */
+	static async createBatchTransaction({networkId, sender, receiver, actions, publicKey}) {
+		console.info('Creating batch transaction with the following parameters:', {
+			networkId, sender, receiver, actions: actions.map(action => action?.type),
+		});
+
+		// Validate the client actions before reaching the RPC
+		const nearActions = NearService.buildActions(actions);
+
+		await NearService._initConnection(networkId);
 
-	static async createBountyTransaction({networkId, sender, receiver, prizes}) {
+		const transaction = await NearService._createEncodedTransaction({
+			networkId,
+			sender,
+			receiver,
+			actions: nearActions,
+			publicKey,
+		});
+		console.info('Batch transaction created successfully.');
+		return transaction;
+	}
+
+	static async createBountyTransaction({networkId, sender, receiver, prizes, gas = '300000000000000', publicKey}) {
 		console.info('Creating create_bounty transaction with the following parameters:', {
-			networkId, sender, receiver, prizes,
+			networkId, sender, receiver, prizes, gas,
 		});
 
 		await NearService._initConnection(networkId);
@@ -270,21 +693,221 @@ class NearService {
 			transactions.functionCall(
 				'create_bounty',
 				Buffer.from(JSON.stringify({prizes: yoctoPrizes})),
-				'300000000000000', // 300 Tgas
+				gas,
 				totalPrizeString
 			),
 		];
 
 		const transaction = await NearService._createEncodedTransaction({
-			networkId, sender, receiver, actions,
+			networkId, sender, receiver, actions, publicKey,
 		});
 		console.info('create_bounty transaction created successfully.');
 		return transaction;
 	}
 
-	static async participateTransaction({networkId, sender, receiver, bountyId}) {
+	/**
+	 * Creates an unsigned transaction funding a bounty with a NEP-141 fungible token.
+	 *
+	 * The prizes are sent to the bounty contract with `ft_transfer_call`, the contract receives the bounty definition in
+	 * `msg` from `ft_on_transfer`. If the bounty contract is not registered with the token yet, a `storage_deposit`
+	 * action is prepended so the transfer does not fail.
+	 *
+	 * @param {Object} params - The parameters of the transaction.
+	 * @param {string} params.networkId - The NEAR network ID (e.g., 'testnet', 'mainnet').
+	 * @param {string} params.sender - The account ID of the creator of the bounty.
+	 * @param {string} params.receiver - The ID of the bounty contract.
+	 * @param {string} params.tokenId - The ID of the NEP-141 token contract.
+	 * @param {string[]} params.prizes - The prizes in token units (e.g., '10.5').
+	 * @param {number} params.decimals - The decimals of the token.
+	 * @param {string} [params.gas='300000000000000'] - The gas attached to `ft_transfer_call`.
+	 * @param {string} [params.publicKey] - The public key the client prefers to sign with.
+	 *
+	 * @returns {Promise<transactions.Transaction>} - A promise that resolves to the unsigned transaction.
+	 *
+	 * @throws {Error} - Throws an error if a prize is not valid or the transaction cannot be created.
+	 */
+	static async createFtBountyTransaction({networkId, sender, receiver, tokenId, prizes, decimals, gas = '300000000000000', publicKey}) {
+		console.info('Creating ft_transfer_call bounty transaction with the following parameters:', {
+			networkId, sender, receiver, tokenId, prizes, decimals, gas,
+		});
+
+		await NearService._initConnection(networkId);
+
+		const rawPrizes = prizes.map(prize => NearService.parseTokenAmount(prize, decimals));
+		if (rawPrizes.some(prize => !prize)) {
+			throw new Error(`Invalid prize amount for a token with ${decimals} decimals.`);
+		}
+
+		const totalPrize = rawPrizes.reduce((total, prize) => total + BigInt(prize), BigInt(0)).toString();
+		console.info('PRIZES', rawPrizes);
+		console.info('Total Prize', totalPrize);
+
+		const actions = [];
+		let transferGas = BigInt(gas);
+
+		const storageDeposit = await NearService.getFtStorageDeposit({networkId, tokenId, accountId: receiver});
+
+		if (storageDeposit !== '0') {
+			console.info(`Registering ${receiver} with ${tokenId}, storage deposit: ${storageDeposit}`);
+			actions.push(transactions.functionCall(
+				'storage_deposit',
+				Buffer.from(JSON.stringify({account_id: receiver, registration_only: true})),
+				NearService.STORAGE_DEPOSIT_GAS,
+				storageDeposit,
+			));
+
+			// The whole transaction cannot exceed the maximum gas, the registration is taken from ft_transfer_call
+			const available = BigInt(NearService.MAX_TRANSACTION_GAS) - BigInt(NearService.STORAGE_DEPOSIT_GAS);
+			if (transferGas > available) transferGas = available;
+		}
+
+		actions.push(transactions.functionCall(
+			'ft_transfer_call',
+			Buffer.from(JSON.stringify({
+				receiver_id: receiver,
+				amount: totalPrize,
+				msg: JSON.stringify({action: 'create_bounty', prizes: rawPrizes}),
+			})),
+			transferGas.toString(),
+			'1', // 1 yoctoNEAR, required by NEP-141
+		));
+
+		const transaction = await NearService._createEncodedTransaction({
+			networkId, sender, receiver: tokenId, actions, publicKey,
+		});
+		console.info('ft_transfer_call bounty transaction created successfully.');
+		return transaction;
+	}
+
+	/**
+	 * Obtiene los metadatos (NEP-148) de un token NEP-141.
+	 *
+	 * @param {Object} params - Los parámetros de la consulta.
+	 * @param {string} params.networkId - El ID de la red NEAR.
+	 * @param {string} params.tokenId - El ID del contrato del token.
+	 *
+	 * @returns {Promise<{name: string, symbol: string, decimals: number}>} - Los metadatos del token.
+	 *
+	 * @throws {Error} - Lanza un error si el contrato no implementa ft_metadata.
+	 */
+	static async getFtMetadata({networkId, tokenId}) {
+		await NearService._initConnection(networkId);
+
+		try {
+			return await NearService._viewFunction({
+				networkId,
+				contractId: tokenId,
+				methodName: 'ft_metadata',
+				args: {},
+			});
+		} catch (error) {
+			console.error(`Error calling ft_metadata on ${tokenId}: ${error.message}`);
+			throw new Error(`Failed to retrieve metadata of token ${tokenId}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Obtiene el depósito necesario para registrar una cuenta en un token NEP-145.
+	 *
+	 * @param {Object} params - Los parámetros de la consulta.
+	 * @param {string} params.networkId - El ID de la red NEAR.
+	 * @param {string} params.tokenId - El ID del contrato del token.
+	 * @param {string} params.accountId - La cuenta a registrar.
+	 *
+	 * @returns {Promise<string>} - El depósito en yoctoNEAR, '0' si la cuenta ya está registrada.
+	 */
+	static async getFtStorageDeposit({networkId, tokenId, accountId}) {
+		const storageBalance = await NearService._viewFunction({
+			networkId,
+			contractId: tokenId,
+			methodName: 'storage_balance_of',
+			args: {account_id: accountId},
+		});
+
+		if (storageBalance) return '0';
+
+		const bounds = await NearService._viewFunction({
+			networkId,
+			contractId: tokenId,
+			methodName: 'storage_balance_bounds',
+			args: {},
+		});
+
+		return String(bounds.min);
+	}
+
+	/**
+	 * Obtiene el precio actual del gas de la red.
+	 *
+	 * @param {Object} params - Los parámetros de la consulta.
+	 * @param {string} params.networkId - El ID de la red NEAR.
+	 *
+	 * @returns {Promise<string>} - El precio de una unidad de gas en yoctoNEAR.
+	 */
+	static async getGasPrice({networkId}) {
+		const near = await NearService._initConnection(networkId);
+		const {gas_price} = await near.connection.provider.gasPrice(null);
+
+		return String(gas_price);
+	}
+
+	/**
+	 * Convierte una cantidad legible (ej., '10.5') a unidades mínimas del token.
+	 *
+	 * @param {string|number} amount - La cantidad en unidades del token.
+	 * @param {number} decimals - Los decimales del token.
+	 *
+	 * @returns {string|null} - La cantidad en unidades mínimas, o null si el formato no es válido.
+	 */
+	static parseTokenAmount(amount, decimals) {
+		const [whole, fraction = ''] = String(amount).trim().split('.');
+
+		if (!/^\d+$/.test(whole) || !/^\d*$/.test(fraction) || fraction.length > decimals) return null;
+
+		const base = BigInt(10) ** BigInt(decimals);
+		return (BigInt(whole) * base + BigInt(fraction.padEnd(decimals, '0') || '0')).toString();
+	}
+
+	/**
+	 * Convierte una cantidad en unidades mínimas del token a una cantidad legible.
+	 *
+	 * @param {string|number} amount - La cantidad en unidades mínimas.
+	 * @param {number} decimals - Los decimales del token.
+	 *
+	 * @returns {string} - La cantidad en unidades del token, sin ceros a la derecha.
+	 */
+	static formatTokenAmount(amount, decimals) {
+		const value = BigInt(amount);
+		const base = BigInt(10) ** BigInt(decimals);
+
+		const whole = (value / base).toString();
+		const fraction = (value % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+
+		return fraction ? `${whole}.${fraction}` : whole;
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Calls a view function and decodes its JSON result.
+	 *
+	 * @param {Object} params - The parameters of the call.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The contract to query.
+	 * @param {string} params.methodName - The view method.
+	 * @param {Object} params.args - The arguments of the method.
+	 *
+	 * @returns {Promise<*>} - The decoded result.
+	 */
+	static async _viewFunction({networkId, contractId, methodName, args}) {
+		const near = await NearService._initConnection(networkId);
+		const account = await near.account(contractId);
+		return account.viewFunction({contractId, methodName, args});
+	}
+
+	static async participateTransaction({networkId, sender, receiver, bountyId, gas = '300000000000000', publicKey}) {
 		console.info('Creating participate transaction with the following parameters:', {
-			networkId, sender, receiver, bountyId,
+			networkId, sender, receiver, bountyId, gas,
 		});
 
 		await NearService._initConnection(networkId);
@@ -293,21 +916,155 @@ class NearService {
 			transactions.functionCall(
 				'participate',
 				Buffer.from(JSON.stringify({bountyId})),
-				'300000000000000', // 300 Tgas
+				gas,
 				'0' // No deposit required
 			),
 		];
 
 		const transaction = await NearService._createEncodedTransaction({
-			networkId, sender, receiver, actions,
+			networkId, sender, receiver, actions, publicKey,
 		});
 		console.info('participate transaction created successfully.');
 		return transaction;
 	}
 
-	static async finalizeBountyTransaction({networkId, sender, receiver, bountyId, winners}) {
+	/**
+	 * Crea una transacción para agregar fondos a una bounty existente. Cualquier cuenta puede aportar; el contrato
+	 * reparte el depósito entre los premios.
+	 *
+	 * @param {Object} params - Parámetros de la transacción.
+	 * @param {string} params.networkId - El ID de la red NEAR (ej., 'testnet', 'mainnet').
+	 * @param {string} params.sender - La cuenta que aporta los fondos y firma la transacción.
+	 * @param {string} params.receiver - El contrato de bounties.
+	 * @param {string} params.bountyId - El ID on-chain de la bounty.
+	 * @param {string} params.amount - La cantidad a aportar en NEAR (ej., '2.5').
+	 * @param {string} [params.gas='300000000000000'] - Gas adjunto a la llamada.
+	 * @param {string} [params.publicKey] - Llave pública con la que el sender quiere firmar.
+	 *
+	 * @returns {Promise<Object>} - La transacción sin firmar.
+	 *
+	 * @throws {HttpError} - Lanza un error 400 si la cantidad no es válida.
+	 */
+	static async addFundsTransaction({networkId, sender, receiver, bountyId, amount, gas = '300000000000000', publicKey}) {
+		console.info('Creating add_funds transaction with the following parameters:', {
+			networkId, sender, receiver, bountyId, amount, gas,
+		});
+
+		const deposit = utils.format.parseNearAmount(String(amount));
+		if (!deposit || BigInt(deposit) <= 0n) throw new HttpError(400, 'Invalid amount. Provide a positive amount in NEAR.');
+
+		await NearService._initConnection(networkId);
+
+		const actions = [
+			transactions.functionCall(
+				'add_funds',
+				Buffer.from(JSON.stringify({bountyId})),
+				gas,
+				deposit,
+			),
+		];
+
+		const transaction = await NearService._createEncodedTransaction({
+			networkId, sender, receiver, actions, publicKey,
+		});
+
+		console.info('add_funds transaction created successfully.');
+		return transaction;
+	}
+
+	/**
+	 * Crea una transacción para agregar fondos en un token NEP-141 a una bounty existente. Los fondos se envían al
+	 * contrato con `ft_transfer_call`, que recibe la acción en `msg`. El contrato ya está registrado en el token
+	 * desde la creación de la bounty.
+	 *
+	 * @param {Object} params - Parámetros de la transacción.
+	 * @param {string} params.networkId - El ID de la red NEAR (ej., 'testnet', 'mainnet').
+	 * @param {string} params.sender - La cuenta que aporta los fondos y firma la transacción.
+	 * @param {string} params.receiver - El contrato de bounties.
+	 * @param {string} params.tokenId - El contrato del token de la bounty.
+	 * @param {string} params.bountyId - El ID on-chain de la bounty.
+	 * @param {string} params.amount - La cantidad a aportar en unidades del token (ej., '10.5').
+	 * @param {number} params.decimals - Los decimales del token.
+	 * @param {string} [params.gas='300000000000000'] - Gas adjunto a la llamada.
+	 * @param {string} [params.publicKey] - Llave pública con la que el sender quiere firmar.
+	 *
+	 * @returns {Promise<Object>} - La transacción sin firmar, dirigida al contrato del token.
+	 *
+	 * @throws {HttpError} - Lanza un error 400 si la cantidad no es válida.
+	 */
+	static async addFtFundsTransaction({networkId, sender, receiver, tokenId, bountyId, amount, decimals, gas = '300000000000000', publicKey}) {
+		console.info('Creating ft_transfer_call add_funds transaction with the following parameters:', {
+			networkId, sender, receiver, tokenId, bountyId, amount, decimals, gas,
+		});
+
+		const rawAmount = NearService.parseTokenAmount(amount, decimals);
+		if (!rawAmount || BigInt(rawAmount) <= 0n) {
+			throw new HttpError(400, `Invalid amount. Provide a positive amount for a token with ${decimals} decimals.`);
+		}
+
+		await NearService._initConnection(networkId);
+
+		const actions = [
+			transactions.functionCall(
+				'ft_transfer_call',
+				Buffer.from(JSON.stringify({
+					receiver_id: receiver,
+					amount: rawAmount,
+					msg: JSON.stringify({action: 'add_funds', bountyId}),
+				})),
+				gas,
+				'1', // 1 yoctoNEAR, required by NEP-141
+			),
+		];
+
+		const transaction = await NearService._createEncodedTransaction({
+			networkId, sender, receiver: tokenId, actions, publicKey,
+		});
+
+		console.info('ft_transfer_call add_funds transaction created successfully.');
+		return transaction;
+	}
+
+	/**
+	 * Crea una transacción para cancelar una bounty. El contrato reembolsa los premios al creador.
+	 *
+	 * @param {Object} params - Parámetros de la transacción.
+	 * @param {string} params.networkId - El ID de la red NEAR (ej., 'testnet', 'mainnet').
+	 * @param {string} params.sender - El creador de la bounty, quien firma la transacción.
+	 * @param {string} params.receiver - El contrato de bounties.
+	 * @param {string} params.bountyId - El ID on-chain de la bounty.
+	 * @param {string} [params.gas='300000000000000'] - Gas adjunto a la llamada.
+	 * @param {string} [params.publicKey] - Llave pública con la que el sender quiere firmar.
+	 *
+	 * @returns {Promise<Object>} - La transacción sin firmar.
+	 */
+	static async cancelBountyTransaction({networkId, sender, receiver, bountyId, gas = '300000000000000', publicKey}) {
+		console.info('Creating cancel_bounty transaction with the following parameters:', {
+			networkId, sender, receiver, bountyId, gas,
+		});
+
+		await NearService._initConnection(networkId);
+
+		const actions = [
+			transactions.functionCall(
+				'cancel_bounty',
+				Buffer.from(JSON.stringify({bountyId})),
+				gas,
+				'0' // No deposit required
+			),
+		];
+
+		const transaction = await NearService._createEncodedTransaction({
+			networkId, sender, receiver, actions, publicKey,
+		});
+
+		console.info('cancel_bounty transaction created successfully.');
+		return transaction;
+	}
+
+	static async finalizeBountyTransaction({networkId, sender, receiver, bountyId, winners, gas = '300000000000000', publicKey}) {
 		console.info('Creating finalize_bounty transaction with the following parameters:', {
-			networkId, sender, receiver, bountyId, winners,
+			networkId, sender, receiver, bountyId, winners, gas,
 		});
 
 		await NearService._initConnection(networkId);
@@ -316,23 +1073,13 @@ class NearService {
 			transactions.functionCall(
 				'finalize_bounty',
 				Buffer.from(JSON.stringify({bountyId, winners})),
-				'300000000000000', // 300 Tgas
+				gas,
 				'0' // No deposit required
 			),
 		];
 
 		const transaction = await NearService._createEncodedTransaction({
-			networkId,
-			sender,
-			receiver,
-			actions: [
-				transactions.functionCall(
-					'finalize_bounty',
-					Buffer.from(JSON.stringify({bountyId, winners})),
-					'300000000000000', // 300 Tgas
-					'0' // No deposit required
-				),
-			],
+			networkId, sender, receiver, actions, publicKey,
 		});
 
 		console.info('finalize_bounty transaction created successfully.');
@@ -344,10 +1091,10 @@ class NearService {
 			networkId, contractId, participantId,
 		});
 
-		await NearService._initConnection(networkId);
+		const near = await NearService._initConnection(networkId);
 
 		try {
-			const account = await NearService.nearConnection.account(contractId);
+			const account = await near.account(contractId);
 			const bounties = await account.viewFunction({
 				contractId: contractId,
 				methodName: 'get_participant_bounties',
@@ -366,10 +1113,10 @@ class NearService {
 			networkId, contractId, creatorId,
 		});
 
-		await NearService._initConnection(networkId);
+		const near = await NearService._initConnection(networkId);
 
 		try {
-			const account = await NearService.nearConnection.account(contractId);
+			const account = await near.account(contractId);
 			const bounties = await account.viewFunction({
 				contractId: contractId,
 				methodName: 'get_creator_bounties',
@@ -388,10 +1135,10 @@ class NearService {
 			networkId, contractId,
 		});
 
-		await NearService._initConnection(networkId);
+		const near = await NearService._initConnection(networkId);
 
 		try {
-			const provider = NearService.nearConnection.connection.provider;
+			const provider = near.connection.provider;
 			const result = await provider.query({
 				request_type: "call_function",
 				account_id: contractId,
@@ -420,10 +1167,10 @@ class NearService {
 		});
 
 		// Initialize connection
-		await NearService._initConnection(networkId);
+		const near = await NearService._initConnection(networkId);
 
 		try {
-			const account = await NearService.nearConnection.account(contractId);
+			const account = await near.account(contractId);
 			// Use the contract's account to call the view function
 			const bounty = await account.viewFunction({
 				contractId: contractId,
@@ -440,113 +1187,100 @@ class NearService {
 
 
 	/**
-	 * Obtiene las interacciones entre una cuenta y un contrato específico utilizando la API de NEAR Blocks.
+	 * @typedef {Object} DecodedFunctionCall
+	 * @property {string} methodName - Name of the contract method.
+	 * @property {Object|null} args - JSON arguments, or null if they are not JSON.
+	 * @property {string} gas - Attached gas.
+	 * @property {string} deposit - Attached deposit in yoctoNEAR.
+	 */
+
+	/**
+	 * @typedef {Object} TransactionOutcome
+	 * @property {string} hash - Hash of the transaction.
+	 * @property {string} signerId - Account that signed the transaction.
+	 * @property {string} receiverId - Account that received the transaction.
+	 * @property {boolean} success - Whether the transaction and all its receipts succeeded.
+	 * @property {*} returnValue - JSON decoded return value of the last receipt, if any.
+	 * @property {string} gasBurnt - Total gas burnt by the transaction and its receipts.
+	 * @property {Array<DecodedFunctionCall>} calls - Function calls contained in the transaction.
+	 */
+
+	/**
+	 * Obtiene el resultado final de una transacción y decodifica sus llamadas a funciones.
 	 *
-	 * @param {Object} params - Parámetros para obtener las interacciones.
-	 * @param {string} params.networkId - El ID de la red NEAR ('mainnet' o 'testnet').
-	 * @param {string} params.accountId - El ID de la cuenta para la cual obtener las interacciones.
-	 * @param {string} params.contractId - El ID del contrato con el que se ha interactuado.
+	 * @param {Object} params - Parámetros de la consulta.
+	 * @param {string} params.networkId - El ID de la red NEAR (ej., 'testnet', 'mainnet').
+	 * @param {string} params.txHash - El hash de la transacción.
+	 * @param {string} params.accountId - La cuenta que firmó la transacción.
 	 *
-	 * @returns {Promise<Array>} - Una promesa que resuelve a un array de objetos de interacción.
+	 * @returns {Promise<TransactionOutcome|null>} - El resultado decodificado, o null si la transacción aún no es final.
 	 *
-	 * @throws {Error} - Lanza un error si falla la obtención de interacciones.
+	 * @throws {Error} - Lanza un error si falla la consulta al nodo RPC.
 	 */
-	static async getInteractions({networkId, accountId, contractId}) {
-		console.info('Iniciando getInteractions con parámetros:', {
-			networkId,
-			accountId,
-			contractId,
-		});
+	static async getTransactionOutcome({networkId, txHash, accountId}) {
+		console.info('Fetching transaction outcome with parameters:', {networkId, txHash, accountId});
 
-		try {
-			// Obtener la clave de API desde las variables de entorno
-			const apiKey = process.env.NEAR_BLOCKS_API_KEY;
-			if (!apiKey) {
-				throw new Error('La clave de API de NEAR Blocks no está configurada.');
-			}
+		const near = await NearService._initConnection(networkId);
 
-			// Definir la URL base de la API dependiendo de la red
-			let apiBaseUrl;
-			if (networkId === 'mainnet') {
-				apiBaseUrl = 'https://api.nearblocks.io/v1';
-			} else if (networkId === 'testnet') {
-				apiBaseUrl = 'https://api-testnet.nearblocks.io/v1';
-			} else {
-				throw new Error(`networkId no soportado: ${networkId}`);
+		let outcome;
+		try {
+			const provider = near.connection.provider;
+			outcome = await provider.txStatus(txHash, accountId, 'FINAL');
+		} catch (error) {
+			if (error.type === 'UNKNOWN_TRANSACTION' || /doesn't exist|UNKNOWN_TRANSACTION/.test(error.message)) {
+				console.info(`Transaction ${txHash} is not final yet.`);
+				return null;
 			}
 
-			console.info(`Usando apiBaseUrl: ${apiBaseUrl}`);
-
-			// Definir los parámetros para la solicitud
-			const per_page = 25; // Como en tu ejemplo
-			let page = 1; // Página inicial para la paginación
-			let interactions = [];
-			let hasMore = true;
-
-
-			console.info(`Solicitando transacciones: page=${page}, per_page=${per_page}`);
-
-			// Hacer la solicitud GET a la API de NEAR Blocks
-			const response = await axios.get(
-				`${apiBaseUrl}/account/${accountId}/txns`,
-				{
-					headers: {
-						'Authorization': `Bearer ${apiKey}`,
-						'accept': '*/*',
-					},
-					params: {
-						page,
-						per_page,
-						order: 'desc',
-					},
-				}
-			);
-
-			console.info('Respuesta recibida de la API:', response.status);
+			console.error(`Error fetching transaction outcome: ${error.message}`);
+			throw new Error(`Failed to retrieve transaction outcome: ${error.message}`);
+		}
 
-			if (response.status !== 200 || !response.data) {
-				console.error('Respuesta inválida de la API:', response.data);
-				throw new Error(`Fallo al obtener transacciones para la cuenta ${accountId}`);
-			}
+		return NearService.decodeTransactionOutcome(outcome);
+	}
 
-			// Acceder a los datos de las transacciones
-			const transactions = response.data.txns || response.data.data || response.data;
+	/**
+	 * Decodifica un FinalExecutionOutcome devuelto por el nodo RPC.
+	 *
+	 * @param {Object} outcome - El resultado devuelto por `tx` / `EXPERIMENTAL_tx_status`.
+	 *
+	 * @returns {TransactionOutcome} - El resultado decodificado.
+	 */
+	static decodeTransactionOutcome(outcome) {
+		const {transaction, status} = outcome;
 
-			if (!transactions || !Array.isArray(transactions)) {
-				console.error('La estructura de datos de transacciones no es válida:', transactions);
-				throw new Error('La estructura de datos de transacciones no es válida.');
+		const decodeJson = base64 => {
+			if (!base64) return null;
+			try {
+				return JSON.parse(Buffer.from(base64, 'base64').toString());
+			} catch (error) {
+				return null;
 			}
-
-			console.info(`Transacciones obtenidas: ${transactions.length}`);
-
-			// Filtrar transacciones donde el 'signer_account_id' o 'receiver_account_id' coincide con el 'contractId'
-			const filteredTxns = transactions.filter((txn) => {
-				return (
-					txn.signer_account_id === contractId ||
-					txn.receiver_account_id === contractId
-				);
-			});
-
-			console.info(`Transacciones filtradas encontradas: ${filteredTxns.length}`);
-
-			interactions = interactions.concat(filteredTxns);
-
-			// Verificar si hay más páginas
-			hasMore = transactions.length === per_page;
-			page += 1; // Incrementar el número de página para la siguiente iteración
-
-			console.info(`hasMore: ${hasMore}, nueva página: ${page}`);
-
-
-			console.info(
-				`Se encontraron ${interactions.length} interacciones entre ${accountId} y ${contractId}.`
-			);
-
-			return interactions;
-		} catch (error) {
-			console.error('Error al obtener las interacciones:', error.message);
-			throw new Error(`Fallo al obtener las interacciones: ${error.message}`);
-		}
+		};
+
+		const calls = (transaction.actions || [])
+			.filter(action => action.FunctionCall)
+			.map(({FunctionCall}) => ({
+				methodName: FunctionCall.method_name,
+				args: decodeJson(FunctionCall.args),
+				gas: String(FunctionCall.gas),
+				deposit: String(FunctionCall.deposit),
+			}));
+
+		const outcomes = [outcome.transaction_outcome, ...(outcome.receipts_outcome || [])];
+		const gasBurnt = outcomes.reduce((total, {outcome}) => total + BigInt(outcome.gas_burnt || 0), BigInt(0));
+		const success = typeof status === 'object' && status.SuccessValue !== undefined &&
+			!outcomes.some(({outcome}) => outcome.status && outcome.status.Failure);
+
+		return {
+			hash: transaction.hash,
+			signerId: transaction.signer_id,
+			receiverId: transaction.receiver_id,
+			success,
+			returnValue: success ? decodeJson(status.SuccessValue) : null,
+			gasBurnt: gasBurnt.toString(),
+			calls,
+		};
 	}
 
 	/**
@@ -0,0 +1,444 @@
+import primate from '@thewebchimp/primate';
+import HttpError from '#utils/http-error.js';
+import {planSchema} from '#entities/plans/plan.schema.js';
+
+/**
+ * @class PlanService
+ * @description Edition, withdrawal and versioning of the plans submitted to a bounty.
+ * Every revision of a plan is stored as an immutable PlanVersion, so the creator of the bounty can see what changed
+ * between the version they judged and the current one.
+ */
+class PlanService {
+	/**
+	 * @static
+	 * @description Status of a plan withdrawn by its author. Withdrawn plans are kept for the record but are no longer
+	 * listed nor eligible to win.
+	 */
+	static WITHDRAWN = 'Withdrawn';
+
+	/**
+	 * @static
+	 * @description Bounty statuses in which plans can no longer be edited nor withdrawn.
+	 */
+	static LOCKED_STATUSES = ['Finished', 'Cancelled', 'Expired'];
+
+	/**
+	 * @static
+	 * @description Maximum number of changed lines compared by diffLines, whose table grows with the product of both.
+	 */
+	static MAX_DIFF_LINES = 1000;
+
+	/**
+	 * @typedef {Object} PlanItinerary
+	 * @property {Array<Object>} days - Days sorted by number, each with its stops sorted by order.
+	 * @property {string} notes - General notes of the plan.
+	 * @property {Array<{url: string, name: string, mime: string}>} attachments - Attachments of the plan.
+	 */
+
+	/**
+	 * Validates a plan sent by the client.
+	 *
+	 * @param {Object} data - Request body.
+	 * @param {Joi.ObjectSchema} [schema=planSchema] - planSchema to create a plan, planUpdateSchema to edit it.
+	 *
+	 * @returns {Object} - The validated plan, unknown fields stripped.
+	 *
+	 * @throws {HttpError} - Throws a 400 error with the field-level errors in `data.errors`.
+	 */
+	static validate(data, schema = planSchema) {
+		const {value, error} = schema.validate(data, {abortEarly: false, stripUnknown: true});
+
+		if (error) {
+			const errors = error.details.map(({path, message}) => ({
+				field: path.reduce((field, key) => {
+					if (typeof key === 'number') return `${field}[${key}]`;
+					return field ? `${field}.${key}` : key;
+				}, ''),
+				message,
+			}));
+
+			throw new HttpError(400, 'Invalid plan.', {errors});
+		}
+
+		return value;
+	}
+
+	/**
+	 * Builds the itinerary stored in the metas of a plan from a validated plan.
+	 * Legacy places become the stops of day 1; days and stops without number are numbered after the last one.
+	 *
+	 * @param {Object} value - Plan returned by validate.
+	 *
+	 * @returns {PlanItinerary} - The itinerary, only with the fields present in `value`.
+	 */
+	static toItinerary({days, places, notes, attachments}) {
+		const itinerary = {};
+
+		if (!days && places) {
+			days = [{day: 1, title: '', notes: '', stops: places.map(place => PlanService._toStop(place))}];
+		}
+
+		if (days) itinerary.days = PlanService._number(days, 'day').map(day => ({
+			...day,
+			stops: PlanService._number(day.stops, 'order'),
+		}));
+
+		if (notes !== undefined) itinerary.notes = notes;
+		if (attachments !== undefined) itinerary.attachments = attachments;
+
+		return itinerary;
+	}
+
+	/**
+	 * Adds the itinerary of a plan to it, in the same form whether it was created with days or with legacy places.
+	 *
+	 * @param {Object} plan - Plan row.
+	 *
+	 * @returns {Object} - The plan with `days`, `notes` and `attachments`.
+	 */
+	static normalize(plan) {
+		const metas = plan.metas || {};
+
+		let days = metas.days;
+		if (!days && Array.isArray(metas.places) && metas.places.length > 0) {
+			days = PlanService.toItinerary({places: metas.places}).days;
+		}
+
+		return {
+			...plan,
+			days: days || [],
+			notes: metas.notes || '',
+			attachments: metas.attachments || [],
+		};
+	}
+
+	/**
+	 * Finds a plan editable by a user: the user must be its author, the plan must not be withdrawn and its bounty
+	 * must still be in the submission phase.
+	 *
+	 * @param {number|string} id - ID of the plan.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The plan with its bounty.
+	 *
+	 * @throws {HttpError} - Throws 404 if the plan does not exist, 403 if the user is not its author, or 409 if it
+	 * cannot be changed anymore.
+	 */
+	static async findEditable(id, user) {
+		const plan = await primate.prisma.plan.findUnique({
+			where: {id: parseInt(id)},
+			include: {bounty: true},
+		});
+
+		if (!plan) throw new HttpError(404, 'Plan not found.');
+		if (plan.idUser !== user.id) throw new HttpError(403, 'Only the author of the plan can change it.');
+		if (plan.status === PlanService.WITHDRAWN) throw new HttpError(409, 'The plan has been withdrawn.');
+
+		if (PlanService.LOCKED_STATUSES.includes(plan.bounty.status)) {
+			throw new HttpError(409, `The bounty is ${plan.bounty.status}, its plans can no longer be changed.`);
+		}
+
+		if (plan.bounty.status === 'Draft') throw new HttpError(409, 'The bounty is not published yet.');
+
+		// The judges score the version submitted before the deadline, the scheduler moves the bounty to Judging
+		// shortly after it
+		const deadlinePassed = plan.bounty.submissionDeadline && plan.bounty.submissionDeadline <= new Date();
+		if (plan.bounty.status === 'Judging' || deadlinePassed) {
+			throw new HttpError(409, 'The submission phase is over, the plans can no longer be changed.');
+		}
+
+		return plan;
+	}
+
+	/**
+	 * Creates a plan along with its first version.
+	 *
+	 * @param {Object} data - Plan row to create.
+	 *
+	 * @returns {Promise<Object>} - The created plan.
+	 */
+	static async create(data) {
+		return primate.prisma.$transaction(async prisma => {
+			const plan = await prisma.plan.create({data: {...data, version: 1}});
+			await PlanService._snapshot(prisma, plan, plan.idUser);
+
+			return plan;
+		});
+	}
+
+	/**
+	 * Edits a plan and stores the result as a new version.
+	 *
+	 * @param {Object} plan - The plan, as returned by findEditable.
+	 * @param {Object} changes - Fields to change.
+	 * @param {string} [changes.title] - New title.
+	 * @param {string} [changes.content] - New content.
+	 * @param {Object} [changes.metas] - Metas merged into the current ones.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The updated plan.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if there is nothing to change.
+	 */
+	static async update(plan, {title, content, metas}, user) {
+		const data = {};
+		if (title !== undefined) data.title = title;
+		if (content !== undefined) data.content = content;
+
+		if (metas !== undefined) {
+			data.metas = {...(plan.metas || {}), ...metas};
+
+			// The legacy places are superseded by the itinerary
+			if (metas.days) delete data.metas.places;
+		}
+
+		if (Object.keys(data).length === 0) {
+			throw new HttpError(400, 'Nothing to update. Provide a title, description or places.');
+		}
+
+		return primate.prisma.$transaction(async prisma => {
+			// Plans created before versioning get their original content as version 1
+			const versions = await prisma.planVersion.count({where: {idPlan: plan.id}});
+			if (versions === 0) await PlanService._snapshot(prisma, plan, plan.idUser);
+
+			const updated = await prisma.plan.update({
+				where: {id: plan.id},
+				data: {...data, version: {increment: 1}, modified: new Date()},
+			});
+
+			await PlanService._snapshot(prisma, updated, user.id);
+
+			return updated;
+		});
+	}
+
+	/**
+	 * Withdraws a plan. Its versions are kept.
+	 *
+	 * @param {Object} plan - The plan, as returned by findEditable.
+	 *
+	 * @returns {Promise<Object>} - The withdrawn plan.
+	 */
+	static async withdraw(plan) {
+		return primate.prisma.plan.update({
+			where: {id: plan.id},
+			data: {status: PlanService.WITHDRAWN, modified: new Date()},
+		});
+	}
+
+	/**
+	 * Checks that a user can read the versions of a plan: its author or the creator of its bounty.
+	 *
+	 * @param {number|string} id - ID of the plan.
+	 * @param {Object} user - The signed user.
+	 *
+	 * @returns {Promise<Object>} - The plan with its bounty.
+	 *
+	 * @throws {HttpError} - Throws 404 if the plan does not exist or 403 if the user cannot read it.
+	 */
+	static async findReadable(id, user) {
+		const plan = await primate.prisma.plan.findUnique({
+			where: {id: parseInt(id)},
+			include: {bounty: true},
+		});
+
+		if (!plan) throw new HttpError(404, 'Plan not found.');
+		if (plan.idUser !== user.id && plan.bounty.idUser !== user.id) {
+			throw new HttpError(403, 'Only the author of the plan and the creator of the bounty can see its versions.');
+		}
+
+		return plan;
+	}
+
+	/**
+	 * Retrieves the versions of a plan, oldest first.
+	 *
+	 * @param {number} idPlan - ID of the plan.
+	 *
+	 * @returns {Promise<Array<Object>>} - The versions with the NEAR account of their editor.
+	 */
+	static async getVersions(idPlan) {
+		return primate.prisma.planVersion.findMany({
+			where: {idPlan},
+			include: {user: {select: {idNear: true, username: true}}},
+			orderBy: {version: 'asc'},
+		});
+	}
+
+	/**
+	 * Compares two versions of a plan.
+	 *
+	 * @param {number} idPlan - ID of the plan.
+	 * @param {number} from - Older version number.
+	 * @param {number} to - Newer version number.
+	 *
+	 * @returns {Promise<{from: number, to: number, changes: Array<Object>}>} - The changed fields. Title and metas
+	 * report their old and new values; content reports a line diff, each line marked ' ', '-' or '+'.
+	 *
+	 * @throws {HttpError} - Throws a 404 error if a version does not exist.
+	 */
+	static async diff(idPlan, from, to) {
+		const versions = await primate.prisma.planVersion.findMany({
+			where: {idPlan, version: {in: [from, to]}},
+		});
+
+		const older = versions.find(version => version.version === from);
+		const newer = versions.find(version => version.version === to);
+
+		if (!older || !newer) throw new HttpError(404, `Version ${!older ? from : to} not found.`);
+
+		const changes = [];
+
+		if (older.title !== newer.title) {
+			changes.push({field: 'title', from: older.title, to: newer.title});
+		}
+
+		if (older.content !== newer.content) {
+			changes.push({field: 'content', lines: PlanService.diffLines(older.content, newer.content)});
+		}
+
+		const olderMetas = older.metas || {};
+		const newerMetas = newer.metas || {};
+		for (const key of new Set([...Object.keys(olderMetas), ...Object.keys(newerMetas)])) {
+			if (JSON.stringify(olderMetas[key]) !== JSON.stringify(newerMetas[key])) {
+				changes.push({field: `metas.${key}`, from: olderMetas[key] ?? null, to: newerMetas[key] ?? null});
+			}
+		}
+
+		return {from, to, changes};
+	}
+
+	/**
+	 * Line diff of two texts, based on their longest common subsequence of lines.
+	 * The common first and last lines are kept as they are; when the lines in between exceed MAX_DIFF_LINES, they are
+	 * shown as removed and added as a whole.
+	 *
+	 * @param {string} before - Old text.
+	 * @param {string} after - New text.
+	 *
+	 * @returns {Array<{op: string, line: string}>} - The lines of both texts, `op` being ' ' (kept), '-' (removed) or
+	 * '+' (added).
+	 */
+	static diffLines(before, after) {
+		const oldLines = (before || '').split('\n');
+		const newLines = (after || '').split('\n');
+
+		let start = 0;
+		while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+
+		let end = 0;
+		while (end < oldLines.length - start && end < newLines.length - start &&
+			oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) end++;
+
+		const a = oldLines.slice(start, oldLines.length - end);
+		const b = newLines.slice(start, newLines.length - end);
+
+		const head = oldLines.slice(0, start).map(line => ({op: ' ', line}));
+		const tail = oldLines.slice(oldLines.length - end).map(line => ({op: ' ', line}));
+
+		if (a.length + b.length > PlanService.MAX_DIFF_LINES) {
+			return [
+				...head,
+				...a.map(line => ({op: '-', line})),
+				...b.map(line => ({op: '+', line})),
+				...tail,
+			];
+		}
+
+		// lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+		const lcs = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+		for (let i = a.length - 1; i >= 0; i--) {
+			for (let j = b.length - 1; j >= 0; j--) {
+				lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+			}
+		}
+
+		const lines = [];
+		let i = 0;
+		let j = 0;
+		while (i < a.length && j < b.length) {
+			if (a[i] === b[j]) {
+				lines.push({op: ' ', line: a[i]});
+				i++;
+				j++;
+			} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+				lines.push({op: '-', line: a[i++]});
+			} else {
+				lines.push({op: '+', line: b[j++]});
+			}
+		}
+
+		while (i < a.length) lines.push({op: '-', line: a[i++]});
+		while (j < b.length) lines.push({op: '+', line: b[j++]});
+
+		return [...head, ...lines, ...tail];
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Converts a legacy place, a name or a loosely structured object, to a stop.
+	 *
+	 * @param {string|Object} place - The place.
+	 *
+	 * @returns {Object} - The stop, its location null when the place has no coordinates.
+	 */
+	static _toStop(place) {
+		if (typeof place === 'string') place = {name: place};
+
+		const {title, ...rest} = place;
+
+		return {
+			description: '',
+			notes: '',
+			attachments: [],
+			...rest,
+			name: place.name || title || '',
+			location: place.location || null,
+		};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Sorts items by a number field, numbering the items without it after the highest one.
+	 *
+	 * @param {Array<Object>} items - Days or stops.
+	 * @param {string} field - 'day' or 'order'.
+	 *
+	 * @returns {Array<Object>} - New sorted items.
+	 */
+	static _number(items, field) {
+		let next = Math.max(0, ...items.map(item => item[field] || 0)) + 1;
+
+		return items
+			.map(item => ({...item, [field]: item[field] || next++}))
+			.sort((a, b) => a[field] - b[field]);
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Stores the current state of a plan as its version.
+	 *
+	 * @param {Object} prisma - Prisma transaction client.
+	 * @param {Object} plan - The plan.
+	 * @param {number} idUser - ID of the user who made the revision.
+	 *
+	 * @returns {Promise<Object>} - The created version.
+	 */
+	static async _snapshot(prisma, plan, idUser) {
+		return prisma.planVersion.create({
+			data: {
+				idPlan: plan.id,
+				idUser,
+				version: plan.version,
+				title: plan.title,
+				content: plan.content,
+				metas: plan.metas || {},
+			},
+		});
+	}
+}
+
+export default PlanService;
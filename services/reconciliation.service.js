@@ -0,0 +1,348 @@
+import primate from '@thewebchimp/primate';
+import NearService from './near.service.js';
+import BountyService from './bounty.service.js';
+import IndexerService from './indexer.service.js';
+import InteractionService from './interaction.service.js';
+import SchedulerService from './scheduler.service.js';
+
+/**
+ * @class ReconciliationService
+ * @description Detects the differences between the bounties on chain and the Bounty table, fixes the ones that can
+ * be fixed from the chain data and flags the others as ReconciliationIssue rows for an admin to review.
+ *
+ * Kinds of issues:
+ * - `missing_metadata`: bounty on chain without a Bounty row, hidden from the bounty lists.
+ * - `invalid_id`: Bounty row whose idOnChain is not a number, such as 'undefined'.
+ * - `missing_on_chain`: Bounty row whose idOnChain is not found on chain.
+ * - `status_mismatch`: Bounty row whose status contradicts the chain, e.g. Finished while the chain is still open.
+ */
+class ReconciliationService {
+	/**
+	 * @static
+	 * @description Interval between two scheduled runs in milliseconds.
+	 */
+	static INTERVAL = parseInt(process.env.RECONCILIATION_INTERVAL) || 60 * 60 * 1000;
+
+	/**
+	 * @static
+	 * @description Database statuses consistent with each on-chain status.
+	 */
+	static EXPECTED_STATUSES = {
+		Open: ['Published', 'Judging', 'Expired'],
+		Finished: ['Finished'],
+		Cancelled: ['Cancelled'],
+	};
+
+	/**
+	 * @typedef {Object} Discrepancy
+	 * @property {string} key - Unique key of the issue, `<kind>:<bounty>`.
+	 * @property {string} kind - Kind of issue.
+	 * @property {number|null} idBounty - Database ID of the bounty, null if it has no row.
+	 * @property {string|null} idOnChain - On-chain ID of the bounty, null if it has none.
+	 * @property {string} message - Description of the issue.
+	 * @property {Function|null} fix - Fixes the issue, null if it needs a human decision.
+	 */
+
+	/**
+	 * Schedules the reconciliation in the background. Issues are only fixed if RECONCILIATION_AUTOFIX is 'true',
+	 * otherwise they are flagged.
+	 *
+	 * @returns {void}
+	 */
+	static start() {
+		SchedulerService.every('reconciliation', ReconciliationService.INTERVAL, () => ReconciliationService.run({
+			networkId: process.env.NETWORK_ID,
+			contractId: process.env.CONTRACT_ID,
+			fix: process.env.RECONCILIATION_AUTOFIX === 'true',
+		}), {runNow: false});
+	}
+
+	/**
+	 * Compares the chain with the database, fixes the issues if asked to and records the rest.
+	 * Open issues that are no longer detected are marked as Resolved.
+	 *
+	 * @param {Object} params - Reconciliation parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 * @param {boolean} [params.fix=false] - Whether to fix the issues that can be fixed from the chain data.
+	 *
+	 * @returns {Promise<{issues: Array<Object>, fixed: number, flagged: number, resolved: number}>} - The issues
+	 * found, each with whether it was fixed, and the counts.
+	 */
+	static async run({networkId, contractId, fix = false}) {
+		console.info('Reconciling on-chain bounties with parameters:', {networkId, contractId, fix});
+
+		const discrepancies = await ReconciliationService.detect({networkId, contractId});
+
+		const issues = [];
+		for (const {fix: apply, ...discrepancy} of discrepancies) {
+			const issue = {...discrepancy, fixable: !!apply, fixed: false, error: null};
+
+			if (fix && apply) {
+				try {
+					await apply();
+					issue.fixed = true;
+				} catch (error) {
+					console.error(`Error fixing ${issue.key}: ${error.message}`);
+					issue.error = error.message;
+				}
+			}
+
+			await ReconciliationService._record(issue);
+			issues.push(issue);
+		}
+
+		const {count: resolved} = await primate.prisma.reconciliationIssue.updateMany({
+			where: {status: 'Open', key: {notIn: issues.map(issue => issue.key)}},
+			data: {status: 'Resolved', resolved: new Date(), modified: new Date()},
+		});
+
+		const fixed = issues.filter(issue => issue.fixed).length;
+		const flagged = issues.length - fixed;
+
+		console.info(`Reconciliation found ${issues.length} issues: ${fixed} fixed, ${flagged} flagged, ${resolved} resolved.`);
+
+		return {issues, fixed, flagged, resolved};
+	}
+
+	/**
+	 * Detects the differences between the chain and the database without changing anything.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<Array<Discrepancy>>} - The issues found.
+	 */
+	static async detect({networkId, contractId}) {
+		const [chainBounties, rows] = await Promise.all([
+			NearService.getAllBounties({networkId, contractId}),
+			primate.prisma.bounty.findMany({where: {idOnChain: {not: null}}}),
+		]);
+
+		const onChain = new Map(chainBounties.map(bounty => [String(bounty.id), bounty]));
+		const discrepancies = [];
+		const bound = new Set();
+
+		for (const bountyDb of rows) {
+			const {idOnChain} = bountyDb;
+
+			if (!/^\d+$/.test(idOnChain)) {
+				discrepancies.push({
+					key: `invalid_id:${bountyDb.id}`,
+					kind: 'invalid_id',
+					idBounty: bountyDb.id,
+					idOnChain,
+					message: `Bounty ${bountyDb.id} has an invalid idOnChain "${idOnChain}".`,
+					fix: () => primate.prisma.bounty.update({
+						where: {id: bountyDb.id},
+						data: {idOnChain: null, modified: new Date()},
+					}),
+				});
+				continue;
+			}
+
+			const chainBounty = onChain.get(String(parseInt(idOnChain)));
+			if (!chainBounty) {
+				discrepancies.push({
+					key: `missing_on_chain:${bountyDb.id}`,
+					kind: 'missing_on_chain',
+					idBounty: bountyDb.id,
+					idOnChain,
+					message: `Bounty ${bountyDb.id} points to bounty ${idOnChain}, which does not exist on chain.`,
+					fix: null,
+				});
+				continue;
+			}
+
+			bound.add(String(chainBounty.id));
+
+			const mismatch = ReconciliationService._checkStatus(bountyDb, chainBounty);
+			if (mismatch) discrepancies.push(mismatch);
+		}
+
+		for (const [idOnChain, chainBounty] of onChain) {
+			if (bound.has(idOnChain)) continue;
+
+			discrepancies.push({
+				key: `missing_metadata:chain:${idOnChain}`,
+				kind: 'missing_metadata',
+				idBounty: null,
+				idOnChain,
+				message: `Bounty ${idOnChain} of ${chainBounty.creator || chainBounty.creatorId} has no database row.`,
+				fix: () => ReconciliationService._createMissing(chainBounty, {networkId, contractId}),
+			});
+		}
+
+		return discrepancies;
+	}
+
+	/**
+	 * Retrieves the recorded issues, newest first.
+	 *
+	 * @param {Object} [filters={}] - Filters.
+	 * @param {string} [filters.status] - Open, Fixed or Resolved.
+	 * @param {string} [filters.kind] - Kind of issue.
+	 *
+	 * @returns {Promise<Array<Object>>} - The issues.
+	 */
+	static async getIssues({status, kind} = {}) {
+		return primate.prisma.reconciliationIssue.findMany({
+			where: {...(status && {status}), ...(kind && {kind})},
+			orderBy: {modified: 'desc'},
+		});
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Compares the status of a Bounty row with its on-chain status. Rows the chain shows as finalized or
+	 * cancelled, and drafts already open on chain, are moved to the matching status whatever their current status:
+	 * the chain is the source of truth, so the lifecycle is not enforced. Rows finalized in the database while the
+	 * chain is still open are only flagged: the prizes have not been paid.
+	 *
+	 * @param {Object} bountyDb - The Bounty row.
+	 * @param {Object} chainBounty - The bounty as returned by the contract.
+	 *
+	 * @returns {Discrepancy|null} - The mismatch, or null if the statuses are consistent.
+	 */
+	static _checkStatus(bountyDb, chainBounty) {
+		const normalized = IndexerService.normalize(chainBounty);
+		const {chainStatus} = normalized;
+
+		const expected = ReconciliationService.EXPECTED_STATUSES[chainStatus];
+		if (!expected || expected.includes(bountyDb.status)) return null;
+
+		const target = chainStatus === 'Open' ? 'Published' : chainStatus;
+		const fixable = chainStatus !== 'Open' || bountyDb.status === 'Draft';
+
+		return {
+			key: `status_mismatch:${bountyDb.id}`,
+			kind: 'status_mismatch',
+			idBounty: bountyDb.id,
+			idOnChain: bountyDb.idOnChain,
+			message: `Bounty ${bountyDb.id} is ${bountyDb.status} but ${chainStatus} on chain.`,
+			fix: fixable ? () => BountyService.transition(bountyDb, target, {
+				actor: 'system',
+				note: `Reconciled with the chain, ${chainStatus} on chain`,
+				data: normalized,
+				force: true,
+			}) : null,
+		};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Creates the Bounty row of an on-chain bounty, owned by the user of its creator, with the token that
+	 * funds its prizes.
+	 *
+	 * @param {Object} chainBounty - The bounty as returned by the contract.
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<Object>} - The created bounty.
+	 *
+	 * @throws {Error} - Throws an error if the creator has no user, there is nobody to own the row, or the token of the
+	 * bounty cannot be told.
+	 */
+	static async _createMissing(chainBounty, {networkId, contractId}) {
+		const normalized = IndexerService.normalize(chainBounty);
+
+		const user = await primate.prisma.user.findUnique({where: {idNear: normalized.creator || ''}});
+		if (!user) throw new Error(`${normalized.creator} has no user to own the bounty.`);
+
+		const tokenData = await ReconciliationService._resolveToken(chainBounty, {networkId, contractId});
+
+		const status = normalized.chainStatus === 'Open' ? 'Published' : normalized.chainStatus;
+
+		return primate.prisma.$transaction(async prisma => {
+			const bounty = await prisma.bounty.create({
+				data: {
+					idOnChain: String(chainBounty.id),
+					idUser: user.id,
+					title: `Bounty #${chainBounty.id}`,
+					status,
+					...normalized,
+					...tokenData,
+					synced: new Date(),
+				},
+			});
+
+			await BountyService.recordCreation(bounty, {actor: 'system', prisma});
+
+			return bounty;
+		});
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Finds the token funding the prizes of an on-chain bounty from the create_bounty calls of its creator.
+	 * The contract does not report it: the call is matched by the on-chain ID when the interactions source knows it,
+	 * otherwise by its prizes, and every matching call must agree on the funding.
+	 *
+	 * @param {Object} chainBounty - The bounty as returned by the contract.
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {string} params.contractId - The bounty contract.
+	 *
+	 * @returns {Promise<{token?: string, tokenDecimals?: number}>} - The token and its decimals, empty for NEAR.
+	 *
+	 * @throws {Error} - Throws an error if no create_bounty call, or calls with different funding, match the bounty.
+	 */
+	static async _resolveToken(chainBounty, {networkId, contractId}) {
+		const creator = chainBounty.creator || chainBounty.creatorId;
+		const interactions = await InteractionService.getSource().fetch({networkId, accountId: creator, contractId});
+
+		const creations = interactions.filter(({type, success}) => type === 'create_bounty' && success);
+		const prizes = JSON.stringify((chainBounty.prizes || []).map(String));
+
+		let matches = creations.filter(({bountyId}) => bountyId === String(chainBounty.id));
+		if (matches.length === 0) {
+			matches = creations.filter(({args}) => JSON.stringify((args.prizes || []).map(String)) === prizes);
+		}
+
+		const tokens = new Set(matches.map(({token}) => token));
+		if (tokens.size !== 1) {
+			throw new Error(`Cannot tell whether bounty ${chainBounty.id} is funded with NEAR or a token.`);
+		}
+
+		const [token] = tokens;
+		if (!token) return {};
+
+		const {decimals} = await NearService.getFtMetadata({networkId, tokenId: token});
+
+		return {token, tokenDecimals: decimals};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Stores an issue found by a run, reopening it if it had been resolved.
+	 *
+	 * @param {Object} issue - The issue, with whether it was fixed.
+	 *
+	 * @returns {Promise<Object>} - The ReconciliationIssue row.
+	 */
+	static async _record(issue) {
+		const data = {
+			kind: issue.kind,
+			idBounty: issue.idBounty,
+			idOnChain: issue.idOnChain,
+			message: issue.error ? `${issue.message} Fix failed: ${issue.error}` : issue.message,
+			status: issue.fixed ? 'Fixed' : 'Open',
+			resolved: issue.fixed ? new Date() : null,
+			modified: new Date(),
+		};
+
+		return primate.prisma.reconciliationIssue.upsert({
+			where: {key: issue.key},
+			create: {key: issue.key, ...data},
+			update: data,
+		});
+	}
+}
+
+export default ReconciliationService;
@@ -0,0 +1,69 @@
+/**
+ * @class SchedulerService
+ * @description Runs background jobs at a fixed interval.
+ * A job never overlaps with itself: if a run is still in progress when the next tick fires, the tick is skipped.
+ */
+class SchedulerService {
+	/**
+	 * @private
+	 * @static
+	 * @description Registered jobs keyed by name.
+	 */
+	static jobs = {};
+
+	/**
+	 * Registers a job that runs every `interval` milliseconds, replacing any job with the same name.
+	 *
+	 * @param {string} name - Unique name of the job, used in logs.
+	 * @param {number} interval - Interval between runs in milliseconds.
+	 * @param {Function} task - Async function to run.
+	 * @param {Object} [options={}] - Job options.
+	 * @param {boolean} [options.runNow=true] - Whether to run the job immediately instead of waiting for the first tick.
+	 *
+	 * @returns {void}
+	 */
+	static every(name, interval, task, {runNow = true} = {}) {
+		SchedulerService.stop(name);
+
+		const job = {running: false, timer: null};
+
+		const run = async () => {
+			if (job.running) {
+				console.info(`Job ${name} is still running, skipping this tick.`);
+				return;
+			}
+
+			job.running = true;
+			try {
+				await task();
+			} catch (error) {
+				console.error(`Error running job ${name}: ${error.message}`);
+			} finally {
+				job.running = false;
+			}
+		};
+
+		job.timer = setInterval(run, interval);
+		SchedulerService.jobs[name] = job;
+		console.info(`Job ${name} scheduled every ${interval}ms.`);
+
+		if (runNow) run();
+	}
+
+	/**
+	 * Stops a registered job.
+	 *
+	 * @param {string} name - Name of the job to stop.
+	 *
+	 * @returns {void}
+	 */
+	static stop(name) {
+		const job = SchedulerService.jobs[name];
+		if (!job) return;
+
+		clearInterval(job.timer);
+		delete SchedulerService.jobs[name];
+	}
+}
+
+export default SchedulerService;
@@ -0,0 +1,317 @@
+import primate from '@thewebchimp/primate';
+import HttpError from '#utils/http-error.js';
+import BountyService from './bounty.service.js';
+
+/**
+ * @class SearchService
+ * @description Search of bounties by text, tags and location. The destination and coordinates of a bounty are
+ * extracted from its metas when it is stored, so geographic queries run on indexed columns.
+ */
+class SearchService {
+	/**
+	 * @static
+	 * @description Mean radius of the Earth in kilometers, used by the haversine distance.
+	 */
+	static EARTH_RADIUS_KM = 6371;
+
+	/**
+	 * @static
+	 * @description Radius of a geographic search when none is given, in kilometers.
+	 */
+	static DEFAULT_RADIUS_KM = 50;
+
+	/**
+	 * @static
+	 * @description Largest radius of a geographic search, in kilometers.
+	 */
+	static MAX_RADIUS_KM = 1000;
+
+	/**
+	 * @static
+	 * @description Largest number of bounties loaded from the bounding box of a geographic search, the most recent
+	 * ones. They are filtered and sorted by distance in memory.
+	 */
+	static MAX_GEO_CANDIDATES = 1000;
+
+	/**
+	 * @typedef {Object} BountyLocation
+	 * @property {string|null} destination - Name of the destination.
+	 * @property {number|null} latitude - Latitude of the destination.
+	 * @property {number|null} longitude - Longitude of the destination.
+	 */
+
+	/**
+	 * Extracts the location of a bounty from its metas. The destination is read from `metas.destination` (a name,
+	 * or an object with name/address and coordinates); when it has no coordinates, the first place photo with
+	 * coordinates is used.
+	 *
+	 * Coordinates are accepted as `{lat, lng}`, `{location: {lat, lng}}` or `{geometry: {location: {lat, lng}}}`, the
+	 * shape of the Google Places results.
+	 *
+	 * @param {Object} [metas={}] - Metas of the bounty.
+	 *
+	 * @returns {BountyLocation} - The location, null fields when they are not found.
+	 */
+	static locate(metas = {}) {
+		const {destination, placePhotos} = metas || {};
+
+		let name = null;
+		if (typeof destination === 'string') name = destination;
+		else if (destination) name = destination.name || destination.formatted_address || destination.address || null;
+
+		const sources = [destination, ...(Array.isArray(placePhotos) ? placePhotos : [])];
+		const coordinates = sources.map(SearchService._coordinates).find(Boolean);
+
+		return {
+			destination: name ? name.trim() : null,
+			latitude: coordinates ? coordinates.lat : null,
+			longitude: coordinates ? coordinates.lng : null,
+		};
+	}
+
+	/**
+	 * Fills the destination and coordinates of the bounties stored before they were extracted from the metas.
+	 * Bounties are processed by batches of increasing ID; bounties whose metas have no location are left as they are.
+	 *
+	 * @param {Object} [params={}] - Parameters.
+	 * @param {number} [params.batchSize=200] - Number of bounties loaded at a time.
+	 *
+	 * @returns {Promise<{scanned: number, located: number}>} - Number of bounties without location and how many of
+	 * them were located.
+	 */
+	static async backfillLocations({batchSize = 200} = {}) {
+		const result = {scanned: 0, located: 0};
+		let cursor = 0;
+
+		while (true) {
+			const bounties = await primate.prisma.bounty.findMany({
+				where: {id: {gt: cursor}, destination: null, latitude: null},
+				select: {id: true, metas: true},
+				orderBy: {id: 'asc'},
+				take: batchSize,
+			});
+
+			if (bounties.length === 0) break;
+			cursor = bounties[bounties.length - 1].id;
+			result.scanned += bounties.length;
+
+			for (const bounty of bounties) {
+				const location = SearchService.locate(bounty.metas || {});
+				if (!location.destination && location.latitude === null) continue;
+
+				await primate.prisma.bounty.update({where: {id: bounty.id}, data: location});
+				result.located++;
+			}
+		}
+
+		if (result.located) console.info(`Located ${result.located} of ${result.scanned} bounties without location.`);
+
+		return result;
+	}
+
+	/**
+	 * @typedef {Object} SearchOptions
+	 * @property {string} [q] - Text searched in the title, content and destination.
+	 * @property {string[]} [tags] - Tags the bounty must have, all of them.
+	 * @property {string} [destination] - Part of the destination name.
+	 * @property {number} [lat] - Latitude of the center of a geographic search.
+	 * @property {number} [lng] - Longitude of the center of a geographic search.
+	 * @property {number} [radius] - Radius of a geographic search, in kilometers.
+	 */
+
+	/**
+	 * Parses the search query parameters, on top of the list options shared by the bounty list endpoints.
+	 *
+	 * @param {Object} [query={}] - Express query object.
+	 *
+	 * @returns {BountyListOptions & SearchOptions} - Normalized search options.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if a parameter is not valid.
+	 */
+	static parseSearchOptions(query = {}) {
+		const options = BountyService.parseListOptions(query);
+
+		const q = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : undefined;
+		const destination = typeof query.destination === 'string' && query.destination.trim() ? query.destination.trim() : undefined;
+		const tags = typeof query.tags === 'string'
+			? query.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+			: [];
+
+		const search = {...options, q, destination, tags};
+
+		if (query.lat === undefined && query.lng === undefined) {
+			if (query.radius !== undefined) throw new HttpError(400, 'A radius requires lat and lng.');
+			return search;
+		}
+
+		const lat = parseFloat(query.lat);
+		const lng = parseFloat(query.lng);
+		const radius = query.radius !== undefined ? parseFloat(query.radius) : SearchService.DEFAULT_RADIUS_KM;
+
+		if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+			throw new HttpError(400, 'Invalid coordinates. Provide lat between -90 and 90 and lng between -180 and 180.');
+		}
+
+		if (isNaN(radius) || radius <= 0 || radius > SearchService.MAX_RADIUS_KM) {
+			throw new HttpError(400, `Invalid radius. Provide a distance in kilometers up to ${SearchService.MAX_RADIUS_KM}.`);
+		}
+
+		return {...search, lat, lng, radius};
+	}
+
+	/**
+	 * Searches the bounties. Drafts are never returned, they are only visible to their creator through `/drafts`.
+	 *
+	 * Without coordinates the bounties are sorted and paginated by the database. With coordinates, the bounties in the
+	 * bounding box of the radius are loaded, up to MAX_GEO_CANDIDATES, filtered by their actual distance and sorted
+	 * by it, nearest first.
+	 *
+	 * @param {BountyListOptions & SearchOptions} options - Search options, as returned by parseSearchOptions.
+	 *
+	 * @returns {Promise<{items: Array<Object>, total: number, page: number, limit: number}>} - The page of bounties in
+	 * the shape of BountyService.formatIndexed, with their `distance` in kilometers for geographic searches.
+	 */
+	static async search(options) {
+		const conditions = [BountyService._buildWhere(options)];
+
+		conditions.push({status: {not: 'Draft'}});
+
+		if (options.q) {
+			conditions.push({
+				OR: [
+					{title: {contains: options.q}},
+					{content: {contains: options.q}},
+					{destination: {contains: options.q}},
+				],
+			});
+		}
+
+		if (options.destination) conditions.push({destination: {contains: options.destination}});
+
+		if (options.tags.length > 0) conditions.push({metas: {path: '$.tags', array_contains: options.tags}});
+
+		if (options.lat === undefined) {
+			const where = {AND: conditions};
+
+			const [bounties, total] = await Promise.all([
+				primate.prisma.bounty.findMany({
+					where,
+					orderBy: {[options.sort]: options.order},
+					skip: (options.page - 1) * options.limit,
+					take: options.limit,
+				}),
+				primate.prisma.bounty.count({where}),
+			]);
+
+			return {
+				items: bounties.map(bounty => BountyService.formatIndexed(bounty)),
+				total,
+				page: options.page,
+				limit: options.limit,
+			};
+		}
+
+		const box = SearchService._boundingBox(options);
+		conditions.push({latitude: {gte: box.minLat, lte: box.maxLat}});
+		conditions.push(box.minLng <= box.maxLng
+			? {longitude: {gte: box.minLng, lte: box.maxLng}}
+			// The box crosses the antimeridian
+			: {OR: [{longitude: {gte: box.minLng}}, {longitude: {lte: box.maxLng}}]});
+
+		const bounties = await primate.prisma.bounty.findMany({
+			where: {AND: conditions},
+			orderBy: {created: 'desc'},
+			take: SearchService.MAX_GEO_CANDIDATES,
+		});
+
+		const center = {lat: options.lat, lng: options.lng};
+		const nearby = bounties
+			.map(bounty => ({
+				bounty,
+				distance: SearchService.distance(center, {lat: bounty.latitude, lng: bounty.longitude}),
+			}))
+			.filter(({distance}) => distance <= options.radius)
+			.sort((a, b) => a.distance - b.distance);
+
+		const start = (options.page - 1) * options.limit;
+
+		return {
+			items: nearby.slice(start, start + options.limit).map(({bounty, distance}) => ({
+				...BountyService.formatIndexed(bounty),
+				distance: Math.round(distance * 100) / 100,
+			})),
+			total: nearby.length,
+			page: options.page,
+			limit: options.limit,
+		};
+	}
+
+	/**
+	 * Computes the great-circle distance between two points with the haversine formula.
+	 *
+	 * @param {{lat: number, lng: number}} from - First point.
+	 * @param {{lat: number, lng: number}} to - Second point.
+	 *
+	 * @returns {number} - The distance in kilometers.
+	 */
+	static distance(from, to) {
+		const radians = degrees => degrees * Math.PI / 180;
+
+		const dLat = radians(to.lat - from.lat);
+		const dLng = radians(to.lng - from.lng);
+		const a = Math.sin(dLat / 2) ** 2
+			+ Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+		return 2 * SearchService.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Computes the box containing the circle of a geographic search, used to filter in the database.
+	 *
+	 * @param {{lat: number, lng: number, radius: number}} options - Center and radius in kilometers.
+	 *
+	 * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}} - The box, minLng is greater than
+	 * maxLng when it crosses the antimeridian.
+	 */
+	static _boundingBox({lat, lng, radius}) {
+		const latDelta = (radius / SearchService.EARTH_RADIUS_KM) * 180 / Math.PI;
+		const minLat = Math.max(lat - latDelta, -90);
+		const maxLat = Math.min(lat + latDelta, 90);
+
+		// Near the poles every longitude is within the radius
+		const cos = Math.cos(Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI / 180);
+		if (maxLat === 90 || minLat === -90 || cos <= 0) return {minLat, maxLat, minLng: -180, maxLng: 180};
+
+		const lngDelta = Math.min(latDelta / cos, 180);
+		if (lngDelta === 180) return {minLat, maxLat, minLng: -180, maxLng: 180};
+
+		const wrap = value => ((value + 540) % 360) - 180;
+
+		return {minLat, maxLat, minLng: wrap(lng - lngDelta), maxLng: wrap(lng + lngDelta)};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Reads the coordinates of a place in any of the accepted shapes.
+	 *
+	 * @param {*} place - Destination or place photo.
+	 *
+	 * @returns {{lat: number, lng: number}|null} - The coordinates, or null if the place has none.
+	 */
+	static _coordinates(place) {
+		if (!place || typeof place !== 'object') return null;
+
+		const {lat, lng} = place.geometry?.location || place.location || place;
+		const latitude = parseFloat(lat);
+		const longitude = parseFloat(lng);
+
+		if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+		return {lat: latitude, lng: longitude};
+	}
+}
+
+export default SearchService;
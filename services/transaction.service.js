@@ -0,0 +1,376 @@
+import primate from '@thewebchimp/primate';
+import NearService from './near.service.js';
+import BountyService from './bounty.service.js';
+import HttpError from '#utils/http-error.js';
+
+/**
+ * @class TransactionService
+ * @description Reconciles the database with the outcome of the transactions signed by the clients.
+ * Every confirmed transaction is stored in ChainTransaction, so confirming the same hash twice is a no-op.
+ */
+class TransactionService {
+	/**
+	 * @static
+	 * @description Contract methods whose outcome updates the database.
+	 */
+	static HANDLED_METHODS = ['create_bounty', 'participate', 'finalize_bounty', 'cancel_bounty', 'add_funds'];
+
+	/**
+	 * @static
+	 * @description Time in milliseconds after which a transaction still unknown to the network is dropped.
+	 */
+	static PENDING_TTL = 24 * 60 * 60 * 1000;
+
+	/**
+	 * Confirms a transaction: fetches its outcome and applies it to the matching Bounty rows in a single database
+	 * transaction. Transactions that are not final yet are stored as Pending and retried by confirmPending.
+	 * Token transfers refunded by the contract are stored as Refunded and not applied.
+	 *
+	 * @param {Object} params - Confirmation parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g. 'testnet', 'mainnet').
+	 * @param {string} params.txHash - Hash of the transaction.
+	 * @param {string} params.accountId - Account that signed the transaction.
+	 * @param {number} [params.idBounty] - Database ID of the bounty a create_bounty transaction belongs to.
+	 *
+	 * @returns {Promise<Object>} - The stored ChainTransaction.
+	 *
+	 * @throws {HttpError} - Throws a 400 error if the transaction does not target the contract or is not related to the bounty.
+	 */
+	static async confirm({networkId, txHash, accountId, idBounty}) {
+		const existing = await primate.prisma.chainTransaction.findUnique({
+			where: {hash: txHash},
+		});
+
+		if (existing && existing.status !== 'Pending') return existing;
+
+		idBounty = idBounty ? parseInt(idBounty) : existing?.idBounty || null;
+
+		const outcome = await NearService.getTransactionOutcome({networkId, txHash, accountId});
+
+		if (!outcome) {
+			if (existing) return existing;
+
+			return primate.prisma.chainTransaction.create({
+				data: {hash: txHash, signer: accountId, idBounty},
+			});
+		}
+
+		const call = TransactionService._findContractCall(outcome);
+		if (!call) {
+			throw new HttpError(400, `Transaction ${txHash} was not sent to ${process.env.CONTRACT_ID}.`);
+		}
+
+		// ft_transfer_call succeeds even when ft_on_transfer rejects the call and the tokens are refunded, a refunded
+		// create_bounty creates nothing and a refunded add_funds adds nothing to the prizes
+		const refunded = outcome.success && call.token && !TransactionService._isTransferUsed(outcome, call);
+
+		let bountyId = call.args?.bountyId;
+		if (call.methodName === 'create_bounty' && outcome.success && !refunded) {
+			bountyId = await TransactionService._resolveCreatedBountyId({networkId, outcome, call});
+
+			// Bounties funded with a NEP-141 token keep the token decimals to format their prizes
+			if (call.token) {
+				const {decimals} = await NearService.getFtMetadata({networkId, tokenId: call.token});
+				call.tokenData = {token: call.token, tokenDecimals: decimals};
+			}
+		}
+
+		const data = {
+			idBounty,
+			signer: outcome.signerId,
+			receiver: outcome.receiverId,
+			method: call.methodName || '',
+			args: call.args || {},
+			deposit: call.deposit || '0',
+			gasBurnt: outcome.gasBurnt,
+			status: refunded ? 'Refunded' : outcome.success ? 'Success' : 'Failure',
+			result: outcome.returnValue,
+			modified: new Date(),
+		};
+
+		return primate.prisma.$transaction(async prisma => {
+			if (outcome.success && !refunded) {
+				const bounty = await TransactionService._applyOutcome(prisma, {call, outcome, bountyId, idBounty});
+				if (bounty) data.idBounty = bounty.id;
+			}
+
+			return prisma.chainTransaction.upsert({
+				where: {hash: txHash},
+				create: {hash: txHash, ...data},
+				update: data,
+			});
+		});
+	}
+
+	/**
+	 * Retries the Pending transactions, used by the indexer.
+	 * Transactions pending for longer than PENDING_TTL are marked as Dropped.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID (e.g. 'testnet', 'mainnet').
+	 *
+	 * @returns {Promise<number>} - Number of transactions that are no longer pending.
+	 */
+	static async confirmPending({networkId}) {
+		await primate.prisma.chainTransaction.updateMany({
+			where: {status: 'Pending', created: {lt: new Date(Date.now() - TransactionService.PENDING_TTL)}},
+			data: {status: 'Dropped', modified: new Date()},
+		});
+
+		const pending = await primate.prisma.chainTransaction.findMany({
+			where: {status: 'Pending'},
+		});
+
+		let confirmed = 0;
+		for (const tx of pending) {
+			try {
+				const result = await TransactionService.confirm({
+					networkId,
+					txHash: tx.hash,
+					accountId: tx.signer,
+				});
+
+				if (result.status !== 'Pending') confirmed++;
+			} catch (error) {
+				console.error(`Error confirming transaction ${tx.hash}: ${error.message}`);
+			}
+		}
+
+		return confirmed;
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Applies a successful function call to the matching Bounty row. The chain is the source of truth:
+	 * its outcomes move the bounty regardless of the lifecycle, e.g. a bounty finalized on chain after it expired.
+	 *
+	 * @param {Object} prisma - Prisma transaction client.
+	 * @param {Object} params - Outcome to apply.
+	 * @param {DecodedFunctionCall} params.call - The decoded function call.
+	 * @param {TransactionOutcome} params.outcome - The decoded transaction outcome.
+	 * @param {number|string} params.bountyId - On-chain ID of the bounty.
+	 * @param {number} [params.idBounty] - Database ID of the bounty, required for create_bounty.
+	 *
+	 * @returns {Promise<Object|null>} - The updated bounty, or null if the call does not map to any bounty.
+	 *
+	 * @throws {HttpError} - Throws a 409 error if a create_bounty would bind an on-chain ID already held by another row.
+	 */
+	static async _applyOutcome(prisma, {call, outcome, bountyId, idBounty}) {
+		switch (call.methodName) {
+			case 'create_bounty': {
+				if (!idBounty) return null;
+
+				const bounty = await prisma.bounty.findUnique({
+					where: {id: idBounty},
+					include: {user: true},
+				});
+
+				if (!bounty) throw new HttpError(404, 'Bounty not found.');
+
+				if (bounty.user.idNear !== outcome.signerId) {
+					throw new HttpError(400, 'The transaction was not signed by the creator of the bounty.');
+				}
+
+				if (bounty.idOnChain && bounty.idOnChain !== String(bountyId)) {
+					throw new HttpError(409, `Bounty ${bounty.id} is already bound to bounty ${bounty.idOnChain} on chain.`);
+				}
+
+				await BountyService.assertUnbound(bountyId, {idBounty: bounty.id, prisma});
+
+				const updated = await prisma.bounty.update({
+					where: {id: bounty.id},
+					data: {idOnChain: String(bountyId), creator: outcome.signerId, ...call.tokenData},
+				});
+
+				if (updated.status !== 'Draft') return updated;
+
+				return BountyService.transition(updated, 'Published', {
+					actor: outcome.signerId,
+					idUser: bounty.idUser,
+					note: `Created on chain by ${outcome.hash}`,
+					prisma,
+				});
+			}
+
+			case 'participate': {
+				const bounty = await prisma.bounty.findFirst({
+					where: {idOnChain: String(bountyId)},
+				});
+
+				if (!bounty) return null;
+
+				const participants = bounty.participants || [];
+				if (participants.includes(outcome.signerId)) return bounty;
+
+				return prisma.bounty.update({
+					where: {id: bounty.id},
+					data: {participants: [...participants, outcome.signerId]},
+				});
+			}
+
+			case 'finalize_bounty': {
+				const bounty = await prisma.bounty.findFirst({
+					where: {idOnChain: String(bountyId)},
+				});
+
+				if (!bounty) return null;
+
+				return BountyService.transition(bounty, 'Finished', {
+					actor: outcome.signerId,
+					note: `Finalized on chain by ${outcome.hash}`,
+					data: {
+						winners: call.args?.winners || [],
+						chainStatus: 'Finished',
+					},
+					prisma,
+					force: true,
+				});
+			}
+
+			case 'cancel_bounty': {
+				const bounty = await prisma.bounty.findFirst({
+					where: {idOnChain: String(bountyId)},
+				});
+
+				if (!bounty) return null;
+
+				return BountyService.transition(bounty, 'Cancelled', {
+					actor: outcome.signerId,
+					note: `Cancelled on chain by ${outcome.hash}, prizes refunded`,
+					data: {chainStatus: 'Cancelled'},
+					prisma,
+					force: true,
+				});
+			}
+
+			case 'add_funds': {
+				const bounty = await prisma.bounty.findFirst({
+					where: {idOnChain: String(bountyId)},
+				});
+
+				if (!bounty) return null;
+
+				const contributor = await prisma.user.findUnique({where: {idNear: outcome.signerId}});
+
+				await prisma.bountyContribution.create({
+					data: {
+						idBounty: bounty.id,
+						idUser: contributor?.id || null,
+						contributor: outcome.signerId,
+						amount: String(call.deposit),
+						token: call.token || null,
+						hash: outcome.hash,
+					},
+				});
+
+				// The indexer refreshes the prizes from chain, the total is kept up to date meanwhile
+				const totalPrize = BigInt(bounty.totalPrize ? bounty.totalPrize.toFixed() : '0') + BigInt(call.deposit);
+
+				return prisma.bounty.update({
+					where: {id: bounty.id},
+					data: {totalPrize: totalPrize.toString()},
+				});
+			}
+
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Finds the bounty contract call of a transaction.
+	 * Calls sent to the contract are used as they are. NEP-141 `ft_transfer_call`s to the contract are unwrapped:
+	 * the contract method and its arguments travel in `msg`, and the token contract is kept in `token`.
+	 *
+	 * @param {TransactionOutcome} outcome - The decoded transaction outcome.
+	 *
+	 * @returns {DecodedFunctionCall|null} - The call, or null if the transaction does not involve the contract.
+	 */
+	static _findContractCall(outcome) {
+		const contractId = process.env.CONTRACT_ID;
+
+		if (outcome.receiverId === contractId) {
+			return outcome.calls.find(({methodName}) => TransactionService.HANDLED_METHODS.includes(methodName)) ||
+				outcome.calls[0] || {};
+		}
+
+		const transferCall = outcome.calls.find(({methodName, args}) => {
+			return methodName === 'ft_transfer_call' && args?.receiver_id === contractId;
+		});
+
+		if (!transferCall) return null;
+
+		let msg = {};
+		try {
+			msg = JSON.parse(transferCall.args.msg);
+		} catch (error) {
+			console.error(`Invalid ft_transfer_call msg in ${outcome.hash}: ${error.message}`);
+		}
+
+		const {action, ...args} = msg;
+
+		return {
+			methodName: action || 'ft_transfer_call',
+			args,
+			gas: transferCall.gas,
+			deposit: transferCall.args.amount,
+			token: outcome.receiverId,
+		};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Checks that the bounty contract kept all the tokens of an `ft_transfer_call`. The call returns
+	 * the amount used by `ft_on_transfer`, anything less means the contract rejected the call and refunded the tokens.
+	 *
+	 * @param {TransactionOutcome} outcome - The decoded transaction outcome.
+	 * @param {DecodedFunctionCall} call - The unwrapped call, with the transferred amount in `deposit`.
+	 *
+	 * @returns {boolean} - True if the whole amount was used.
+	 */
+	static _isTransferUsed(outcome, call) {
+		const used = outcome.returnValue;
+		if (!/^\d+$/.test(String(used ?? ''))) return false;
+
+		return BigInt(used) === BigInt(call.deposit || 0);
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @description Gets the on-chain ID of the bounty created by a create_bounty transaction.
+	 * The contract returns it, but older deployments return nothing, and `ft_transfer_call` returns the used amount
+	 * instead: in those cases the latest bounty of the signer is used.
+	 *
+	 * @param {Object} params - Parameters.
+	 * @param {string} params.networkId - The NEAR network ID.
+	 * @param {TransactionOutcome} params.outcome - The decoded transaction outcome.
+	 * @param {DecodedFunctionCall} params.call - The create_bounty call, with `token` when funded with a NEP-141 token.
+	 *
+	 * @returns {Promise<string>} - The on-chain ID of the bounty.
+	 */
+	static async _resolveCreatedBountyId({networkId, outcome, call}) {
+		const returned = outcome.returnValue;
+		if (!call.token && returned !== null && returned !== undefined) {
+			return String(typeof returned === 'object' ? returned.id : returned);
+		}
+
+		const bounties = await NearService.getCreatorBounties({
+			networkId,
+			contractId: process.env.CONTRACT_ID,
+			creatorId: outcome.signerId,
+		});
+
+		if (!bounties || bounties.length === 0) {
+			throw new HttpError(404, 'No bounty found for the signer of the transaction.');
+		}
+
+		return String(Math.max(...bounties.map(bounty => parseInt(bounty.id))));
+	}
+}
+
+export default TransactionService;
@@ -0,0 +1,198 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import BountyService from '../services/bounty.service.js';
+import NearService from '../services/near.service.js';
+
+let prisma;
+
+const bounties = [
+	{id: 1, status: 'Published', type: 'Trip', creator: 'alice.near', totalPrize: '5', created: '2024-01-01'},
+	{id: 2, status: 'Finished', type: 'Trip', creator: 'bob.near', totalPrize: '12.5', created: '2024-01-03'},
+	{id: 3, status: 'Published', type: 'Guide', creator: 'alice.near', totalPrize: '1', created: '2024-01-02'},
+	{id: 4, status: 'Published', type: 'Trip', creator: 'carol.near', totalPrize: '100', created: '2024-01-04', token: 'usdc.near'},
+];
+
+beforeEach(() => {
+	// Records the writes of transition, updates return the row with the new data
+	prisma = {
+		updates: [],
+		transitions: [],
+		bounty: {update: async ({where, data}) => (prisma.updates.push({where, data}), {id: where.id, ...data})},
+		bountyTransition: {create: async ({data}) => (prisma.transitions.push(data), data)},
+	};
+});
+
+test('parseListOptions defaults to the first page of the newest bounties', () => {
+	assert.deepEqual(BountyService.parseListOptions(), {
+		page: 1,
+		limit: 20,
+		status: undefined,
+		type: undefined,
+		creator: undefined,
+		minPrize: undefined,
+		maxPrize: undefined,
+		sort: 'created',
+		order: 'desc',
+	});
+});
+
+test('parseListOptions clamps the page and the limit', () => {
+	assert.equal(BountyService.parseListOptions({page: '0'}).page, 1);
+	assert.equal(BountyService.parseListOptions({page: 'two'}).page, 1);
+	assert.equal(BountyService.parseListOptions({limit: '0'}).limit, 20);
+	assert.equal(BountyService.parseListOptions({limit: '-5'}).limit, 1);
+	assert.equal(BountyService.parseListOptions({limit: '1000'}).limit, BountyService.MAX_LIMIT);
+});
+
+test('parseListOptions rejects unknown sorts and malformed prizes', () => {
+	assert.throws(() => BountyService.parseListOptions({sort: 'title'}), {statusCode: 400});
+	assert.throws(() => BountyService.parseListOptions({minPrize: '-1'}), {statusCode: 400});
+	assert.throws(() => BountyService.parseListOptions({maxPrize: '1e3'}), {statusCode: 400});
+
+	const options = BountyService.parseListOptions({sort: 'totalPrize', order: 'asc', minPrize: ' 2.5 '});
+	assert.equal(options.sort, 'totalPrize');
+	assert.equal(options.order, 'asc');
+	assert.equal(options.minPrize, '2.5');
+});
+
+test('paginate filters and sorts the bounties newest first', () => {
+	const options = BountyService.parseListOptions({status: 'Published'});
+
+	const {items, total} = BountyService.paginate(bounties, options);
+
+	assert.equal(total, 3);
+	assert.deepEqual(items.map(({id}) => id), [4, 3, 1]);
+});
+
+test('paginate compares prizes in NEAR and leaves token bounties out', () => {
+	const options = BountyService.parseListOptions({sort: 'totalPrize', minPrize: '2'});
+
+	const {items, total} = BountyService.paginate(bounties, options);
+
+	assert.equal(total, 2);
+	assert.deepEqual(items.map(({id}) => id), [2, 1]);
+});
+
+test('paginate returns the requested page and the total', () => {
+	const options = BountyService.parseListOptions({page: '2', limit: '3'});
+
+	assert.deepEqual(BountyService.paginate(bounties, options), {
+		items: [bounties[0]],
+		total: 4,
+		page: 2,
+		limit: 3,
+	});
+});
+
+test('transition moves the bounty and records the transition', async () => {
+	const updated = await BountyService.transition({id: 1, status: 'Published'}, 'Judging', {
+		actor: 'alice.near',
+		idUser: 2,
+		note: 'Submissions closed',
+		prisma,
+	});
+
+	assert.equal(updated.status, 'Judging');
+	assert.deepEqual(prisma.transitions, [
+		{idBounty: 1, idUser: 2, from: 'Published', to: 'Judging', actor: 'alice.near', note: 'Submissions closed'},
+	]);
+});
+
+test('transition lets creators discard their drafts', async () => {
+	const updated = await BountyService.transition({id: 1, status: 'Draft'}, 'Cancelled', {actor: 'alice.near', prisma});
+
+	assert.equal(updated.status, 'Cancelled');
+	assert.equal(prisma.transitions[0].from, 'Draft');
+});
+
+test('transition rejects the moves the lifecycle does not allow', async () => {
+	await assert.rejects(BountyService.transition({id: 1, status: 'Draft'}, 'Judging', {actor: 'alice.near', prisma}), {statusCode: 409});
+	await assert.rejects(BountyService.transition({id: 1, status: 'Finished'}, 'Cancelled', {actor: 'alice.near', prisma}), {statusCode: 409});
+	await assert.rejects(BountyService.transition({id: 1, status: 'Published'}, 'Archived', {actor: 'alice.near', prisma}), {statusCode: 400});
+
+	assert.equal(prisma.updates.length, 0);
+	assert.equal(prisma.transitions.length, 0);
+});
+
+test('transition applies the outcomes reported by the chain with force', async () => {
+	const updated = await BountyService.transition({id: 1, status: 'Expired'}, 'Finished', {actor: 'system', prisma, force: true});
+
+	assert.equal(updated.status, 'Finished');
+	assert.equal(prisma.transitions.length, 1);
+});
+
+test('transition only updates the data when the status does not change', async () => {
+	const bounty = {id: 1, status: 'Published'};
+
+	assert.equal(await BountyService.transition(bounty, 'Published', {actor: 'system', prisma}), bounty);
+	await BountyService.transition(bounty, 'Published', {actor: 'system', data: {title: 'Trip'}, prisma});
+
+	assert.deepEqual(prisma.updates, [{where: {id: 1}, data: {title: 'Trip'}}]);
+	assert.equal(prisma.transitions.length, 0);
+});
+
+test('transition lets bounties whose status predates the lifecycle move anywhere', async () => {
+	const updated = await BountyService.transition({id: 1, status: 'Active'}, 'Finished', {actor: 'system', prisma});
+
+	assert.equal(updated.status, 'Finished');
+});
+
+test('TRANSITIONS only lists known statuses', () => {
+	const statuses = Object.keys(BountyService.TRANSITIONS);
+
+	for (const targets of Object.values(BountyService.TRANSITIONS)) {
+		assert.ok(targets.every(target => statuses.includes(target)));
+	}
+});
+
+test('parseRef tells database IDs, on-chain IDs and slugs apart', () => {
+	assert.deepEqual(BountyService.parseRef(12), {id: 12});
+	assert.deepEqual(BountyService.parseRef(' 12 '), {id: 12});
+	assert.deepEqual(BountyService.parseRef('chain:0'), {idOnChain: '0'});
+	assert.deepEqual(BountyService.parseRef('chain:007'), {idOnChain: '7'});
+	assert.deepEqual(BountyService.parseRef('three-days-in-lisbon'), {slug: 'three-days-in-lisbon'});
+	assert.deepEqual(BountyService.parseRef('12-days-in-lisbon'), {slug: '12-days-in-lisbon'});
+});
+
+test('parseRef rejects empty references and malformed on-chain IDs', () => {
+	for (const ref of ['', '  ', null, undefined, 1.5, 'chain:', 'chain:-1', 'chain:abc']) {
+		assert.throws(() => BountyService.parseRef(ref), {statusCode: 400});
+	}
+});
+
+test('resolve finds the bounty the reference points to', async () => {
+	const queries = [];
+	primate.prisma = {
+		bounty: {findFirst: async args => (queries.push(args), args.where.slug === 'missing' ? null : {id: 1})},
+	};
+
+	assert.deepEqual(await BountyService.resolve('chain:3', {include: {plans: true}}), {id: 1});
+	assert.deepEqual(queries, [{where: {idOnChain: '3'}, include: {plans: true}}]);
+
+	await assert.rejects(BountyService.resolve('missing'), {statusCode: 404});
+});
+
+test('claimOnChain binds a row to a bounty its creator made on chain', async () => {
+	const creator = {id: 2, idNear: 'alice.near'};
+	const chainBounties = {3: {creator: 'alice.near'}, 4: {creator: 'bob.near'}, 5: {creator: 'alice.near'}};
+	const rows = [{id: 9, idOnChain: '5'}];
+
+	NearService.getBounty = async ({bountyId}) => chainBounties[bountyId] || null;
+	primate.prisma = {
+		bounty: {
+			findFirst: async ({where}) => rows.find(row => row.idOnChain === where.idOnChain && row.id !== where.id?.not) || null,
+		},
+	};
+
+	const params = {networkId: 'testnet', contractId: 'bountrip.testnet', user: creator};
+
+	assert.equal(await BountyService.claimOnChain({...params, idOnChain: '3'}), chainBounties[3]);
+	assert.equal(await BountyService.claimOnChain({...params, idOnChain: '5', bountyDb: rows[0]}), chainBounties[5]);
+
+	await assert.rejects(BountyService.claimOnChain({...params, idOnChain: '7'}), {statusCode: 404});
+	await assert.rejects(BountyService.claimOnChain({...params, idOnChain: 'undefined'}), {statusCode: 404});
+	await assert.rejects(BountyService.claimOnChain({...params, idOnChain: '4'}), {statusCode: 403});
+	await assert.rejects(BountyService.claimOnChain({...params, idOnChain: '5'}), {statusCode: 409});
+	await assert.rejects(BountyService.claimOnChain({...params, idOnChain: '3', bountyDb: rows[0]}), {statusCode: 409});
+});
@@ -0,0 +1,63 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {draftUpdateSchema} from '../entities/bounties/draft.schema.js';
+import DraftService from '../services/draft.service.js';
+
+// The field-level errors returned by DraftService.validate
+const errorsOf = (data, schema) => {
+	try {
+		DraftService.validate(data, schema);
+	} catch (error) {
+		assert.equal(error.statusCode, 400);
+		return error.data.errors.map(({field}) => field);
+	}
+
+	assert.fail('The draft should be invalid.');
+};
+
+test('the draft schema fills the defaults of a NEAR bounty', () => {
+	assert.deepEqual(DraftService.validate({title: ' Lisbon ', prizes: ['10.5', 2], idOnChain: '3'}), {
+		title: 'Lisbon',
+		prizes: ['10.5', 2],
+		content: '',
+		type: 'Bounty',
+		metas: {},
+		token: null,
+	});
+});
+
+test('the draft schema reports every invalid field', () => {
+	assert.deepEqual(errorsOf({prizes: []}), ['title', 'prizes']);
+	assert.deepEqual(errorsOf({title: 'Lisbon', prizes: ['-1', 0, 'ten']}), ['prizes[0]', 'prizes[1]', 'prizes[2]']);
+	assert.deepEqual(errorsOf({title: 'Lisbon', prizes: ['1'], submissionDeadline: 'tomorrow'}), ['submissionDeadline']);
+});
+
+test('the draft schema only accepts slugs that cannot be read as a database ID', () => {
+	assert.equal(DraftService.validate({title: 'Lisbon', prizes: ['1'], slug: '3-days-in-lisbon'}).slug, '3-days-in-lisbon');
+
+	assert.deepEqual(errorsOf({title: 'Lisbon', prizes: ['1'], slug: '123'}), ['slug']);
+	assert.deepEqual(errorsOf({title: 'Lisbon', prizes: ['1'], slug: 'Days in Lisbon'}), ['slug']);
+	assert.deepEqual(errorsOf({title: 'Lisbon', prizes: ['1'], slug: 'chain:3'}), ['slug']);
+});
+
+test('the draft update schema requires at least one change', () => {
+	assert.deepEqual(DraftService.validate({token: null}, draftUpdateSchema), {token: null});
+	assert.deepEqual(errorsOf({}, draftUpdateSchema), ['']);
+});
+
+test('a duplicate slug becomes a field error', () => {
+	const conflict = DraftService._slugConflict(Object.assign(new Error('Unique constraint failed'), {code: 'P2002'}));
+
+	assert.equal(conflict.statusCode, 409);
+	assert.deepEqual(conflict.data.errors.map(({field}) => field), ['slug']);
+
+	const error = new Error('Connection lost');
+	assert.equal(DraftService._slugConflict(error), error);
+});
+
+test('validatePublication lists what prevents a draft from being published', () => {
+	assert.deepEqual(DraftService.validatePublication({title: 'Lisbon', prizes: ['1000']}), []);
+
+	const errors = DraftService.validatePublication({title: ' ', prizes: [], submissionDeadline: new Date(Date.now() - 1000)});
+	assert.deepEqual(errors.map(({field}) => field), ['title', 'prizes', 'submissionDeadline']);
+});
@@ -0,0 +1,72 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import FeedService from '../services/feed.service.js';
+
+let queries;
+
+// Every model returns the given rows and records the filters it was queried with
+const model = (name, rows = []) => ({
+	findMany: async args => {
+		queries.push({model: name, ...args});
+		return rows.slice(0, args.take ?? rows.length);
+	},
+	count: async () => rows.length,
+});
+
+const bounty = {id: 1, idOnChain: '3', slug: 'trip', title: 'Trip'};
+
+beforeEach(() => {
+	queries = [];
+
+	primate.prisma = {
+		bounty: model('bounty'),
+		plan: model('plan'),
+		chainTransaction: model('chainTransaction'),
+		bountyTransition: model('bountyTransition'),
+	};
+});
+
+test('getFeed merges the activity types newest first', async () => {
+	primate.prisma.plan = model('plan', [
+		{id: 7, created: new Date('2024-01-02'), user: {idNear: 'alice.near'}, bounty, slug: 'plan', title: 'Plan'},
+	]);
+	primate.prisma.chainTransaction = model('chainTransaction', [
+		{id: 9, created: new Date('2024-01-03'), signer: 'bob.near', bounty, hash: 'abc'},
+		{id: 8, created: new Date('2024-01-01'), signer: 'carol.near', bounty, hash: 'def'},
+	]);
+
+	const {items, total} = await FeedService.getFeed({types: ['plan_created', 'participation']});
+
+	assert.equal(total, 3);
+	assert.deepEqual(items.map(({id}) => id), ['participation:9', 'plan_created:7', 'participation:8']);
+});
+
+test('getFeed leaves withdrawn plans and plans on drafts out', async () => {
+	await FeedService.getFeed({types: ['plan_created']});
+
+	const {where} = queries.find(query => query.model === 'plan');
+	assert.deepEqual(where.status, {not: 'Withdrawn'});
+	assert.deepEqual(where.bounty, {status: {not: 'Draft'}});
+});
+
+test('getFeed only lists the participations confirmed through the API', async () => {
+	// bob.near joined bounty 1 on chain, the indexer mirrored it into Bounty.participants
+	primate.prisma.bounty = model('bounty', [{id: 1}]);
+
+	const {items, total} = await FeedService.getFeed({accountId: 'bob.near', types: ['participation']});
+
+	const [lookup] = queries.filter(query => query.model === 'bounty');
+	assert.ok(lookup.where.OR.some(condition => condition.participants?.array_contains?.[0] === 'bob.near'));
+
+	const {where} = queries.find(query => query.model === 'chainTransaction');
+	assert.deepEqual(where, {idBounty: {in: [1]}, method: 'participate', status: 'Success'});
+	assert.deepEqual(items, []);
+	assert.equal(total, 0);
+});
+
+test('getFeed rejects unknown types and pages beyond MAX_DEPTH', async () => {
+	await assert.rejects(FeedService.getFeed({types: ['likes']}), {statusCode: 400});
+	await assert.rejects(FeedService.getFeed({page: 51, limit: 20}), {statusCode: 400});
+	await assert.doesNotReject(FeedService.getFeed({page: 50, limit: 20}));
+});
@@ -0,0 +1,81 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import IndexerService from '../services/indexer.service.js';
+import NearService from '../services/near.service.js';
+import TransactionService from '../services/transaction.service.js';
+
+let rows;
+
+// Just enough of the Bounty model for sync and isFresh
+const matches = (row, where) => Object.entries(where).every(([field, condition]) => {
+	if (condition === null || typeof condition !== 'object') return row[field] === condition;
+	if ('not' in condition && row[field] === condition.not) return false;
+	if (condition.notIn && condition.notIn.includes(row[field])) return false;
+	return true;
+});
+
+beforeEach(() => {
+	rows = [];
+	IndexerService.unmatched = new Set();
+	TransactionService.confirmPending = async () => 0;
+
+	primate.prisma = {
+		bounty: {
+			updateMany: async ({where, data}) => {
+				const matched = rows.filter(row => matches(row, where));
+				matched.forEach(row => Object.assign(row, data));
+				return {count: matched.length};
+			},
+			findMany: async ({where}) => rows.filter(row => matches(row, where)),
+			count: async ({where}) => rows.filter(row => matches(row, where)).length,
+			aggregate: async () => ({
+				_max: {synced: rows.reduce((max, row) => row.synced && (!max || row.synced > max) ? row.synced : max, null)},
+			}),
+		},
+	};
+});
+
+test('sync indexes the bounties found on chain', async () => {
+	rows = [{id: 1, idOnChain: '0', synced: null}, {id: 2, idOnChain: null, synced: null}];
+	NearService.getAllBounties = async () => [
+		{id: 0, creator: 'alice.testnet', prizes: ['1'], totalPrize: '1', participants: [], winners: [], isActive: true},
+		{id: 1, creator: 'bob.testnet', prizes: ['2'], totalPrize: '2', participants: [], winners: [], isActive: true},
+	];
+
+	const result = await IndexerService.sync({networkId: 'testnet', contractId: 'bounties.testnet'});
+
+	assert.deepEqual(result, {updated: 1, missing: 1, unmatched: 0});
+	assert.equal(rows[0].creator, 'alice.testnet');
+	assert.equal(rows[0].chainStatus, 'Open');
+	assert.ok(rows[0].synced instanceof Date);
+});
+
+test('isFresh ignores legacy rows the last sync could not match on chain', async () => {
+	rows = [{id: 1, idOnChain: '0', synced: null}, {id: 2, idOnChain: 'undefined', synced: null}, {id: 3, idOnChain: '7', synced: null}];
+	NearService.getAllBounties = async () => [
+		{id: 0, creator: 'alice.testnet', prizes: ['1'], totalPrize: '1', participants: [], winners: [], isActive: true},
+	];
+
+	const result = await IndexerService.sync({networkId: 'testnet', contractId: 'bounties.testnet'});
+
+	assert.equal(result.unmatched, 2);
+	assert.deepEqual([...IndexerService.unmatched].sort(), ['7', 'undefined']);
+	assert.equal(await IndexerService.isFresh(), true);
+});
+
+test('isFresh is false while a bounty bound since the last sync is not indexed', async () => {
+	rows = [{id: 1, idOnChain: '0', synced: new Date()}, {id: 2, idOnChain: '1', synced: null}];
+
+	assert.equal(await IndexerService.isFresh(), false);
+});
+
+test('isFresh is false when the last sync is older than STALE_AFTER', async () => {
+	rows = [{id: 1, idOnChain: '0', synced: new Date(Date.now() - IndexerService.STALE_AFTER - 1000)}];
+
+	assert.equal(await IndexerService.isFresh(), false);
+});
+
+test('isFresh is false before the first sync', async () => {
+	assert.equal(await IndexerService.isFresh(), false);
+});
@@ -0,0 +1,114 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import JudgingService from '../services/judging.service.js';
+
+const creator = {id: 1, idNear: 'creator.near'};
+
+const criteria = [
+	{key: 'route', name: 'Route', weight: 2, max: 10},
+	{key: 'budget', name: 'Budget', weight: 1, max: 5},
+];
+
+let plans;
+
+const plan = (id, author, totals, {version = 1, scoredVersion = version} = {}) => ({
+	id,
+	slug: `plan-${id}`,
+	title: `Plan ${id}`,
+	version,
+	status: 'Submitted',
+	user: {idNear: author},
+	scores: totals.map(total => ({total, version: scoredVersion, scores: {route: total / 10, budget: total / 20}})),
+});
+
+beforeEach(() => {
+	plans = [];
+
+	primate.prisma = {
+		plan: {
+			findMany: async () => plans,
+			findUnique: async ({where}) => plans.find(({id}) => id === where.id) || null,
+		},
+	};
+});
+
+test('parseCriteria normalizes the criteria with their default weight and max', () => {
+	assert.deepEqual(JudgingService.parseCriteria([{key: 'route', name: ' Route '}, {key: 'budget', name: 'Budget', weight: 0.5, max: 5}]), [
+		{key: 'route', name: 'Route', weight: 1, max: 10},
+		{key: 'budget', name: 'Budget', weight: 0.5, max: 5},
+	]);
+});
+
+test('parseCriteria reports every invalid field', () => {
+	assert.throws(() => JudgingService.parseCriteria([]), {statusCode: 400});
+	assert.throws(() => JudgingService.parseCriteria(Array.from({length: 11}, (_, i) => ({key: `c${i}`, name: 'C'}))), {statusCode: 400});
+
+	assert.throws(() => JudgingService.parseCriteria([
+		{key: 'Route', name: 'Route'},
+		{key: 'budget', name: '', weight: 0},
+		{key: 'budget', name: 'Budget', max: 2.5},
+	]), error => {
+		assert.deepEqual(error.data.errors.map(({field}) => field), [
+			'criteria[0].key',
+			'criteria[1].name',
+			'criteria[1].weight',
+			'criteria[2].key',
+			'criteria[2].max',
+		]);
+		return true;
+	});
+});
+
+test('total weighs each score relative to the max of its criterion', () => {
+	assert.equal(JudgingService.total({route: 10, budget: 5}, criteria), 100);
+	assert.equal(JudgingService.total({route: 5, budget: 0}, criteria), 33.33);
+	assert.equal(JudgingService.total({budget: 5}, criteria), 33.33);
+	assert.equal(JudgingService.total({overall: 7}, JudgingService.DEFAULT_CRITERIA), 70);
+});
+
+test('getLeaderboard ranks the plans and picks a winner per prize among the participants', async () => {
+	plans = [
+		plan(1, 'alice.near', [60, 80]),
+		plan(2, 'bob.near', [90]),
+		plan(3, 'carol.near', [70], {version: 2, scoredVersion: 1}),
+		plan(4, 'dave.near', []),
+		plan(5, 'erin.near', [70, 70, 70]),
+		plan(6, 'frank.near', [70]),
+	];
+
+	const bounty = {
+		id: 1,
+		idOnChain: null,
+		metas: {criteria},
+		prizes: ['2000000000000000000000000', '1000000000000000000000000'],
+		participants: ['alice.near', 'carol.near', 'erin.near'],
+	};
+
+	const {entries, prizes, winners} = await JudgingService.getLeaderboard(bounty);
+
+	// Ties are broken by the number of judges, then by submission order
+	assert.deepEqual(entries.map(({rank, author, score}) => [rank, author, score]), [
+		[1, 'bob.near', 90],
+		[2, 'erin.near', 70],
+		[3, 'alice.near', 70],
+		[4, 'carol.near', 70],
+		[5, 'frank.near', 70],
+		[null, 'dave.near', null],
+	]);
+	assert.equal(entries[3].outdated, true);
+	assert.deepEqual(entries[0].criteria, {route: 9, budget: 4.5});
+
+	assert.deepEqual(winners, ['erin.near', 'alice.near']);
+	assert.deepEqual(prizes, [
+		{position: 1, prize: '2', winner: 'erin.near'},
+		{position: 2, prize: '1', winner: 'alice.near'},
+	]);
+});
+
+test('plans cannot be judged while their bounty is a draft', async () => {
+	plans = [{...plan(1, 'alice.near', []), idUser: 2, bounty: {id: 1, idUser: creator.id, status: 'Draft'}}];
+
+	await assert.rejects(JudgingService.findJudgeable(1, creator), {statusCode: 409, message: 'The bounty is not published yet.'});
+	await assert.rejects(JudgingService.score(plans[0], {overall: 7}, creator), {statusCode: 409});
+});
@@ -0,0 +1,144 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {transactions, utils} from 'near-api-js';
+import NearService from '../services/near.service.js';
+
+const publicKey = utils.KeyPair.fromRandom('ed25519').getPublicKey().toString();
+
+const actions = [
+	{type: 'CreateAccount'},
+	{type: 'Transfer', params: {deposit: '1000000000000000000000000'}},
+	{type: 'AddKey', params: {publicKey, accessKey: {nonce: 0, permission: 'FullAccess'}}},
+	{
+		type: 'AddKey',
+		params: {
+			publicKey,
+			accessKey: {
+				nonce: 0,
+				permission: {receiverId: 'bountrip.near', methodNames: ['participate'], allowance: '250000000000000000000000'},
+			},
+		},
+	},
+	{
+		type: 'FunctionCall',
+		params: {methodName: 'participate', args: {bounty_id: 3}, gas: '30000000000000', deposit: '0'},
+	},
+	{type: 'DeleteKey', params: {publicKey}},
+];
+
+test('buildActions is the inverse of formatTransactionForResponse', () => {
+	const transaction = transactions.createTransaction(
+		'alice.near',
+		utils.PublicKey.from(publicKey),
+		'alice.near',
+		1,
+		NearService.buildActions(actions),
+		new Uint8Array(32),
+	);
+
+	const formatted = NearService.formatTransactionForResponse(transaction);
+
+	assert.deepEqual(formatted.actions, actions);
+});
+
+test('buildActions defaults the gas and the deposit of function calls', () => {
+	const [action] = NearService.buildActions([{type: 'FunctionCall', params: {methodName: 'get_bounties'}}]);
+
+	assert.equal(action.functionCall.gas, BigInt(NearService.MAX_TRANSACTION_GAS));
+	assert.equal(action.functionCall.deposit, BigInt(0));
+	assert.deepEqual(JSON.parse(Buffer.from(action.functionCall.args).toString()), {});
+});
+
+test('buildActions rejects malformed actions with the index of the action', () => {
+	const invalid = [
+		[{type: 'Stake', params: {}}, /Unsupported action type: Stake/],
+		[null, /Invalid action 0: expected an object/],
+		[{type: 'FunctionCall', params: {}}, /missing methodName/],
+		[{type: 'FunctionCall', params: {methodName: 'participate', args: 'bounty'}}, /args must be an object/],
+		[{type: 'FunctionCall', params: {methodName: 'participate', gas: '300000000000001'}}, /gas exceeds the maximum/],
+		[{type: 'Transfer', params: {deposit: '-1'}}, /deposit must be a non-negative integer/],
+		[{type: 'Transfer', params: {deposit: '1.5'}}, /deposit must be a non-negative integer/],
+		[{type: 'AddKey', params: {publicKey, accessKey: {permission: {methodNames: []}}}}, /include a receiverId/],
+		[{type: 'DeleteKey', params: {publicKey: 'ed25519:nope'}}, /malformed publicKey/],
+	];
+
+	for (const [action, message] of invalid) {
+		assert.throws(() => NearService.buildActions([action]), {statusCode: 400, message});
+	}
+
+	assert.throws(() => NearService.buildActions([{type: 'CreateAccount'}, {type: 'Transfer'}]), {message: /Invalid action 1/});
+});
+
+const fullAccess = {public_key: 'ed25519:full', access_key: {nonce: 1, permission: 'FullAccess'}};
+
+const functionCallKey = (publicKey, {receiver = 'bountrip.near', methods = [], allowance = null} = {}) => ({
+	public_key: publicKey,
+	access_key: {
+		nonce: 1,
+		permission: {FunctionCall: {receiver_id: receiver, method_names: methods, allowance}},
+	},
+});
+
+const call = (methodName, deposit = '0') => [transactions.functionCall(methodName, Buffer.from('{}'), BigInt('30000000000000'), BigInt(deposit))];
+
+const transaction = {sender: 'alice.near', receiver: 'bountrip.near', gasPrice: '100000000'};
+
+test('selectAccessKey prefers a function-call key for the contract', () => {
+	const accessKeys = [
+		fullAccess,
+		functionCallKey('ed25519:other', {receiver: 'other.near'}),
+		functionCallKey('ed25519:vote', {methods: ['vote']}),
+		functionCallKey('ed25519:participate', {methods: ['participate']}),
+	];
+
+	const accessKey = NearService.selectAccessKey(accessKeys, {...transaction, actions: call('participate')});
+
+	assert.equal(accessKey.public_key, 'ed25519:participate');
+});
+
+test('selectAccessKey falls back to a full-access key for deposits and batches', () => {
+	const accessKeys = [functionCallKey('ed25519:contract'), fullAccess];
+
+	assert.equal(NearService.selectAccessKey(accessKeys, {...transaction, actions: call('participate', '1')}), fullAccess);
+	assert.equal(NearService.selectAccessKey(accessKeys, {
+		...transaction,
+		actions: [...call('participate'), transactions.transfer(BigInt(1))],
+	}), fullAccess);
+});
+
+test('selectAccessKey skips function-call keys without enough allowance', () => {
+	// 30 Tgas at 100000000 yoctoNEAR per gas cost 3e21 yoctoNEAR
+	const accessKeys = [
+		functionCallKey('ed25519:spent', {allowance: '0'}),
+		functionCallKey('ed25519:short', {allowance: '2999999999999999999999'}),
+		functionCallKey('ed25519:enough', {allowance: '3000000000000000000000'}),
+	];
+
+	const accessKey = NearService.selectAccessKey(accessKeys, {...transaction, actions: call('participate')});
+
+	assert.equal(accessKey.public_key, 'ed25519:enough');
+});
+
+test('selectAccessKey uses the key of the client only if it can sign', () => {
+	const accessKeys = [functionCallKey('ed25519:contract'), fullAccess];
+
+	const options = {...transaction, actions: call('participate')};
+	assert.equal(NearService.selectAccessKey(accessKeys, {...options, publicKey: 'ed25519:full'}), fullAccess);
+
+	assert.throws(() => NearService.selectAccessKey(accessKeys, {...options, publicKey: 'ed25519:unknown'}), {statusCode: 400});
+	assert.throws(() => NearService.selectAccessKey(accessKeys, {
+		...transaction,
+		actions: call('participate', '1'),
+		publicKey: 'ed25519:contract',
+	}), {statusCode: 403});
+});
+
+test('selectAccessKey reports the key required when no key can sign', () => {
+	const accessKeys = [functionCallKey('ed25519:vote', {methods: ['vote']})];
+
+	assert.throws(() => NearService.selectAccessKey(accessKeys, {...transaction, actions: call('participate')}), error => {
+		assert.equal(error.statusCode, 403);
+		assert.match(error.data.required, /function-call key for bountrip.near allowing participate/);
+		return true;
+	});
+});
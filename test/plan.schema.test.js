@@ -0,0 +1,82 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {planSchema, planUpdateSchema} from '../entities/plans/plan.schema.js';
+import PlanService from '../services/plan.service.js';
+
+const lisbon = {name: 'Belém Tower', location: {lat: 38.6916, lng: -9.216}, startTime: '09:00', endTime: '10:30'};
+
+const plan = {
+	title: 'Three days in Portugal',
+	description: 'Lisbon and Porto on a budget',
+	idBounty: 'chain:3',
+	days: [{stops: [lisbon]}],
+};
+
+// The field-level errors returned by PlanService.validate
+const errorsOf = (data, schema) => {
+	try {
+		PlanService.validate(data, schema);
+	} catch (error) {
+		assert.equal(error.statusCode, 400);
+		return error.data.errors.map(({field}) => field);
+	}
+
+	assert.fail('The plan should be invalid.');
+};
+
+test('the plan schema fills the defaults of days and stops', () => {
+	const value = PlanService.validate({...plan, extra: true});
+
+	assert.equal(value.extra, undefined);
+	assert.equal(value.notes, '');
+	assert.deepEqual(value.attachments, []);
+	assert.deepEqual(value.days[0].stops[0], {...lisbon, description: '', notes: '', attachments: [], location: {...lisbon.location, address: ''}});
+});
+
+test('the plan schema reports every invalid field with its path', () => {
+	const fields = errorsOf({
+		...plan,
+		title: ' ',
+		days: [
+			{stops: [{...lisbon, location: {lat: 91, lng: 0}, startTime: '9:00'}]},
+			{stops: []},
+		],
+	});
+
+	assert.deepEqual(fields, ['title', 'days[0].stops[0].location.lat', 'days[0].stops[0].startTime', 'days[1].stops']);
+});
+
+test('the plan schema requires the end of a stop after its start', () => {
+	assert.deepEqual(errorsOf({...plan, days: [{stops: [{...lisbon, endTime: '08:00'}]}]}), ['days[0].stops[0]']);
+});
+
+test('the plan schema rejects repeated days and stop orders', () => {
+	assert.deepEqual(errorsOf({...plan, days: [{day: 1, stops: [lisbon]}, {day: 1, stops: [lisbon]}]}), ['days[1]']);
+	assert.deepEqual(errorsOf({...plan, days: [{stops: [{...lisbon, order: 2}, {...lisbon, order: 2}]}]}), ['days[0].stops[1]']);
+});
+
+test('the plan schema requires days or places', () => {
+	const {days, ...withoutDays} = plan;
+
+	assert.deepEqual(errorsOf(withoutDays), ['']);
+	assert.equal(planSchema.validate({...withoutDays, places: ['Lisbon']}).error, undefined);
+});
+
+test('the plan schema accepts the legacy places named by title', () => {
+	const {days, ...withoutDays} = plan;
+
+	const value = PlanService.validate({...withoutDays, places: ['Lisbon', {title: 'Porto'}, {name: 'Sintra'}]});
+	assert.deepEqual(value.places, ['Lisbon', {title: 'Porto', description: '', notes: '', attachments: []}, {
+		name: 'Sintra',
+		description: '',
+		notes: '',
+		attachments: [],
+	}]);
+
+	assert.deepEqual(errorsOf({...withoutDays, places: [{description: 'Somewhere'}]}), ['places[0]']);
+});
+
+test('the plan update schema accepts partial changes but not the bounty', () => {
+	assert.deepEqual(PlanService.validate({title: 'Four days in Portugal'}, planUpdateSchema), {title: 'Four days in Portugal'});
+	assert.deepEqual(errorsOf({idBounty: 4}, planUpdateSchema), ['idBounty']);
+});
@@ -0,0 +1,106 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import PlanService from '../services/plan.service.js';
+
+const author = {id: 2, idNear: 'alice.near'};
+
+let plan;
+
+beforeEach(() => {
+	plan = {id: 7, idUser: author.id, status: 'Submitted', bounty: {id: 1, status: 'Published', submissionDeadline: null}};
+
+	primate.prisma = {
+		plan: {findUnique: async ({where}) => where.id === plan.id ? plan : null},
+	};
+});
+
+test('diffLines keeps the common lines and marks the changes', () => {
+	const lines = PlanService.diffLines('Day 1\nLisbon\nPorto\nEnd', 'Day 1\nLisbon\nCoimbra\nPorto\nEnd\n');
+
+	assert.deepEqual(lines, [
+		{op: ' ', line: 'Day 1'},
+		{op: ' ', line: 'Lisbon'},
+		{op: '+', line: 'Coimbra'},
+		{op: ' ', line: 'Porto'},
+		{op: ' ', line: 'End'},
+		{op: '+', line: ''},
+	]);
+});
+
+test('diffLines replaces the changed lines', () => {
+	assert.deepEqual(PlanService.diffLines('Lisbon\nPorto', 'Lisbon\nFaro'), [
+		{op: ' ', line: 'Lisbon'},
+		{op: '-', line: 'Porto'},
+		{op: '+', line: 'Faro'},
+	]);
+	assert.deepEqual(PlanService.diffLines(null, 'Lisbon'), [{op: '-', line: ''}, {op: '+', line: 'Lisbon'}]);
+	assert.deepEqual(PlanService.diffLines('Lisbon', 'Lisbon'), [{op: ' ', line: 'Lisbon'}]);
+});
+
+test('diffLines falls back to a replacement beyond MAX_DIFF_LINES', () => {
+	// Every other line is common, but the whole block is replaced instead of computing the LCS
+	const before = Array.from({length: 600}, (_, i) => `a${i}`).join('\n');
+	const after = Array.from({length: 600}, (_, i) => i % 2 ? `a${i}` : `b${i}`).join('\n') + '\nend';
+
+	const lines = PlanService.diffLines(before, after);
+
+	assert.equal(lines.length, 1201);
+	assert.ok(lines.slice(0, 600).every(({op}) => op === '-'));
+	assert.ok(lines.slice(600).every(({op}) => op === '+'));
+});
+
+test('findEditable returns the plan to its author during the submission phase', async () => {
+	assert.equal(await PlanService.findEditable(plan.id, author), plan);
+});
+
+test('findEditable rejects the plans that can no longer change', async () => {
+	await assert.rejects(PlanService.findEditable(8, author), {statusCode: 404});
+	await assert.rejects(PlanService.findEditable(plan.id, {id: 3, idNear: 'bob.near'}), {statusCode: 403});
+
+	plan.status = PlanService.WITHDRAWN;
+	await assert.rejects(PlanService.findEditable(plan.id, author), {statusCode: 409, message: /withdrawn/});
+	plan.status = 'Submitted';
+
+	for (const status of [...PlanService.LOCKED_STATUSES, 'Judging']) {
+		plan.bounty.status = status;
+		await assert.rejects(PlanService.findEditable(plan.id, author), {statusCode: 409});
+	}
+
+	plan.bounty = {...plan.bounty, status: 'Published', submissionDeadline: new Date(Date.now() - 1000)};
+	await assert.rejects(PlanService.findEditable(plan.id, author), {statusCode: 409, message: /submission phase is over/});
+});
+
+test('findEditable rejects the plans of a draft', async () => {
+	plan.bounty.status = 'Draft';
+
+	await assert.rejects(PlanService.findEditable(plan.id, author), {statusCode: 409, message: 'The bounty is not published yet.'});
+});
+
+test('toItinerary numbers the days and stops without number after the last one', () => {
+	const itinerary = PlanService.toItinerary({
+		days: [
+			{title: 'Porto', stops: [{name: 'Ribeira', order: 2}, {name: 'Livraria Lello'}, {name: 'Sé', order: 1}]},
+			{day: 1, title: 'Lisbon', stops: [{name: 'Belém'}]},
+		],
+		notes: '',
+	});
+
+	assert.deepEqual(itinerary.days.map(({day, title}) => ({day, title})), [{day: 1, title: 'Lisbon'}, {day: 2, title: 'Porto'}]);
+	assert.deepEqual(itinerary.days[1].stops.map(({name, order}) => `${order}. ${name}`), ['1. Sé', '2. Ribeira', '3. Livraria Lello']);
+	assert.equal(itinerary.notes, '');
+	assert.equal('attachments' in itinerary, false);
+});
+
+test('normalize returns the legacy places as the stops of day 1', () => {
+	const normalized = PlanService.normalize({id: 7, metas: {places: ['Lisbon', {title: 'Porto', location: {lat: 41.1, lng: -8.6}}]}});
+
+	assert.equal(normalized.days.length, 1);
+	assert.deepEqual(normalized.days[0].stops.map(({order, name, location}) => ({order, name, location})), [
+		{order: 1, name: 'Lisbon', location: null},
+		{order: 2, name: 'Porto', location: {lat: 41.1, lng: -8.6}},
+	]);
+	assert.equal(normalized.notes, '');
+	assert.deepEqual(normalized.attachments, []);
+	assert.deepEqual(PlanService.normalize({id: 8, metas: null}).days, []);
+});
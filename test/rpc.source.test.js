@@ -0,0 +1,155 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import NearService from '../services/near.service.js';
+import RpcSource from '../services/interactions/rpc.source.js';
+
+const contractId = 'bountrip.near';
+const params = {networkId: 'sandbox', contractId};
+
+let head;
+let blocks;
+let failAt;
+let reads;
+let outcomes;
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64');
+
+const call = (hash, signer, receiver, method = 'participate', args = {bounty_id: 1}) => ({
+	hash,
+	signer_id: signer,
+	receiver_id: receiver,
+	actions: [{FunctionCall: {method_name: method, args: encode(args), gas: 30000000000000, deposit: '0'}}],
+});
+
+// A block with a single chunk holding the given transactions, an empty chunk otherwise
+const block = (height, transactions = []) => {
+	blocks[height] = {
+		header: {height, timestamp_nanosec: String(BigInt(height) * BigInt(1000000000))},
+		chunks: [{
+			chunk_hash: `chunk-${height}`,
+			height_included: height,
+			tx_root: transactions.length > 0 ? `root-${height}` : RpcSource.EMPTY_ROOT,
+			transactions,
+		}],
+	};
+};
+
+beforeEach(() => {
+	head = 10;
+	blocks = {};
+	failAt = null;
+	reads = [];
+	outcomes = [];
+
+	RpcSource.BLOCKS = 5;
+	RpcSource.MAX_OUTCOMES = 1000;
+	RpcSource.scans = {};
+	RpcSource.outcomes = new Map();
+
+	NearService.getProvider = async () => ({
+		block: async ({blockId, finality}) => {
+			if (finality) return {header: {height: head}};
+
+			reads.push(blockId);
+			if (blockId === failAt) throw new Error('Server error');
+			if (!blocks[blockId]) throw Object.assign(new Error(`Block ${blockId} not found`), {type: 'UNKNOWN_BLOCK'});
+
+			return blocks[blockId];
+		},
+		chunk: async hash => blocks[parseInt(hash.slice('chunk-'.length))].chunks[0],
+	});
+
+	NearService.getTransactionOutcome = async ({txHash, accountId}) => {
+		outcomes.push(txHash);
+		return {
+			hash: txHash,
+			signerId: accountId,
+			receiverId: contractId,
+			success: true,
+			calls: [{methodName: 'participate', args: {bounty_id: 1}, deposit: '0'}],
+		};
+	};
+
+	for (let height = 1; height <= 12; height++) block(height);
+});
+
+test('scan only reads the last BLOCKS blocks on the first run and keeps the transactions to the contract', async () => {
+	block(7, [call('a', 'alice.near', contractId), call('b', 'bob.near', 'other.near')]);
+	block(9, [
+		call('c', 'carol.near', 'usdc.near', 'ft_transfer_call', {receiver_id: contractId, amount: '5', msg: '{}'}),
+		call('d', 'dave.near', 'usdc.near', 'ft_transfer_call', {receiver_id: 'other.near', amount: '5', msg: '{}'}),
+	]);
+	delete blocks[8];
+
+	const scan = await RpcSource.scan(params);
+
+	assert.deepEqual(reads, [6, 7, 8, 9, 10]);
+	assert.equal(scan.height, 10);
+	assert.deepEqual(scan.txns.map(({hash}) => hash), ['c', 'a']);
+	assert.equal(scan.txns[1].timestamp, new Date(7000).toISOString());
+});
+
+test('scan only reads the new blocks on the next runs', async () => {
+	block(10, [call('a', 'alice.near', contractId)]);
+	await RpcSource.scan(params);
+
+	head = 12;
+	block(12, [call('b', 'alice.near', contractId)]);
+	reads = [];
+	const scan = await RpcSource.scan(params);
+
+	assert.deepEqual(reads, [11, 12]);
+	assert.deepEqual(scan.txns.map(({hash}) => hash), ['b', 'a']);
+});
+
+test('scan resumes after the last complete block when the RPC fails', async () => {
+	block(7, [call('a', 'alice.near', contractId)]);
+	failAt = 8;
+
+	await assert.rejects(RpcSource.scan(params), /Server error/);
+	assert.equal(RpcSource.scans['sandbox:bountrip.near'].height, 7);
+
+	failAt = null;
+	reads = [];
+	const scan = await RpcSource.scan(params);
+
+	assert.deepEqual(reads, [8, 9, 10]);
+	assert.deepEqual(scan.txns.map(({hash}) => hash), ['a']);
+});
+
+test('scan shares a running scan instead of starting another one', async () => {
+	const [first, second] = await Promise.all([RpcSource.scan(params), RpcSource.scan(params)]);
+
+	assert.equal(first, second);
+	assert.deepEqual(reads, [6, 7, 8, 9, 10]);
+});
+
+test('fetch decodes the transactions of the account once', async () => {
+	block(7, [call('a', 'alice.near', contractId), call('b', 'bob.near', contractId)]);
+	block(9, [call('c', 'alice.near', contractId)]);
+	await RpcSource.scan(params);
+
+	const interactions = await RpcSource.fetch({...params, accountId: 'alice.near'});
+	await RpcSource.fetch({...params, accountId: 'alice.near'});
+
+	assert.deepEqual(interactions.map(({hash, type, bountyId}) => ({hash, type, bountyId})), [
+		{hash: 'c', type: 'participate', bountyId: '1'},
+		{hash: 'a', type: 'participate', bountyId: '1'},
+	]);
+	assert.deepEqual(outcomes, ['c', 'a']);
+});
+
+test('fetch returns nothing before the first scan', async () => {
+	assert.deepEqual(await RpcSource.fetch({...params, accountId: 'alice.near'}), []);
+});
+
+test('the decoded outcomes drop the least recently used first', () => {
+	RpcSource.MAX_OUTCOMES = 2;
+
+	RpcSource._remember('a', []);
+	RpcSource._remember('b', []);
+	RpcSource._remember('a', []);
+	RpcSource._remember('c', []);
+
+	assert.deepEqual([...RpcSource.outcomes.keys()], ['a', 'c']);
+});
@@ -0,0 +1,77 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import SearchService from '../services/search.service.js';
+
+const lisbon = {lat: 38.7223, lng: -9.1393};
+const porto = {lat: 41.1579, lng: -8.6291};
+
+test('distance is the great-circle distance in kilometers', () => {
+	assert.equal(SearchService.distance(lisbon, lisbon), 0);
+	assert.ok(Math.abs(SearchService.distance(lisbon, porto) - 274) < 1);
+	assert.ok(Math.abs(SearchService.distance({lat: 0, lng: 179.5}, {lat: 0, lng: -179.5}) - 111.2) < 0.1);
+	assert.ok(Math.abs(SearchService.distance({lat: 90, lng: 0}, {lat: -90, lng: 0}) - Math.PI * SearchService.EARTH_RADIUS_KM) < 1e-6);
+});
+
+test('the bounding box contains every point within the radius', () => {
+	const box = SearchService._boundingBox({...lisbon, radius: 300});
+
+	assert.ok(box.minLat < porto.lat && porto.lat < box.maxLat);
+	assert.ok(box.minLng < porto.lng && porto.lng < box.maxLng);
+
+	// The edges of the box are at least the radius away from the center
+	assert.ok(Math.abs(SearchService.distance(lisbon, {lat: box.maxLat, lng: lisbon.lng}) - 300) < 1e-6);
+	assert.ok(SearchService.distance(lisbon, {lat: lisbon.lat, lng: box.minLng}) >= 300);
+});
+
+test('the bounding box wraps around the antimeridian', () => {
+	const box = SearchService._boundingBox({lat: -17.7, lng: 179.9, radius: 100});
+
+	assert.ok(box.minLng > box.maxLng);
+	assert.ok(box.minLng > 178 && box.minLng < 179.9);
+	assert.ok(box.maxLng < -179 && box.maxLng > -180);
+});
+
+test('the bounding box covers every longitude near the poles', () => {
+	assert.deepEqual(SearchService._boundingBox({lat: 89.5, lng: 10, radius: 100}), {
+		minLat: 89.5 - (100 / SearchService.EARTH_RADIUS_KM) * 180 / Math.PI,
+		maxLat: 90,
+		minLng: -180,
+		maxLng: 180,
+	});
+
+	const box = SearchService._boundingBox({lat: 80, lng: 10, radius: 1000});
+	assert.equal(box.minLng, -180);
+	assert.equal(box.maxLng, 180);
+});
+
+test('parseSearchOptions validates the geographic filters', () => {
+	assert.deepEqual(SearchService.parseSearchOptions({q: ' Lisbon ', tags: 'food, ,surf'}), {
+		...SearchService.parseSearchOptions(),
+		q: 'Lisbon',
+		tags: ['food', 'surf'],
+	});
+
+	const options = SearchService.parseSearchOptions({lat: '38.72', lng: '-9.14'});
+	assert.equal(options.radius, SearchService.DEFAULT_RADIUS_KM);
+
+	assert.throws(() => SearchService.parseSearchOptions({radius: '10'}), {statusCode: 400});
+	assert.throws(() => SearchService.parseSearchOptions({lat: '91', lng: '0'}), {statusCode: 400});
+	assert.throws(() => SearchService.parseSearchOptions({lat: '0'}), {statusCode: 400});
+	assert.throws(() => SearchService.parseSearchOptions({lat: '0', lng: '0', radius: '1001'}), {statusCode: 400});
+});
+
+test('locate reads the destination and falls back to the coordinates of the place photos', () => {
+	assert.deepEqual(SearchService.locate({destination: {name: ' Lisbon ', geometry: {location: lisbon}}}), {
+		destination: 'Lisbon',
+		latitude: lisbon.lat,
+		longitude: lisbon.lng,
+	});
+
+	assert.deepEqual(SearchService.locate({destination: 'Porto', placePhotos: [{url: 'a.jpg'}, {location: {lat: '41.15', lng: '-8.62'}}]}), {
+		destination: 'Porto',
+		latitude: 41.15,
+		longitude: -8.62,
+	});
+
+	assert.deepEqual(SearchService.locate(null), {destination: null, latitude: null, longitude: null});
+});
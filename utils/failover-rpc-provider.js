@@ -0,0 +1,122 @@
+import {providers} from 'near-api-js';
+
+/**
+ * JSON RPC provider that spreads the requests over several RPC endpoints.
+ *
+ * Endpoints are tried in ascending priority. A rate-limited endpoint (HTTP 429) is retried with exponential backoff
+ * before moving to the next one; timeouts and unavailable endpoints are skipped right away. Any other error
+ * (unknown transaction, contract panic, invalid params...) comes from the node itself and is thrown as it is,
+ * asking another endpoint would give the same answer.
+ */
+class FailoverRpcProvider extends providers.JsonRpcProvider {
+	/**
+	 * @param {Array<{url: string, priority?: number, headers?: Object}>} endpoints - RPC endpoints of the network.
+	 * @param {Object} [options={}] - Failover options.
+	 * @param {number} [options.timeout=10000] - Time in milliseconds after which a request to an endpoint is abandoned.
+	 * @param {number} [options.rateLimitRetries=2] - Retries on the same endpoint when it answers 429.
+	 * @param {number} [options.wait=500] - Wait in milliseconds before the first retry.
+	 * @param {number} [options.backoff=2] - Multiplier applied to the wait after every retry.
+	 */
+	constructor(endpoints, {timeout = 10000, rateLimitRetries = 2, wait = 500, backoff = 2} = {}) {
+		if (!endpoints || endpoints.length === 0) throw new Error('At least one RPC endpoint is required.');
+
+		const sorted = [...endpoints].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+		// fetchJsonRpc already retries 500/503/408 on its own, keep it short so failover kicks in quickly
+		const rpcOptions = {retries: 1, wait, backoff};
+
+		super({url: sorted[0].url, headers: sorted[0].headers}, rpcOptions);
+
+		this.providers = sorted.map(({url, headers}) => new providers.JsonRpcProvider({url, headers}, rpcOptions));
+		this.timeout = timeout;
+		this.rateLimitRetries = rateLimitRetries;
+		this.wait = wait;
+		this.backoff = backoff;
+	}
+
+	/**
+	 * Sends the request to the first endpoint able to answer it.
+	 *
+	 * @param {string} method - RPC method.
+	 * @param {Object|Array} params - Parameters of the method.
+	 *
+	 * @returns {Promise<*>} - The result of the request.
+	 *
+	 * @throws {Error} - The node error, or the last error when every endpoint failed.
+	 */
+	async sendJsonRpc(method, params) {
+		let lastError;
+
+		for (const provider of this.providers) {
+			for (let attempt = 0; attempt <= this.rateLimitRetries; attempt++) {
+				try {
+					return await this._withTimeout(provider.sendJsonRpc(method, params), provider.connection.url);
+				} catch (error) {
+					lastError = error;
+
+					if (!FailoverRpcProvider.isRetryable(error)) throw error;
+					if (!FailoverRpcProvider.isRateLimited(error) || attempt === this.rateLimitRetries) break;
+
+					const delay = this.wait * Math.pow(this.backoff, attempt);
+					console.warn(`RPC ${provider.connection.url} rate limited on ${method}, retrying in ${delay}ms.`);
+					await new Promise(resolve => setTimeout(resolve, delay));
+				}
+			}
+
+			console.warn(`RPC ${provider.connection.url} failed on ${method}: ${lastError.message}`);
+		}
+
+		throw lastError;
+	}
+
+	/**
+	 * Whether an error is caused by the endpoint (rate limit, timeout, network) rather than by the request.
+	 *
+	 * @param {Error} error - Error thrown by the provider.
+	 *
+	 * @returns {boolean} - True if another endpoint may answer the request.
+	 */
+	static isRetryable(error) {
+		if (FailoverRpcProvider.isRateLimited(error)) return true;
+		if ([500, 502, 503, 504, 408].includes(error.cause)) return true;
+		if (['RetriesExceeded', 'TimeoutError', 'RequestTimeout'].includes(error.type)) return true;
+		if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT'].includes(error.cause?.code)) return true;
+
+		return /fetch failed|failed to fetch|timed out|socket hang up/i.test(error.message || '');
+	}
+
+	/**
+	 * Whether an error is an HTTP 429 answer.
+	 *
+	 * @param {Error} error - Error thrown by the provider.
+	 *
+	 * @returns {boolean} - True if the endpoint rate limited the request.
+	 */
+	static isRateLimited(error) {
+		return error.cause === 429 || /too many requests|rate limit/i.test(error.message || '');
+	}
+
+	/**
+	 * @private
+	 * @description Rejects the request if the endpoint does not answer in time.
+	 *
+	 * @param {Promise<*>} request - The pending request.
+	 * @param {string} url - URL of the endpoint, used in the error message.
+	 *
+	 * @returns {Promise<*>} - The result of the request.
+	 */
+	async _withTimeout(request, url) {
+		let timer;
+		const timeout = new Promise((resolve, reject) => {
+			timer = setTimeout(() => reject(new Error(`Request to ${url} timed out after ${this.timeout}ms.`)), this.timeout);
+		});
+
+		try {
+			return await Promise.race([request, timeout]);
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
+
+export default FailoverRpcProvider;
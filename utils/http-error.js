@@ -0,0 +1,21 @@
+/**
+ * Error carrying the HTTP status code (and optional data) a controller should respond with.
+ *
+ * Services throw it for client errors such as invalid parameters or missing records; controllers respond with
+ * `error.statusCode || 500` so unexpected errors keep being reported as server errors.
+ */
+class HttpError extends Error {
+	/**
+	 * @param {number} statusCode - HTTP status code of the response.
+	 * @param {string} message - Error message returned to the client.
+	 * @param {*} [data=null] - Additional data returned to the client, e.g. field-level validation errors.
+	 */
+	constructor(statusCode, message, data = null) {
+		super(message);
+		this.name = 'HttpError';
+		this.statusCode = statusCode;
+		this.data = data;
+	}
+}
+
+export default HttpError;